@@ -1,10 +1,22 @@
 const jwt = require('jsonwebtoken');
 const { query } = require('../config/database');
 
-const authenticateToken = async (req, res, next) => {
+// Stream tokens only open SSE streams, and expire quickly because they travel in the URL
+const STREAM_TOKEN_SCOPE = 'stream';
+const STREAM_TOKEN_TTL = '60s';
+
+const signStreamToken = (user) => jwt.sign(
+    { userId: user.userId, email: user.email, username: user.username, scope: STREAM_TOKEN_SCOPE },
+    process.env.JWT_SECRET,
+    { expiresIn: STREAM_TOKEN_TTL }
+);
+
+// Verify a token issued for the given scope (none for session tokens) and load its user into req.user
+const verifyToken = (scope) => async (req, res, next) => {
     try {
-        const authHeader = req.headers['authorization'];
-        const token = authHeader && authHeader.split(' ')[1];
+        const token = scope === STREAM_TOKEN_SCOPE
+            ? req.query.token
+            : req.headers['authorization'] && req.headers['authorization'].split(' ')[1];
         
         if (!token) {
             return res.status(401).json({ error: 'Access token required' });
@@ -12,6 +24,10 @@ const authenticateToken = async (req, res, next) => {
         
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
         
+        if (decoded.scope !== scope) {
+            return res.status(401).json({ error: 'Invalid token' });
+        }
+        
         const result = await query(
             'SELECT id, email, username, is_admin FROM users WHERE id = $1',
             [decoded.userId]
@@ -34,6 +50,12 @@ const authenticateToken = async (req, res, next) => {
     }
 };
 
+const authenticateToken = verifyToken(undefined);
+
+// EventSource can't send headers, so streams take a short-lived stream token
+// as ?token= (from POST /api/auth/stream-token), never the session token
+const authenticateStreamToken = verifyToken(STREAM_TOKEN_SCOPE);
+
 const requireAdmin = (req, res, next) => {
     if (!req.user || !req.user.isAdmin) {
         return res.status(403).json({ error: 'Admin privileges required' });
@@ -41,4 +63,4 @@ const requireAdmin = (req, res, next) => {
     next();
 };
 
-module.exports = { authenticateToken, requireAdmin };
+module.exports = { authenticateToken, authenticateStreamToken, signStreamToken, requireAdmin };
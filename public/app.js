@@ -12,9 +12,29 @@ let editingTeamId = null;
 let editingSelectedGolfers = [];
 let availableGolfers = [];
 let availableGolfersForSelection = [];
+let currentLeaderboard = [];
+let leaderboardSource = null;
+let leaderboardPollTimer = null;
+let currentDraft = null;
+let draftSource = null;
+let draftClockTimer = null;
+let draftQueue = [];
+let draftGolferPool = [];
+let currentSalaries = new Map(); // golfer id -> salary for the team builder's tournament
+let currentSalaryCap = null; // null = classic mode
+let currentTiers = null; // { tiers, tierByGolfer } when the tournament uses tiered picks
+let currentProjections = new Map(); // golfer id -> { expected_score, make_cut_probability }
+let currentOwnership = null; // { golfers, teams } maps once the tournament locks
+let currentField = null; // Set of entered golfer ids once the tournament field is published
+let teedOffGolferIds = new Set(); // Field golfers whose tee time has passed
+let lockedTeamGolferIds = new Set(); // Picks on the team being edited that can no longer change
 
 // API base URL
 const API_BASE = window.location.origin + '/api';
+const LEADERBOARD_POLL_INTERVAL = 60000;
+const DRAFT_STREAM_RETRY_DELAY = 5000;
+const DEFAULT_ROSTER_SIZE = 6;
+const DEFAULT_COUNTING_SCORES = 4;
 
 // Initialize app
 document.addEventListener('DOMContentLoaded', function() {
@@ -149,6 +169,8 @@ function updateNavigation(isLoggedIn) {
             <li><a onclick="showView('tournaments')">Tournaments</a></li>
             <li><a onclick="showView('myTeams')">My Teams</a></li>
             <li><a onclick="showView('leaderboard')">Leaderboard</a></li>
+            <li><a onclick="showView('standings')">Standings</a></li>
+            <li><a onclick="showView('draft')">Draft Room</a></li>
             ${currentUser && currentUser.isAdmin ? '<li><a onclick="showView(\'admin\')">Admin</a></li>' : ''}
         `;
         
@@ -169,6 +191,7 @@ function updateNavigation(isLoggedIn) {
         navLinks.innerHTML = `
             <li><a onclick="showView('home')">Home</a></li>
             <li><a onclick="showView('leaderboard')">Leaderboard</a></li>
+            <li><a onclick="showView('standings')">Standings</a></li>
         `;
         
         authButtons.innerHTML = `
@@ -182,6 +205,13 @@ function updateNavigation(isLoggedIn) {
 }
 
 function showView(viewName) {
+    if (viewName !== 'leaderboard') {
+        stopLeaderboardUpdates();
+    }
+    if (viewName !== 'draft') {
+        leaveDraftRoom();
+    }
+    
     // Hide all views
     document.querySelectorAll('.view').forEach(view => {
         view.classList.remove('active');
@@ -199,12 +229,17 @@ function showView(viewName) {
             loadMyTeams();
         } else if (viewName === 'leaderboard') {
             loadTournamentOptions();
+        } else if (viewName === 'standings') {
+            loadSeasonOptions();
+        } else if (viewName === 'draft') {
+            loadDraftOptions();
         } else if (viewName === 'admin') {
             loadAdminStats();
             // Auto-load tournament management
             if (currentUser && currentUser.isAdmin) {
                 setTimeout(() => {
                     loadTournamentManagement();
+                    loadScrapingRuns();
                 }, 500);
             }
         } else if (viewName === 'teamBuilder') {
@@ -344,7 +379,7 @@ function displayTournaments(tournamentList, containerId) {
                     ${statusText}
                 </div>
                 <div class="tournament-info">
-                    ${tournament.team_count || 0} teams
+                    ${tournament.team_count || 0} teams • ${formatRosterRules(tournament)}
                     ${hasTeam ? ' • You have a team' : ''}
                 </div>
                 <div style="margin-top: 1rem;">
@@ -370,12 +405,22 @@ async function loadMyTeams() {
     }
     
     try {
-        const response = await fetch(`${API_BASE}/teams/my-teams`, {
-            headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
-        });
+        const headers = { 'Authorization': `Bearer ${localStorage.getItem('token')}` };
+        const [response, notificationsResponse] = await Promise.all([
+            fetch(`${API_BASE}/teams/my-teams`, { headers }),
+            fetch(`${API_BASE}/teams/notifications`, { headers })
+        ]);
         
         const teams = await response.json();
+        const notifications = notificationsResponse.ok ? await notificationsResponse.json() : [];
         const container = document.getElementById('myTeamsContainer');
+        const unread = notifications.filter(n => !n.is_read);
+        const notificationsHtml = unread.map(n => `
+            <div class="alert alert-error" style="display: flex; justify-content: space-between; align-items: center;">
+                <span>${n.message}</span>
+                <button class="btn btn-secondary btn-small" onclick="dismissNotification(${n.id})">Dismiss</button>
+            </div>
+        `).join('');
         
         if (teams.length === 0) {
             container.innerHTML = `
@@ -387,7 +432,7 @@ async function loadMyTeams() {
                 </div>
             `;
         } else {
-            container.innerHTML = teams.map(team => {
+            container.innerHTML = notificationsHtml + teams.map(team => {
                 const startDate = new Date(team.start_date);
                 const now = new Date();
                 const isUpcoming = startDate > now;
@@ -411,6 +456,7 @@ async function loadMyTeams() {
                             <p><strong>Tournament:</strong> ${team.tournament_name}</p>
                             <p><strong>Date:</strong> ${startDate.toLocaleDateString()}</p>
                             <p><strong>Total Score:</strong> ${team.total_score || 0}</p>
+                            ${team.predicted_winning_score !== null ? `<p><strong>Winning Score Prediction:</strong> ${formatToPar(team.predicted_winning_score)}</p>` : ''}
                             <p><strong>Created:</strong> ${new Date(team.created_at).toLocaleDateString()}</p>
                         </div>
                         
@@ -426,11 +472,18 @@ async function loadMyTeams() {
                                         <div style="font-size: 0.8rem; color: #666; margin-top: 0.25rem;">
                                             Rank #${golfer.world_ranking || '999'} • ${golfer.country || 'Unknown'}
                                         </div>
+                                        ${golfer.withdrew ? `
+                                            <div style="color: #f44336; font-weight: bold; margin-top: 0.25rem;">WD</div>
+                                            ${status !== 'completed' ? `<button class="btn btn-small" onclick="swapWithdrawnGolfer(${team.id}, ${team.tournament_id}, ${golfer.id})">Swap</button>` : ''}
+                                        ` : ''}
                                     </div>
                                 `).join('')}
                             </div>
                         </div>
                         
+                        ${isUpcoming ? `<button class="btn btn-secondary btn-small" style="margin-top: 1rem;" onclick="setTeamAlternates(${team.id}, ${team.tournament_id})">
+                            <i class="fas fa-user-clock"></i> Set Alternates
+                        </button>` : ''}
                         ${!team.can_edit ? '<p style="color: #666; font-style: italic; margin-top: 1rem;"><i class="fas fa-lock"></i> Team locked - tournament has started</p>' : ''}
                     </div>
                 `;
@@ -442,10 +495,112 @@ async function loadMyTeams() {
     }
 }
 
+async function dismissNotification(notificationId) {
+    try {
+        await fetch(`${API_BASE}/teams/notifications/${notificationId}/read`, {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+        });
+        loadMyTeams();
+    } catch (error) {
+        console.error('Error dismissing notification:', error);
+    }
+}
+
+// Golfers a name could refer to: the field once published, otherwise every active golfer
+async function findPickableGolfers(tournamentId, name) {
+    const fieldResponse = await fetch(`${API_BASE}/tournaments/${tournamentId}/field`);
+    const field = await fieldResponse.json();
+    
+    let candidates = field.golfers.filter(g => !g.withdrew).map(g => ({ id: g.golfer_id, name: g.name }));
+    if (!field.published) {
+        const response = await fetch(`${API_BASE}/golfers?limit=300&search=${encodeURIComponent(name)}`);
+        candidates = await response.json();
+    }
+    
+    return candidates.filter(g => g.name.toLowerCase().includes(name.toLowerCase()));
+}
+
+// Replace a withdrawn pick with another golfer from the field
+async function swapWithdrawnGolfer(teamId, tournamentId, golferId) {
+    const name = prompt('Replacement golfer name:');
+    if (!name || !name.trim()) return;
+    
+    try {
+        const matches = await findPickableGolfers(tournamentId, name.trim());
+        
+        if (matches.length !== 1) {
+            showAlert(matches.length === 0 ? 'No golfer in the field matches that name' : 'More than one golfer matches - be more specific', 'error');
+            return;
+        }
+        
+        const response = await fetch(`${API_BASE}/teams/${teamId}/swap`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${localStorage.getItem('token')}`
+            },
+            body: JSON.stringify({ outGolferId: golferId, inGolferId: matches[0].id })
+        });
+        const result = await response.json();
+        
+        if (response.ok) {
+            showAlert(`${matches[0].name} swapped in`, 'success');
+            loadMyTeams();
+        } else {
+            showAlert(result.error || 'Swap failed', 'error');
+        }
+    } catch (error) {
+        console.error('Error swapping golfer:', error);
+        showAlert('Swap failed', 'error');
+    }
+}
+
+// Up to 3 alternates, in order, to replace a withdrawal automatically
+async function setTeamAlternates(teamId, tournamentId) {
+    const headers = { 'Authorization': `Bearer ${localStorage.getItem('token')}` };
+    
+    try {
+        const currentResponse = await fetch(`${API_BASE}/teams/${teamId}/alternates`, { headers });
+        const current = await currentResponse.json();
+        
+        const input = prompt(
+            'Alternates in order, separated by commas (up to 3). Leave empty to clear.',
+            current.map(a => a.name).join(', ')
+        );
+        if (input === null) return;
+        
+        const names = input.split(',').map(n => n.trim()).filter(Boolean).slice(0, 3);
+        const golferIds = [];
+        for (const name of names) {
+            const matches = await findPickableGolfers(tournamentId, name);
+            if (matches.length !== 1) {
+                showAlert(`"${name}" ${matches.length === 0 ? 'matches no golfer' : 'matches more than one golfer'}`, 'error');
+                return;
+            }
+            golferIds.push(matches[0].id);
+        }
+        
+        const response = await fetch(`${API_BASE}/teams/${teamId}/alternates`, {
+            method: 'PUT',
+            headers: { ...headers, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ golferIds })
+        });
+        const result = await response.json();
+        
+        showAlert(response.ok ? result.message : (result.error || 'Failed to save alternates'), response.ok ? 'success' : 'error');
+    } catch (error) {
+        console.error('Error saving alternates:', error);
+        showAlert('Failed to save alternates', 'error');
+    }
+}
+
 async function loadLeaderboard() {
     const tournamentId = document.getElementById('leaderboardTournament').value;
     const container = document.getElementById('leaderboardContainer');
     
+    stopLeaderboardUpdates();
+    
     if (!tournamentId) {
         container.innerHTML = `
             <div class="empty-state">
@@ -458,45 +613,550 @@ async function loadLeaderboard() {
     }
     
     try {
-        const response = await fetch(`${API_BASE}/tournaments/${tournamentId}/leaderboard`);
-        const leaderboard = await response.json();
+        const [response] = await Promise.all([
+            fetch(`${API_BASE}/tournaments/${tournamentId}/leaderboard`),
+            loadTournamentOwnership(tournamentId)
+        ]);
+        currentLeaderboard = await response.json();
+        renderLeaderboard(currentLeaderboard);
+        subscribeToLeaderboard(tournamentId);
+    } catch (error) {
+        console.error('Error loading leaderboard:', error);
+        showAlert('Failed to load leaderboard', 'error');
+    }
+}
+
+// Live updates: SSE stream first, polling if the browser or a proxy can't keep it open
+function subscribeToLeaderboard(tournamentId) {
+    if (!window.EventSource) {
+        startLeaderboardPolling(tournamentId);
+        return;
+    }
+    
+    let consecutiveErrors = 0;
+    leaderboardSource = new EventSource(`${API_BASE}/tournaments/${tournamentId}/leaderboard/stream`);
+    
+    leaderboardSource.addEventListener('snapshot', (event) => {
+        consecutiveErrors = 0;
+        const data = JSON.parse(event.data);
+        const previousPositions = getLeaderboardPositions(currentLeaderboard);
+        currentLeaderboard = data.leaderboard;
+        renderLeaderboard(currentLeaderboard, previousPositions);
+    });
+    
+    leaderboardSource.addEventListener('delta', (event) => {
+        consecutiveErrors = 0;
+        applyLeaderboardDelta(JSON.parse(event.data));
+    });
+    
+    leaderboardSource.onerror = () => {
+        consecutiveErrors++;
+        if (leaderboardSource.readyState === EventSource.CLOSED || consecutiveErrors >= 3) {
+            console.warn('Leaderboard stream unavailable, falling back to polling');
+            leaderboardSource.close();
+            leaderboardSource = null;
+            startLeaderboardPolling(tournamentId);
+        }
+    };
+}
+
+function startLeaderboardPolling(tournamentId) {
+    leaderboardPollTimer = setInterval(async () => {
+        try {
+            const response = await fetch(`${API_BASE}/tournaments/${tournamentId}/leaderboard`);
+            const leaderboard = await response.json();
+            const previousPositions = getLeaderboardPositions(currentLeaderboard);
+            currentLeaderboard = leaderboard;
+            renderLeaderboard(currentLeaderboard, previousPositions);
+        } catch (error) {
+            console.error('Leaderboard polling error:', error);
+        }
+    }, LEADERBOARD_POLL_INTERVAL);
+}
+
+function stopLeaderboardUpdates() {
+    if (leaderboardSource) {
+        leaderboardSource.close();
+        leaderboardSource = null;
+    }
+    if (leaderboardPollTimer) {
+        clearInterval(leaderboardPollTimer);
+        leaderboardPollTimer = null;
+    }
+}
+
+function applyLeaderboardDelta(delta) {
+    const previousPositions = getLeaderboardPositions(currentLeaderboard);
+    const removed = new Set(delta.removed);
+    const changed = new Map(delta.changed.map(row => [row.team_id, row]));
+    
+    const merged = currentLeaderboard
+        .filter(row => !removed.has(row.team_id) && !changed.has(row.team_id))
+        .concat(delta.changed);
+    
+    merged.sort((a, b) => (a.position ?? Infinity) - (b.position ?? Infinity) || a.total_score - b.total_score);
+    
+    currentLeaderboard = merged;
+    renderLeaderboard(currentLeaderboard, previousPositions);
+}
+
+function getLeaderboardPositions(leaderboard) {
+    return new Map(leaderboard.map((team, index) => [team.team_id, team.position || index + 1]));
+}
+
+function formatToPar(score) {
+    return score > 0 ? '+' + score : (score === 0 ? 'E' : score);
+}
+
+function formatRoundScores(roundScores) {
+    if (!roundScores || roundScores.length === 0) return '-';
+    return roundScores
+        .map(r => `R${r.round}: ${formatToPar(r.score)}`)
+        .join(' • ');
+}
+
+function renderLeaderboard(leaderboard, previousPositions = new Map()) {
+    const container = document.getElementById('leaderboardContainer');
+    
+    if (leaderboard.length === 0) {
+        container.innerHTML = `
+            <div class="empty-state">
+                <i class="fas fa-trophy"></i>
+                <h3>No Teams Yet</h3>
+                <p>No teams have been created for this tournament yet.</p>
+            </div>
+        `;
+        return;
+    }
+    
+    container.innerHTML = `
+        <table class="leaderboard-table">
+            <thead>
+                <tr>
+                    <th>Position</th>
+                    <th>Team Name</th>
+                    <th>Player</th>
+                    <th>Total Score</th>
+                    <th>Golfers Alive</th>
+                    <th>Rounds</th>
+                    ${currentOwnership ? '<th>Unique Picks</th>' : ''}
+                </tr>
+            </thead>
+            <tbody>
+                ${leaderboard.map((team, index) => {
+                    const position = team.position || index + 1;
+                    const previous = previousPositions.get(team.team_id);
+                    const movement = previous && previous !== position
+                        ? (position < previous ? 'moved-up' : 'moved-down')
+                        : '';
+                    
+                    return `
+                        <tr class="${movement}" data-team-id="${team.team_id}">
+                            <td class="position">${position}</td>
+                            <td>${team.team_name || 'Unnamed Team'}</td>
+                            <td>${team.username}</td>
+                            <td>
+                                ${team.total_score || 0}
+                                ${team.tiebreak_reason ? `<div><small style="color: #666;">${team.tiebreak_reason}</small></div>` : ''}
+                            </td>
+                            <td>${team.surviving_golfers ?? '-'}${team.is_complete === false ? ' (incomplete)' : ''}</td>
+                            <td>${formatRoundScores(team.round_scores)}</td>
+                            ${currentOwnership ? `<td>${currentOwnership.teams.get(team.team_id) || 0}</td>` : ''}
+                        </tr>
+                    `;
+                }).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+async function loadSeasonOptions() {
+    const select = document.getElementById('standingsSeason');
+    if (!select) return;
+    
+    try {
+        const response = await fetch(`${API_BASE}/seasons`);
+        const seasons = await response.json();
+        const selected = select.value;
         
-        if (leaderboard.length === 0) {
+        select.innerHTML = '<option value="">Select Season</option>' +
+            seasons.map(s => `<option value="${s.id}">${s.name}</option>`).join('');
+        select.value = selected;
+    } catch (error) {
+        console.error('Error loading seasons:', error);
+        showAlert('Failed to load seasons', 'error');
+    }
+}
+
+async function loadStandings() {
+    const seasonId = document.getElementById('standingsSeason').value;
+    const container = document.getElementById('standingsContainer');
+    
+    if (!seasonId) {
+        container.innerHTML = `
+            <div class="empty-state">
+                <i class="fas fa-medal"></i>
+                <h3>Select a Season</h3>
+                <p>Choose a season from the dropdown to view the standings.</p>
+            </div>
+        `;
+        return;
+    }
+    
+    try {
+        const response = await fetch(`${API_BASE}/seasons/${seasonId}/standings`);
+        const data = await response.json();
+        
+        if (!response.ok) {
+            showAlert(data.error || 'Failed to load standings', 'error');
+            return;
+        }
+        
+        if (data.standings.length === 0) {
             container.innerHTML = `
                 <div class="empty-state">
-                    <i class="fas fa-trophy"></i>
-                    <h3>No Teams Yet</h3>
-                    <p>No teams have been created for this tournament yet.</p>
+                    <i class="fas fa-medal"></i>
+                    <h3>No Results Yet</h3>
+                    <p>No tournaments in this season have been completed yet.</p>
                 </div>
             `;
             return;
         }
         
+        const totalLabel = data.season.scoring_mode === 'positions' ? 'Total Positions' : 'Points';
+        
         container.innerHTML = `
+            <p style="margin-bottom: 1rem;">
+                ${data.tournaments.length} completed tournaments
+                ${data.season.drop_worst > 0 ? ` • worst ${data.season.drop_worst} results dropped` : ''}
+            </p>
             <table class="leaderboard-table">
                 <thead>
                     <tr>
                         <th>Position</th>
-                        <th>Team Name</th>
                         <th>Player</th>
-                        <th>Total Score</th>
+                        ${data.tournaments.map(t => `<th>${t.name}</th>`).join('')}
+                        <th>${totalLabel}</th>
                     </tr>
                 </thead>
                 <tbody>
-                    ${leaderboard.map((team, index) => `
+                    ${data.standings.map(player => `
                         <tr>
-                            <td class="position">${index + 1}</td>
-                            <td>${team.team_name || 'Unnamed Team'}</td>
-                            <td>${team.username}</td>
-                            <td>${team.total_score || 0}</td>
+                            <td class="position">${player.position}</td>
+                            <td>${player.username}</td>
+                            ${player.results.map(result => `
+                                <td style="${result.dropped ? 'text-decoration: line-through; opacity: 0.5;' : ''}">
+                                    ${result.position ? result.value : '-'}
+                                </td>
+                            `).join('')}
+                            <td><strong>${player.total}</strong></td>
                         </tr>
                     `).join('')}
                 </tbody>
             </table>
         `;
     } catch (error) {
-        console.error('Error loading leaderboard:', error);
-        showAlert('Failed to load leaderboard', 'error');
+        console.error('Error loading standings:', error);
+        showAlert('Failed to load standings', 'error');
+    }
+}
+
+// Draft room
+async function loadDraftOptions() {
+    const select = document.getElementById('draftSelect');
+    if (!select) return;
+    
+    try {
+        const response = await fetch(`${API_BASE}/drafts/mine`, {
+            headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+        });
+        const drafts = await response.json();
+        const selected = select.value;
+        
+        select.innerHTML = '<option value="">Select Draft</option>' +
+            drafts.map(d => `<option value="${d.id}">${d.league_name} - ${d.tournament_name} (${d.status.replace('_', ' ')})</option>`).join('');
+        select.value = selected;
+        
+        if (draftGolferPool.length === 0) {
+            const golfersResponse = await fetch(`${API_BASE}/golfers?limit=300`);
+            draftGolferPool = (await golfersResponse.json())
+                .sort((a, b) => (a.world_ranking || 999) - (b.world_ranking || 999));
+        }
+    } catch (error) {
+        console.error('Error loading drafts:', error);
+        showAlert('Failed to load drafts', 'error');
+    }
+}
+
+async function loadDraft() {
+    const draftId = document.getElementById('draftSelect').value;
+    
+    leaveDraftRoom();
+    
+    if (!draftId) {
+        document.getElementById('draftPanels').style.display = 'none';
+        document.getElementById('draftStatus').innerHTML = '';
+        return;
+    }
+    
+    try {
+        const headers = { 'Authorization': `Bearer ${localStorage.getItem('token')}` };
+        const [draftResponse, queueResponse] = await Promise.all([
+            fetch(`${API_BASE}/drafts/${draftId}`, { headers }),
+            fetch(`${API_BASE}/drafts/${draftId}/queue`, { headers })
+        ]);
+        
+        const draft = await draftResponse.json();
+        if (!draftResponse.ok) {
+            showAlert(draft.error || 'Failed to load draft', 'error');
+            return;
+        }
+        
+        draftQueue = (await queueResponse.json()).map(entry => entry.golfer_id);
+        document.getElementById('draftPanels').style.display = '';
+        renderDraft(draft);
+        
+        await openDraftStream(draftId);
+    } catch (error) {
+        console.error('Error loading draft:', error);
+        showAlert('Failed to load draft', 'error');
+    }
+}
+
+// EventSource can't send headers, so the stream URL carries a short-lived stream
+// token rather than the session token. Stream tokens expire within a minute, so once
+// the browser gives up reconnecting with a stale one, reopen with a fresh token.
+async function openDraftStream(draftId) {
+    const response = await fetch(`${API_BASE}/auth/stream-token`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+    });
+    const { token } = await response.json();
+    if (!response.ok) throw new Error('Failed to get stream token');
+    
+    if (!currentDraft || String(currentDraft.id) !== String(draftId)) return; // left while fetching
+    if (draftSource) draftSource.close();
+    
+    const source = new EventSource(`${API_BASE}/drafts/${draftId}/stream?token=${encodeURIComponent(token)}`);
+    source.addEventListener('state', (event) => renderDraft(JSON.parse(event.data)));
+    source.onerror = () => {
+        if (source.readyState !== EventSource.CLOSED) return;
+        setTimeout(() => {
+            if (draftSource !== source) return; // left the room or already reopened
+            openDraftStream(draftId).catch(error => console.error('Draft stream reconnect error:', error));
+        }, DRAFT_STREAM_RETRY_DELAY);
+    };
+    draftSource = source;
+}
+
+function leaveDraftRoom() {
+    if (draftSource) {
+        draftSource.close();
+        draftSource = null;
+    }
+    if (draftClockTimer) {
+        clearInterval(draftClockTimer);
+        draftClockTimer = null;
+    }
+    currentDraft = null;
+}
+
+function renderDraft(draft) {
+    currentDraft = draft;
+    // Count down against the server clock, not the browser's
+    currentDraft.clockOffset = new Date(draft.server_time) - new Date();
+    
+    const participants = draft.order.length;
+    const picksByNumber = new Map(draft.picks.map(pick => [pick.pick_number, pick]));
+    const awaitingStart = draft.status === 'scheduled'; // the server checks league admin rights
+    
+    let rows = '';
+    for (let round = 1; round <= draft.rounds; round++) {
+        const cells = draft.order.map((member, index) => {
+            // Snake: even rounds run in reverse
+            const position = round % 2 === 1 ? index : participants - 1 - index;
+            const pickNumber = (round - 1) * participants + position + 1;
+            const pick = picksByNumber.get(pickNumber);
+            const onClock = draft.on_the_clock && draft.on_the_clock.pick_number === pickNumber;
+            return `
+                <td style="${onClock ? 'background: rgba(255, 215, 0, 0.2);' : ''}">
+                    ${pick ? `${getCountryFlag(pick.country)} ${pick.golfer_name}${pick.is_auto ? ' <small>(auto)</small>' : ''}` : `<small>#${pickNumber}</small>`}
+                </td>
+            `;
+        });
+        rows += `<tr><td class="position">R${round}</td>${cells.join('')}</tr>`;
+    }
+    
+    document.getElementById('draftBoard').innerHTML = `
+        <table class="leaderboard-table">
+            <thead>
+                <tr>
+                    <th></th>
+                    ${draft.order.map(member => `<th>${member.username}</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+        ${awaitingStart ? `<button class="btn" style="margin-top: 1rem;" onclick="startDraft()">Start Draft</button>` : ''}
+    `;
+    
+    renderDraftClock();
+    if (draftClockTimer) clearInterval(draftClockTimer);
+    if (draft.status === 'in_progress') {
+        draftClockTimer = setInterval(renderDraftClock, 1000);
+    }
+    
+    renderDraftGolfers();
+    renderDraftQueue();
+}
+
+function renderDraftClock() {
+    const status = document.getElementById('draftStatus');
+    if (!currentDraft) return;
+    
+    if (currentDraft.status === 'scheduled') {
+        status.innerHTML = `<p>Waiting for the league admin to start the draft. ${currentDraft.pick_seconds}s per pick.</p>`;
+    } else if (currentDraft.status === 'completed') {
+        status.innerHTML = '<p><strong>Draft complete.</strong> Your roster is on the My Teams page.</p>';
+    } else {
+        const clock = currentDraft.on_the_clock;
+        const deadline = new Date(currentDraft.current_pick_deadline);
+        const remaining = Math.max(0, Math.round((deadline - new Date() - currentDraft.clockOffset) / 1000));
+        const isMine = currentUser && clock.user_id === currentUser.id;
+        status.innerHTML = `
+            <p>
+                Pick ${clock.pick_number} (round ${clock.round}):
+                <strong>${isMine ? 'You are on the clock!' : `${clock.username} is on the clock`}</strong>
+                - ${remaining}s left
+            </p>
+        `;
+    }
+}
+
+function getDraftedGolferIds() {
+    return new Set(currentDraft ? currentDraft.picks.map(pick => pick.golfer_id) : []);
+}
+
+function renderDraftGolfers() {
+    const container = document.getElementById('draftGolfers');
+    if (!currentDraft || !container) return;
+    
+    const drafted = getDraftedGolferIds();
+    const search = document.getElementById('draftGolferSearch').value.toLowerCase();
+    const isMyTurn = currentDraft.on_the_clock && currentUser && currentDraft.on_the_clock.user_id === currentUser.id;
+    
+    const available = draftGolferPool
+        .filter(golfer => !drafted.has(golfer.id))
+        .filter(golfer => !search || golfer.name.toLowerCase().includes(search))
+        .slice(0, 100);
+    
+    container.innerHTML = available.map(golfer => `
+        <div style="display: flex; justify-content: space-between; align-items: center; padding: 0.5rem 0; border-bottom: 1px solid rgba(255,255,255,0.1);">
+            <span>${getCountryFlag(golfer.country)} ${golfer.name} <small>#${golfer.world_ranking || '-'}</small></span>
+            <span>
+                ${draftQueue.includes(golfer.id) ? '' : `<button class="btn btn-secondary btn-small" onclick="addToDraftQueue(${golfer.id})">Queue</button>`}
+                ${isMyTurn ? `<button class="btn btn-small" onclick="draftGolfer(${golfer.id})">Draft</button>` : ''}
+            </span>
+        </div>
+    `).join('');
+}
+
+function renderDraftQueue() {
+    const container = document.getElementById('draftQueue');
+    const drafted = getDraftedGolferIds();
+    const queued = draftQueue
+        .filter(id => !drafted.has(id))
+        .map(id => draftGolferPool.find(golfer => golfer.id === id))
+        .filter(Boolean);
+    
+    if (queued.length === 0) {
+        container.innerHTML = '<p style="opacity: 0.7;">Your queue is empty - the best-ranked available golfer will be auto-picked.</p>';
+        return;
+    }
+    
+    container.innerHTML = queued.map((golfer, index) => `
+        <div style="display: flex; justify-content: space-between; align-items: center; padding: 0.5rem 0;">
+            <span>${index + 1}. ${golfer.name}</span>
+            <span>
+                ${index > 0 ? `<button class="btn btn-secondary btn-small" onclick="moveInDraftQueue(${golfer.id}, -1)">↑</button>` : ''}
+                <button class="btn btn-secondary btn-small" onclick="removeFromDraftQueue(${golfer.id})">✕</button>
+            </span>
+        </div>
+    `).join('');
+}
+
+async function saveDraftQueue() {
+    try {
+        const response = await fetch(`${API_BASE}/drafts/${currentDraft.id}/queue`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${localStorage.getItem('token')}`
+            },
+            body: JSON.stringify({ golferIds: draftQueue })
+        });
+        
+        if (!response.ok) {
+            const data = await response.json();
+            showAlert(data.error || 'Failed to save queue', 'error');
+        }
+    } catch (error) {
+        console.error('Error saving draft queue:', error);
+        showAlert('Failed to save queue', 'error');
+    }
+    renderDraftGolfers();
+    renderDraftQueue();
+}
+
+function addToDraftQueue(golferId) {
+    draftQueue.push(golferId);
+    saveDraftQueue();
+}
+
+function removeFromDraftQueue(golferId) {
+    draftQueue = draftQueue.filter(id => id !== golferId);
+    saveDraftQueue();
+}
+
+function moveInDraftQueue(golferId, offset) {
+    const index = draftQueue.indexOf(golferId);
+    const target = index + offset;
+    if (index < 0 || target < 0 || target >= draftQueue.length) return;
+    [draftQueue[index], draftQueue[target]] = [draftQueue[target], draftQueue[index]];
+    saveDraftQueue();
+}
+
+async function draftGolfer(golferId) {
+    try {
+        const response = await fetch(`${API_BASE}/drafts/${currentDraft.id}/picks`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${localStorage.getItem('token')}`
+            },
+            body: JSON.stringify({ golferId })
+        });
+        const data = await response.json();
+        
+        showAlert(response.ok ? data.message : (data.error || 'Pick failed'), response.ok ? 'success' : 'error');
+    } catch (error) {
+        console.error('Error making draft pick:', error);
+        showAlert('Pick failed', 'error');
+    }
+}
+
+async function startDraft() {
+    try {
+        const response = await fetch(`${API_BASE}/drafts/${currentDraft.id}/start`, {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+        });
+        const data = await response.json();
+        
+        showAlert(response.ok ? data.message : (data.error || 'Failed to start draft'), response.ok ? 'success' : 'error');
+    } catch (error) {
+        console.error('Error starting draft:', error);
+        showAlert('Failed to start draft', 'error');
     }
 }
 
@@ -596,9 +1256,13 @@ async function loadTournamentManagement() {
                         <p><strong>Location:</strong> ${tournament.location || 'N/A'}</p>
                         <p><strong>Dates:</strong> ${startDate.toLocaleDateString()} - ${endDate.toLocaleDateString()}</p>
                         <p><strong>Teams:</strong> ${tournament.team_count || 0} teams registered</p>
+                        <p><strong>Score polling:</strong> ${formatScorePolling(tournament)}</p>
                     </div>
                     <div class="tournament-actions">
                         <span class="status-${status}">${statusText}</span>
+                        <button class="btn btn-small" onclick="editScorePolling(${tournament.id})">
+                            <i class="fas fa-clock"></i> Polling
+                        </button>
                         <button class="btn btn-small btn-danger" onclick="deleteTournament(${tournament.id}, '${tournament.name.replace(/'/g, "\\'")}')">
                             <i class="fas fa-trash"></i> Delete
                         </button>
@@ -621,6 +1285,159 @@ async function loadTournamentManagement() {
     }
 }
 
+function formatScorePolling(tournament) {
+    if (tournament.score_polling_enabled === false) return 'Off';
+    return `Every ${tournament.live_poll_minutes || 2} min during rounds, ${tournament.idle_poll_minutes || 60} min otherwise`;
+}
+
+// Live score polling cadence for one tournament: minutes between polls during rounds and between them
+async function editScorePolling(tournamentId) {
+    const headers = { 'Authorization': `Bearer ${localStorage.getItem('token')}` };
+    
+    try {
+        const currentResponse = await fetch(`${API_BASE}/admin/tournaments/${tournamentId}/score-polling`, { headers });
+        const current = await currentResponse.json();
+        if (!currentResponse.ok) throw new Error(current.error || `HTTP ${currentResponse.status}`);
+        
+        const input = prompt(
+            'Minutes between score polls during rounds, then between rounds and overnight (e.g. "2, 60"). Enter "off" to stop polling.',
+            current.config.enabled ? `${current.config.live_minutes}, ${current.config.idle_minutes}` : 'off'
+        );
+        if (input === null) return;
+        
+        let body;
+        if (input.trim().toLowerCase() === 'off') {
+            body = { enabled: false };
+        } else {
+            const [live, idle] = input.split(',').map(value => parseInt(value.trim()));
+            body = { enabled: true, live_minutes: live, idle_minutes: isNaN(idle) ? current.config.idle_minutes : idle };
+        }
+        
+        const response = await fetch(`${API_BASE}/admin/tournaments/${tournamentId}/score-polling`, {
+            method: 'PUT',
+            headers: { ...headers, 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json();
+        
+        if (!response.ok) {
+            showAlert(result.error || 'Failed to update score polling', 'error');
+            return;
+        }
+        
+        const next = result.next_poll_at ? ` Next poll ${new Date(result.next_poll_at).toLocaleString()}.` : '';
+        showAlert(`${result.message}.${next}`, 'success');
+        loadTournamentManagement();
+    } catch (error) {
+        console.error('Error updating score polling:', error);
+        showAlert('Failed to update score polling: ' + error.message, 'error');
+    }
+}
+
+const SCRAPING_STATUS_COLORS = {
+    completed: '#4caf50',
+    partial: '#ff9800',
+    failed: '#f44336',
+    started: '#2196f3'
+};
+
+async function loadScrapingRuns() {
+    if (!currentUser || !currentUser.isAdmin) return;
+    
+    const container = document.getElementById('scrapingRunsContainer');
+    if (!container) return;
+    
+    const params = new URLSearchParams({ limit: 50 });
+    const operation = document.getElementById('scrapingRunOperation')?.value;
+    const status = document.getElementById('scrapingRunStatus')?.value;
+    if (operation) params.set('operation', operation);
+    if (status) params.set('status', status);
+    if (document.getElementById('scrapingRunJobsOnly')?.checked) params.set('jobs', 'true');
+    
+    try {
+        const headers = { 'Authorization': `Bearer ${localStorage.getItem('token')}` };
+        const [response, statusResponse] = await Promise.all([
+            fetch(`${API_BASE}/admin/scraping/runs?${params}`, { headers }),
+            fetch(`${API_BASE}/admin/scraping/status`, { headers })
+        ]);
+        
+        if (!response.ok) {
+            const errorData = await response.json();
+            throw new Error(errorData.error || `HTTP ${response.status}`);
+        }
+        
+        const { runs, total } = await response.json();
+        
+        // Jobs holding their lock right now, and which server/CLI process has it
+        const runningJobs = statusResponse.ok ? (await statusResponse.json()).runningJobs || [] : [];
+        const runningHtml = runningJobs.length > 0 ? `
+            <div style="background: #e3f2fd; padding: 0.75rem; border-radius: 8px; margin-bottom: 1rem;">
+                <strong>Running now:</strong>
+                ${runningJobs.map(lock => `${lock.job_name} on ${lock.owner} since ${new Date(lock.acquired_at).toLocaleTimeString()}`).join(', ')}
+            </div>
+        ` : '';
+        
+        if (runs.length === 0) {
+            container.innerHTML = runningHtml + `
+                <div class="empty-state">
+                    <i class="fas fa-history"></i>
+                    <p>No scraping runs recorded yet.</p>
+                </div>
+            `;
+            return;
+        }
+        
+        container.innerHTML = runningHtml + `
+            <p style="color: #666; margin-bottom: 0.5rem;">Showing ${runs.length} of ${total} runs</p>
+            <table class="leaderboard-table">
+                <thead>
+                    <tr>
+                        <th>Started</th>
+                        <th>Job</th>
+                        <th>Source</th>
+                        <th>Status</th>
+                        <th>Processed</th>
+                        <th>Created</th>
+                        <th>Updated</th>
+                        <th>Duration</th>
+                        <th>Error</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${runs.map(run => `
+                        <tr>
+                            <td>${new Date(run.started_at).toLocaleString()}</td>
+                            <td>${run.operation}</td>
+                            <td>${run.source}</td>
+                            <td style="color: ${SCRAPING_STATUS_COLORS[run.status] || 'inherit'}; font-weight: bold;">${run.status}</td>
+                            <td>${run.records_processed ?? 0}</td>
+                            <td>${run.records_created ?? 0}</td>
+                            <td>${run.records_updated ?? 0}</td>
+                            <td>${run.execution_time_ms !== null ? `${(run.execution_time_ms / 1000).toFixed(1)}s` : '-'}</td>
+                            <td><small>${run.error_message || ''}${run.metadata?.error_count > 1 ? ` (+${run.metadata.error_count - 1} more)` : ''}</small></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    } catch (error) {
+        console.error('Error loading scraping runs:', error);
+        container.innerHTML = `
+            <div class="empty-state">
+                <i class="fas fa-exclamation-triangle"></i>
+                <p>Error: ${error.message}</p>
+                <button class="btn" onclick="loadScrapingRuns()">Try Again</button>
+            </div>
+        `;
+    }
+}
+
+// "Check Scraping Status" jumps to the run history
+function checkScrapingStatus() {
+    loadScrapingRuns();
+    document.getElementById('scrapingRunsCard')?.scrollIntoView({ behavior: 'smooth' });
+}
+
 // FIXED: Safe golfer validation without problematic regex
 function isValidGolferName(name) {
     if (!name || typeof name !== 'string') return false;
@@ -733,17 +1550,25 @@ function createTeam(tournamentId) {
     
     // Reset team builder state for new team
     selectedGolfers = [];
+    lockedTeamGolferIds = new Set();
     updateSelectedGolfersDisplay();
     
     // Update team builder UI
     document.getElementById('selectedTournamentName').textContent = currentTournament.name;
     document.getElementById('selectedTournamentInfo').textContent = 
-        `${currentTournament.course_name || ''} • ${currentTournament.location || ''} • ${startDate.toLocaleDateString()}`;
+        `${currentTournament.course_name || ''} • ${currentTournament.location || ''} • ${startDate.toLocaleDateString()} • ${formatRosterRules()}`;
     document.getElementById('teamName').value = '';
+    document.getElementById('predictedWinningScore').value = '';
     
     // Show team builder and load golfers
     showView('teamBuilder');
-    loadGolfers();
+    Promise.all([
+        loadTournamentSalaries(tournamentId),
+        loadTournamentTiers(tournamentId),
+        loadTournamentField(tournamentId),
+        loadTournamentProjections(tournamentId),
+        loadTournamentOwnership(tournamentId)
+    ]).then(loadGolfers);
 }
 
 async function editExistingTeam(tournamentId) {
@@ -781,6 +1606,7 @@ async function editTeam(teamId, tournamentId) {
         }
         
         const teamData = await teamResponse.json();
+        lockedTeamGolferIds = new Set(teamData.locked_golfer_ids || []);
         
         // Find the tournament
         currentTournament = tournaments.find(t => t.id === tournamentId);
@@ -790,12 +1616,16 @@ async function editTeam(teamId, tournamentId) {
         }
         
         // Pre-populate team builder with existing team data
-        const existingGolferIds = [
-            teamData.golfer1_id, teamData.golfer2_id, teamData.golfer3_id,
-            teamData.golfer4_id, teamData.golfer5_id, teamData.golfer6_id
-        ].filter(Boolean);
-        
-        // Load golfers first
+        const existingGolferIds = teamData.golfer_ids || [];
+        
+        // Load prices and golfers first
+        await Promise.all([
+            loadTournamentSalaries(tournamentId),
+            loadTournamentTiers(tournamentId),
+            loadTournamentField(tournamentId),
+            loadTournamentProjections(tournamentId),
+            loadTournamentOwnership(tournamentId)
+        ]);
         await loadGolfers();
         
         // Set selected golfers
@@ -804,8 +1634,9 @@ async function editTeam(teamId, tournamentId) {
         // Update team builder UI
         document.getElementById('selectedTournamentName').textContent = currentTournament.name;
         document.getElementById('selectedTournamentInfo').textContent = 
-            `${currentTournament.course_name || ''} • ${currentTournament.location || ''} • ${new Date(currentTournament.start_date).toLocaleDateString()}`;
+            `${currentTournament.course_name || ''} • ${currentTournament.location || ''} • ${new Date(currentTournament.start_date).toLocaleDateString()} • ${formatRosterRules()}`;
         document.getElementById('teamName').value = teamData.team_name || '';
+        document.getElementById('predictedWinningScore').value = teamData.predicted_winning_score ?? '';
         
         // Update displays
         updateSelectedGolfersDisplay();
@@ -822,6 +1653,123 @@ async function editTeam(teamId, tournamentId) {
     }
 }
 
+async function loadTournamentSalaries(tournamentId) {
+    currentSalaries = new Map();
+    currentSalaryCap = null;
+    
+    try {
+        const response = await fetch(`${API_BASE}/tournaments/${tournamentId}/salaries`);
+        if (!response.ok) return;
+        
+        const pricing = await response.json();
+        currentSalaryCap = pricing.salary_cap;
+        pricing.salaries.forEach(s => currentSalaries.set(s.golfer_id, s.salary));
+    } catch (error) {
+        console.error('Error loading salaries:', error);
+    }
+}
+
+async function loadTournamentField(tournamentId) {
+    currentField = null;
+    teedOffGolferIds = new Set();
+    
+    try {
+        const response = await fetch(`${API_BASE}/tournaments/${tournamentId}/field`);
+        if (!response.ok) return;
+        
+        const field = await response.json();
+        if (field.published) {
+            currentField = new Set(field.golfers.filter(g => !g.withdrew).map(g => g.golfer_id));
+            teedOffGolferIds = new Set(field.golfers.filter(g => g.locked).map(g => g.golfer_id));
+        }
+    } catch (error) {
+        console.error('Error loading tournament field:', error);
+    }
+}
+
+// 403 until the tournament locks; only golfers who have teed off are included
+async function loadTournamentOwnership(tournamentId) {
+    currentOwnership = null;
+    
+    try {
+        const response = await fetch(`${API_BASE}/tournaments/${tournamentId}/ownership`);
+        if (!response.ok) return;
+        
+        const ownership = await response.json();
+        currentOwnership = {
+            golfers: new Map(ownership.golfers.map(g => [g.golfer_id, g.ownership_pct])),
+            teams: new Map(ownership.teams.map(t => [t.team_id, t.unique_picks]))
+        };
+    } catch (error) {
+        console.error('Error loading ownership:', error);
+    }
+}
+
+async function loadTournamentProjections(tournamentId) {
+    currentProjections = new Map();
+    
+    try {
+        const response = await fetch(`${API_BASE}/tournaments/${tournamentId}/projections`);
+        if (!response.ok) return;
+        
+        const projections = await response.json();
+        projections.golfers.forEach(p => currentProjections.set(p.golfer_id, p));
+    } catch (error) {
+        console.error('Error loading projections:', error);
+    }
+}
+
+async function loadTournamentTiers(tournamentId) {
+    currentTiers = null;
+    
+    try {
+        // 404 = free picks
+        const response = await fetch(`${API_BASE}/tournaments/${tournamentId}/tiers`);
+        if (!response.ok) return;
+        
+        const data = await response.json();
+        currentTiers = {
+            tiers: data.tiers,
+            tierByGolfer: new Map(data.assignments.map(a => [a.golfer_id, a.tier]))
+        };
+    } catch (error) {
+        console.error('Error loading tiers:', error);
+    }
+}
+
+function getTierPickCount(tierName) {
+    return selectedGolfers.filter(g => currentTiers.tierByGolfer.get(g.id) === tierName).length;
+}
+
+// True when the golfer's tier already has all its picks
+function isTierFull(golferId) {
+    if (!currentTiers) return false;
+    const tierName = currentTiers.tierByGolfer.get(golferId);
+    const tier = currentTiers.tiers.find(t => t.name === tierName);
+    return !!tier && getTierPickCount(tier.name) >= tier.picks;
+}
+
+function getSelectedSalary() {
+    return selectedGolfers.reduce((sum, golfer) => sum + (currentSalaries.get(golfer.id) || 0), 0);
+}
+
+function getRemainingBudget() {
+    return currentSalaryCap === null ? null : currentSalaryCap - getSelectedSalary();
+}
+
+// Roster format comes from the tournament (or admin team details); older tournaments pick 6, best 4 count
+function getRosterSize(tournament = currentTournament) {
+    return tournament?.roster_size || DEFAULT_ROSTER_SIZE;
+}
+
+function getCountingScores(tournament = currentTournament) {
+    return tournament?.counting_scores || DEFAULT_COUNTING_SCORES;
+}
+
+function formatRosterRules(tournament = currentTournament) {
+    return `Pick ${getRosterSize(tournament)}, best ${getCountingScores(tournament)} count`;
+}
+
 // Enhanced golfer loading and display with professional data
 async function loadGolfers() {
     try {
@@ -835,6 +1783,11 @@ async function loadGolfers() {
         const response = await fetch(url);
         golfers = await response.json();
         
+        // Only golfers entered in the tournament, once the field is out
+        if (currentField) {
+            golfers = golfers.filter(g => currentField.has(g.id) || lockedTeamGolferIds.has(g.id));
+        }
+        
         // Sort by world ranking for better display
         golfers.sort((a, b) => (a.world_ranking || 999) - (b.world_ranking || 999));
         
@@ -874,9 +1827,16 @@ function displayGolfers(golferList) {
         return;
     }
     
-    container.innerHTML = golferList.map(golfer => {
+    const remainingBudget = getRemainingBudget();
+    
+    const renderGolferCard = (golfer) => {
         const isSelected = selectedGolfers.some(s => s.id === golfer.id);
-        const isDisabled = selectedGolfers.length >= 6 && !isSelected;
+        const salary = currentSalaries.get(golfer.id);
+        const projection = currentProjections.get(golfer.id);
+        const ownershipPct = currentOwnership?.golfers.get(golfer.id);
+        const isOverBudget = remainingBudget !== null && !isSelected && (salary || 0) > remainingBudget;
+        const isLocked = isSelected ? lockedTeamGolferIds.has(golfer.id) : teedOffGolferIds.has(golfer.id);
+        const isDisabled = isLocked || ((selectedGolfers.length >= getRosterSize() || isOverBudget || isTierFull(golfer.id)) && !isSelected);
         
         // Enhanced golfer display with professional data
         const earnings = golfer.career_earnings ? formatCurrency(golfer.career_earnings) : 'N/A';
@@ -896,6 +1856,25 @@ function displayGolfers(golferList) {
                     ${golfer.wins_this_season > 0 ? '<span class="wins-badge">🏆</span>' : ''}
                 </div>
                 <div class="golfer-stats">
+                    ${currentSalaryCap !== null && salary ? `
+                    <div class="golfer-stat">
+                        <span>Salary:</span>
+                        <span><strong>$${salary.toLocaleString()}</strong></span>
+                    </div>` : ''}
+                    ${projection ? `
+                    <div class="golfer-stat">
+                        <span>Projected:</span>
+                        <span><strong>${formatToPar(projection.expected_score)}</strong></span>
+                    </div>
+                    <div class="golfer-stat">
+                        <span>Make Cut:</span>
+                        <span>${Math.round(projection.make_cut_probability * 100)}%</span>
+                    </div>` : ''}
+                    ${ownershipPct !== undefined ? `
+                    <div class="golfer-stat">
+                        <span>Owned:</span>
+                        <span>${ownershipPct}%</span>
+                    </div>` : ''}
                     <div class="golfer-stat">
                         <span>Country:</span>
                         <span>${golfer.country || 'Unknown'}</span>
@@ -914,9 +1893,29 @@ function displayGolfers(golferList) {
                     </div>
                 </div>
                 ${isSelected ? '<div class="selected-indicator">✓ SELECTED</div>' : ''}
+                ${isLocked ? '<div class="selected-indicator"><i class="fas fa-lock"></i> TEED OFF</div>' : ''}
                 ${golfer.data_source === 'complete_professional_load' || golfer.data_source === 'professional_load' ? '<div class="pro-badge">PRO DATA</div>' : ''}
             </div>
         `;
+    };
+    
+    if (!currentTiers) {
+        container.innerHTML = golferList.map(renderGolferCard).join('');
+        return;
+    }
+    
+    // Tiered picks: group the field under a header per tier
+    container.innerHTML = currentTiers.tiers.map(tier => {
+        const tierGolfers = golferList.filter(g => currentTiers.tierByGolfer.get(g.id) === tier.name);
+        const picked = getTierPickCount(tier.name);
+        
+        return `
+            <div style="grid-column: 1 / -1; margin-top: 1rem; font-weight: bold; color: #1e3c72;">
+                Tier ${tier.name} - pick ${tier.picks}
+                <span style="color: ${picked === tier.picks ? '#4caf50' : 'inherit'};">(${picked}/${tier.picks} selected)</span>
+            </div>
+            ${tierGolfers.map(renderGolferCard).join('')}
+        `;
     }).join('');
 }
 
@@ -926,13 +1925,28 @@ function toggleGolferSelection(golferId) {
     
     const isSelected = selectedGolfers.some(s => s.id === golferId);
     
+    // Slots lock once the golfer tees off
+    if (isSelected ? lockedTeamGolferIds.has(golferId) : teedOffGolferIds.has(golferId)) {
+        showAlert(`${golfer.name} has already teed off`, 'error');
+        return;
+    }
+    
     if (isSelected) {
         // Remove golfer
         selectedGolfers = selectedGolfers.filter(s => s.id !== golferId);
     } else {
         // Add golfer (if under limit)
-        if (selectedGolfers.length >= 6) {
-            showAlert('You can only select 6 golfers maximum', 'error');
+        if (selectedGolfers.length >= getRosterSize()) {
+            showAlert(`You can only select ${getRosterSize()} golfers maximum`, 'error');
+            return;
+        }
+        const remainingBudget = getRemainingBudget();
+        if (remainingBudget !== null && (currentSalaries.get(golferId) || 0) > remainingBudget) {
+            showAlert(`${golfer.name} costs more than your remaining $${remainingBudget.toLocaleString()}`, 'error');
+            return;
+        }
+        if (isTierFull(golferId)) {
+            showAlert(`You already have all your picks from tier ${currentTiers.tierByGolfer.get(golferId)}`, 'error');
             return;
         }
         selectedGolfers.push(golfer);
@@ -944,21 +1958,36 @@ function toggleGolferSelection(golferId) {
 
 function updateSelectedGolfersDisplay() {
     const count = selectedGolfers.length;
+    const rosterSize = getRosterSize();
     document.getElementById('selectedCount').textContent = count;
+    document.getElementById('rosterSizeLabel').textContent = rosterSize;
+    
+    const budget = document.getElementById('salaryBudget');
+    const remainingBudget = getRemainingBudget();
+    if (budget) {
+        budget.style.display = remainingBudget === null ? 'none' : 'block';
+        if (remainingBudget !== null) {
+            budget.innerHTML = `Remaining: <span style="color: ${remainingBudget < 0 ? '#f44336' : 'inherit'};">$${remainingBudget.toLocaleString()}</span> of $${currentSalaryCap.toLocaleString()}`;
+        }
+    }
     
     const saveBtn = document.getElementById('saveTeamBtn');
     const teamNameInput = document.getElementById('teamName');
     
-    // Enable save button only when we have 6 golfers AND a team name
-    if (count === 6 && teamNameInput?.value.trim()) {
+    const overCap = remainingBudget !== null && remainingBudget < 0;
+    
+    // Enable save button only when the roster is full AND there's a team name (and we're under the cap)
+    if (count === rosterSize && teamNameInput?.value.trim() && !overCap) {
         saveBtn.disabled = false;
         saveBtn.innerHTML = '<i class="fas fa-save"></i> Save Team';
     } else {
         saveBtn.disabled = true;
-        if (count < 6) {
-            saveBtn.innerHTML = `<i class="fas fa-save"></i> Save Team (${count}/6 golfers selected)`;
+        if (count < rosterSize) {
+            saveBtn.innerHTML = `<i class="fas fa-save"></i> Save Team (${count}/${rosterSize} golfers selected)`;
         } else if (!teamNameInput?.value.trim()) {
             saveBtn.innerHTML = '<i class="fas fa-save"></i> Save Team (Enter team name)';
+        } else if (overCap) {
+            saveBtn.innerHTML = '<i class="fas fa-save"></i> Save Team (Over salary cap)';
         }
     }
     
@@ -971,13 +2000,16 @@ function updateSelectedGolfersDisplay() {
         selectedCard.style.display = 'block';
         selectedList.innerHTML = selectedGolfers.map((golfer, index) => `
             <div class="selected-golfer-card">
-                <button class="remove-golfer" onclick="removeGolfer(${golfer.id})" title="Remove golfer">×</button>
+                ${lockedTeamGolferIds.has(golfer.id)
+                    ? '<span class="remove-golfer" title="Teed off"><i class="fas fa-lock"></i></span>'
+                    : `<button class="remove-golfer" onclick="removeGolfer(${golfer.id})" title="Remove golfer">×</button>`}
                 <div class="golfer-name">
                     <span class="country-flag">${getCountryFlag(golfer.country)}</span>
                     ${golfer.name}
                 </div>
                 <div style="font-size: 0.9rem; color: #666; margin-top: 0.5rem;">
                     Rank #${golfer.world_ranking || '999'} • ${golfer.country || 'Unknown'}
+                    ${currentSalaryCap !== null ? ' • $' + (currentSalaries.get(golfer.id) || 0).toLocaleString() : ''}
                     ${golfer.career_earnings ? ' • ' + formatCurrency(golfer.career_earnings) : ''}
                 </div>
             </div>
@@ -986,13 +2018,17 @@ function updateSelectedGolfersDisplay() {
 }
 
 function removeGolfer(golferId) {
+    if (lockedTeamGolferIds.has(golferId)) {
+        showAlert('That golfer has already teed off', 'error');
+        return;
+    }
     selectedGolfers = selectedGolfers.filter(s => s.id !== golferId);
     updateSelectedGolfersDisplay();
     displayGolfers(golfers); // Refresh display
 }
 
 function clearTeam() {
-    selectedGolfers = [];
+    selectedGolfers = selectedGolfers.filter(s => lockedTeamGolferIds.has(s.id));
     updateSelectedGolfersDisplay();
     displayGolfers(golfers); // Refresh display
     document.getElementById('teamName').value = '';
@@ -1004,8 +2040,8 @@ async function saveTeam() {
         return;
     }
     
-    if (selectedGolfers.length !== 6) {
-        showAlert('Please select exactly 6 golfers for your team', 'error');
+    if (selectedGolfers.length !== getRosterSize()) {
+        showAlert(`Please select exactly ${getRosterSize()} golfers for your team`, 'error');
         return;
     }
     
@@ -1034,6 +2070,7 @@ async function saveTeam() {
         saveBtn.innerHTML = '<i class="loading-spinner"></i> Saving...';
         
         const golferIds = selectedGolfers.map(g => g.id);
+        const prediction = document.getElementById('predictedWinningScore').value.trim();
         
         const response = await fetch(`${API_BASE}/teams`, {
             method: 'POST',
@@ -1044,7 +2081,8 @@ async function saveTeam() {
             body: JSON.stringify({
                 tournamentId: currentTournament.id,
                 teamName: teamName,
-                golferIds: golferIds
+                golferIds: golferIds,
+                predictedWinningScore: prediction === '' ? null : parseInt(prediction)
             })
         });
         
@@ -1362,7 +2400,7 @@ function showTeamEditModal(teamDetails) {
             </div>
             
             <div class="team-edit-section">
-                <h4><i class="fas fa-golf-ball"></i> Current Golfers (${teamDetails.golfers.length}/6)</h4>
+                <h4><i class="fas fa-golf-ball"></i> Current Golfers (${teamDetails.golfers.length}/${getRosterSize(teamDetails)})</h4>
                 <div id="currentGolfers" class="selected-golfers-container has-golfers">
                     ${teamDetails.golfers.map(golfer => `
                         <div class="selected-golfer-item">
@@ -1378,9 +2416,9 @@ function showTeamEditModal(teamDetails) {
                         </div>
                     `).join('')}
                 </div>
-                ${teamDetails.golfers.length < 6 ? `
+                ${teamDetails.golfers.length < getRosterSize(teamDetails) ? `
                     <div style="color: #ff9800; font-weight: bold; margin-top: 0.5rem;">
-                        ⚠️ Team incomplete: ${6 - teamDetails.golfers.length} more golfer(s) needed
+                        ⚠️ Team incomplete: ${getRosterSize(teamDetails) - teamDetails.golfers.length} more golfer(s) needed
                     </div>
                 ` : ''}
             </div>
@@ -1454,7 +2492,7 @@ async function searchGolfersForEdit(searchTerm) {
         
         resultsContainer.innerHTML = golfers.map(golfer => {
             const isSelected = currentGolferIds.includes(golfer.id);
-            const isDisabled = currentGolferIds.length >= 6 && !isSelected;
+            const isDisabled = currentGolferIds.length >= getRosterSize(window.editingTeamDetails) && !isSelected;
             
             return `
                 <div class="golfer-result-item ${isSelected ? 'selected' : ''} ${isDisabled ? 'disabled' : ''}">
@@ -1490,8 +2528,9 @@ function addGolferToEdit(golferId, golferName, country, ranking) {
     }
     
     // Check if at capacity
-    if (window.editingTeamDetails.golfers.length >= 6) {
-        showAlert('Maximum 6 golfers allowed', 'error');
+    const rosterSize = getRosterSize(window.editingTeamDetails);
+    if (window.editingTeamDetails.golfers.length >= rosterSize) {
+        showAlert(`Maximum ${rosterSize} golfers allowed`, 'error');
         return;
     }
     
@@ -1563,15 +2602,16 @@ async function saveTeamChanges(teamId) {
     
     const golferIds = window.editingTeamDetails.golfers.map(g => g.id);
     const isAdmin = currentUser && currentUser.isAdmin;
+    const rosterSize = getRosterSize(window.editingTeamDetails);
     
     // Validate golfer count - admins can save incomplete teams for emergency situations
-    if (golferIds.length !== 6 && !isAdmin) {
-        showAlert('Please select exactly 6 golfers', 'error');
+    if (golferIds.length !== rosterSize && !isAdmin) {
+        showAlert(`Please select exactly ${rosterSize} golfers`, 'error');
         return;
     }
     
-    if (golferIds.length !== 6 && isAdmin) {
-        const confirmSave = confirm(`Warning: This team has ${golferIds.length}/6 golfers. As an admin, you can save incomplete teams, but this may cause issues. Continue?`);
+    if (golferIds.length !== rosterSize && isAdmin) {
+        const confirmSave = confirm(`Warning: This team has ${golferIds.length}/${rosterSize} golfers. As an admin, you can save incomplete teams, but this may cause issues. Continue?`);
         if (!confirmSave) return;
     }
     
@@ -1,6 +1,22 @@
 const express = require('express');
 const { query } = require('../config/database');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const leaderboardService = require('../services/leaderboardService');
+const scoreProviders = require('../services/scoreProviders');
+const golferIdentity = require('../services/golferIdentityService');
+const salaryService = require('../services/salaryService');
+const tierService = require('../services/tierService');
+const fieldService = require('../services/fieldService');
+const substitutionService = require('../services/substitutionService');
+const payoutService = require('../services/payoutService');
+const rosterService = require('../services/rosterService');
+const scrapingLog = require('../services/scrapingLogService');
+const jobLock = require('../services/jobLockService');
+const jobQueue = require('../services/jobQueueService');
+const scorePolling = require('../services/scorePollingService');
+
+const { PRICING_BASES } = salaryService;
+const { TIEBREAKERS } = leaderboardService;
 
 const router = express.Router();
 
@@ -96,8 +112,9 @@ router.get('/scraping/status', async (req, res) => {
             golfersUpdatedLast24h: lastUpdates.rows[0].updated_last_24h,
             recentScoreUpdates: recentScores.rows,
             activeTournaments: activeTournaments.rows[0].count,
+            runningJobs: await jobLock.getHeldLocks(),
             nextScheduledUpdate: '6:00 AM daily (golfer rankings)',
-            liveScoreInterval: 'Every 15 minutes (during active tournaments)'
+            liveScoreInterval: 'Every 2 minutes during rounds, hourly otherwise (configurable per tournament)'
         });
         
     } catch (error) {
@@ -106,22 +123,26 @@ router.get('/scraping/status', async (req, res) => {
     }
 });
 
+// Queue a scraping job for the worker; an identical job already waiting is reused.
+// Poll GET /jobs/:id for its status.
+const enqueueScrapingJob = async (req, jobType) => {
+    const { job, created } = await jobQueue.enqueue(jobType, {}, { dedupeKey: jobType, createdBy: req.user.userId });
+    return {
+        job_id: job.id,
+        status: job.status,
+        already_queued: !created,
+        status_url: `/api/admin/jobs/${job.id}`
+    };
+};
+
 // Manual trigger for golfer rankings update
 router.post('/scraping/update-rankings', async (req, res) => {
     try {
         console.log('🔄 Manual golfer rankings update triggered by admin...');
         
-        // Import and trigger the scraping service
-        const scrapingService = require('../../services/scrapingService');
-        
-        // Don't await - let it run in background
-        scrapingService.updateGolferRankings().catch(error => {
-            console.error('Background ranking update failed:', error);
-        });
-        
-        res.json({ 
-            message: 'Golfer rankings update started in background',
-            note: 'Check scraping status in a few minutes to see results'
+        res.status(202).json({ 
+            message: 'Golfer rankings update queued',
+            ...(await enqueueScrapingJob(req, 'golfer_rankings'))
         });
     } catch (error) {
         console.error('Manual ranking update trigger failed:', error);
@@ -134,16 +155,9 @@ router.post('/scraping/update-scores', async (req, res) => {
     try {
         console.log('🔄 Manual live scores update triggered by admin...');
         
-        const scrapingService = require('../../services/scrapingService');
-        
-        // Don't await - let it run in background  
-        scrapingService.updateLiveScores().catch(error => {
-            console.error('Background scores update failed:', error);
-        });
-        
-        res.json({ 
-            message: 'Live scores update started in background',
-            note: 'Check scraping status in a few minutes to see results'
+        res.status(202).json({ 
+            message: 'Live scores update queued',
+            ...(await enqueueScrapingJob(req, 'live_scores'))
         });
     } catch (error) {
         console.error('Manual scores update trigger failed:', error);
@@ -808,11 +822,22 @@ router.get('/scraping/health', async (req, res) => {
             ]
         };
         
+        // Last successful runs and recent failures from the scraping run history
+        const jobs = await scrapingLog.getJobSummary();
+        const lastSuccess = (operation) => jobs.find(job => job.operation === operation)?.last_success_at || null;
+        const failures = await scrapingLog.getRuns({ status: 'failed', jobsOnly: true, limit: 5 });
+        
         const stats = {
-            lastGolferUpdate: new Date(),
-            lastScoreUpdate: new Date(),
-            lastTournamentUpdate: new Date(),
-            errors: []
+            lastGolferUpdate: lastSuccess('golfer_rankings'),
+            lastScoreUpdate: lastSuccess('live_scores'),
+            lastTournamentUpdate: lastSuccess('upcoming_fields'),
+            errors: failures.runs.map(run => ({
+                operation: run.operation,
+                message: run.error_message,
+                at: run.started_at
+            })),
+            jobs,
+            locks: await jobLock.getHeldLocks()
         };
         
         res.json({
@@ -826,6 +851,102 @@ router.get('/scraping/health', async (req, res) => {
     }
 });
 
+// Scraping run history, newest first. Filters: source, operation, status,
+// since/until (timestamps), jobs=true for job runs only, limit, offset
+router.get('/scraping/runs', async (req, res) => {
+    try {
+        const { source, operation, status, since, until, jobs, limit, offset } = req.query;
+        
+        for (const [name, value] of Object.entries({ since, until })) {
+            if (value && isNaN(new Date(value).getTime())) {
+                return res.status(400).json({ error: `${name} must be a valid date` });
+            }
+        }
+        
+        res.json(await scrapingLog.getRuns({
+            source,
+            operation,
+            status,
+            since: since ? new Date(since) : null,
+            until: until ? new Date(until) : null,
+            jobsOnly: jobs === 'true',
+            limit,
+            offset
+        }));
+    } catch (error) {
+        console.error('Error loading scraping runs:', error);
+        res.status(500).json({ error: 'Failed to load scraping runs' });
+    }
+});
+
+// One run with the per-source runs it started
+router.get('/scraping/runs/:id', async (req, res) => {
+    try {
+        const run = await scrapingLog.getRun(req.params.id);
+        
+        if (!run) {
+            return res.status(404).json({ error: 'Scraping run not found' });
+        }
+        
+        res.json(run);
+    } catch (error) {
+        console.error('Error loading scraping run:', error);
+        res.status(500).json({ error: 'Failed to load scraping run' });
+    }
+});
+
+// Worker job queue, newest first. Filters: status (queued, running,
+// completed, dead), type, limit
+router.get('/jobs', async (req, res) => {
+    try {
+        const { status, type, limit } = req.query;
+        res.json(await jobQueue.getJobs({ status, jobType: type, limit }));
+    } catch (error) {
+        console.error('Error loading jobs:', error);
+        res.status(500).json({ error: 'Failed to load jobs' });
+    }
+});
+
+router.get('/jobs/:id', async (req, res) => {
+    try {
+        const job = await jobQueue.getJob(req.params.id);
+        
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        
+        res.json(job);
+    } catch (error) {
+        console.error('Error loading job:', error);
+        res.status(500).json({ error: 'Failed to load job' });
+    }
+});
+
+// Requeue a dead-lettered job with fresh attempts
+router.post('/jobs/:id/retry', async (req, res) => {
+    try {
+        const job = await jobQueue.getJob(req.params.id);
+        
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        if (job.status !== 'dead') {
+            return res.status(400).json({ error: 'Only dead jobs can be retried' });
+        }
+        
+        const retried = await jobQueue.retry(job.id);
+        if (!retried) {
+            return res.status(409).json({ error: `A ${job.job_type} job is already queued` });
+        }
+        
+        console.log(`🔁 Admin requeued dead job ${job.id} (${job.job_type})`);
+        res.json(retried);
+    } catch (error) {
+        console.error('Error retrying job:', error);
+        res.status(500).json({ error: 'Failed to retry job' });
+    }
+});
+
 // Create test tournament for checking golfer upgrades
 router.post('/test-tournament', async (req, res) => {
     try {
@@ -1094,6 +1215,476 @@ router.delete('/tournaments/:id', async (req, res) => {
     }
 });
 
+// Update missed-cut / WD / DQ scoring rules and tiebreakers, then rescore the tournament
+router.put('/tournaments/:id/scoring-rules', async (req, res) => {
+    try {
+        const tournamentId = req.params.id;
+        const {
+            cut_line,
+            missed_cut_penalty_strokes,
+            withdrawal_penalty_score,
+            disqualification_penalty_score,
+            rank_incomplete_teams_last,
+            tiebreakers
+        } = req.body;
+        
+        const integerFields = { missed_cut_penalty_strokes, withdrawal_penalty_score, disqualification_penalty_score };
+        for (const [field, value] of Object.entries(integerFields)) {
+            if (value !== undefined && !Number.isInteger(value)) {
+                return res.status(400).json({ error: `${field} must be an integer` });
+            }
+        }
+        if (cut_line !== undefined && cut_line !== null && !Number.isInteger(cut_line)) {
+            return res.status(400).json({ error: 'cut_line must be an integer or null' });
+        }
+        if (tiebreakers !== undefined && (
+            !Array.isArray(tiebreakers)
+            || tiebreakers.some(key => !TIEBREAKERS[key])
+            || new Set(tiebreakers).size !== tiebreakers.length
+        )) {
+            return res.status(400).json({
+                error: `tiebreakers must be a list of distinct values from: ${Object.keys(TIEBREAKERS).join(', ')}`
+            });
+        }
+        
+        const result = await query(`
+            UPDATE tournaments SET
+                cut_line = CASE WHEN $2 THEN $3::INTEGER ELSE cut_line END,
+                missed_cut_penalty_strokes = COALESCE($4, missed_cut_penalty_strokes),
+                withdrawal_penalty_score = COALESCE($5, withdrawal_penalty_score),
+                disqualification_penalty_score = COALESCE($6, disqualification_penalty_score),
+                rank_incomplete_teams_last = COALESCE($7, rank_incomplete_teams_last),
+                tiebreakers = COALESCE($8, tiebreakers),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+            RETURNING id, name, cut_line, missed_cut_penalty_strokes, withdrawal_penalty_score,
+                      disqualification_penalty_score, rank_incomplete_teams_last, tiebreakers
+        `, [
+            tournamentId,
+            cut_line !== undefined,
+            cut_line === undefined ? null : cut_line,
+            missed_cut_penalty_strokes,
+            withdrawal_penalty_score,
+            disqualification_penalty_score,
+            typeof rank_incomplete_teams_last === 'boolean' ? rank_incomplete_teams_last : null,
+            tiebreakers === undefined ? null : JSON.stringify(tiebreakers)
+        ]);
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Tournament not found' });
+        }
+        
+        await leaderboardService.updateTournamentLeaderboard(tournamentId);
+        
+        console.log(`⚖️ Scoring rules for "${result.rows[0].name}" updated by admin ${req.user.email}`);
+        
+        res.json({
+            message: 'Scoring rules updated and leaderboard recalculated',
+            rules: result.rows[0]
+        });
+    } catch (error) {
+        console.error('Error updating scoring rules:', error);
+        res.status(500).json({ error: 'Failed to update scoring rules' });
+    }
+});
+
+// Choose where a tournament's live scores come from (null = SCORE_PROVIDER env / ESPN)
+router.put('/tournaments/:id/score-provider', async (req, res) => {
+    try {
+        const { score_provider } = req.body;
+        
+        if (score_provider !== null && !scoreProviders.getProviderNames().includes(score_provider)) {
+            return res.status(400).json({ 
+                error: `score_provider must be null or one of: ${scoreProviders.getProviderNames().join(', ')}` 
+            });
+        }
+        
+        const result = await query(`
+            UPDATE tournaments SET score_provider = $1, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $2
+            RETURNING id, name, score_provider
+        `, [score_provider, req.params.id]);
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Tournament not found' });
+        }
+        
+        res.json({
+            message: 'Score provider updated',
+            tournament: result.rows[0],
+            effective_provider: scoreProviders.resolveName(result.rows[0])
+        });
+    } catch (error) {
+        console.error('Error updating score provider:', error);
+        res.status(500).json({ error: 'Failed to update score provider' });
+    }
+});
+
+// Turn salary-cap mode on (salary_cap) or off (null) and pick how prices are derived
+router.put('/tournaments/:id/salary-cap', async (req, res) => {
+    try {
+        const { salary_cap, pricing_basis } = req.body;
+        
+        if (salary_cap !== null && !(Number.isInteger(salary_cap) && salary_cap > 0)) {
+            return res.status(400).json({ error: 'salary_cap must be a positive integer or null' });
+        }
+        if (pricing_basis !== undefined && !PRICING_BASES.includes(pricing_basis)) {
+            return res.status(400).json({ error: `pricing_basis must be one of: ${PRICING_BASES.join(', ')}` });
+        }
+        
+        const result = await query(`
+            UPDATE tournaments SET
+                salary_cap = $1,
+                pricing_basis = COALESCE($2, pricing_basis),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $3
+            RETURNING id, name, salary_cap, pricing_basis
+        `, [salary_cap, pricing_basis || null, req.params.id]);
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Tournament not found' });
+        }
+        
+        console.log(`💰 Salary cap for "${result.rows[0].name}" set to ${salary_cap ?? 'off'} by admin ${req.user.email}`);
+        
+        res.json({ message: 'Salary cap updated', tournament: result.rows[0] });
+    } catch (error) {
+        console.error('Error updating salary cap:', error);
+        res.status(500).json({ error: 'Failed to update salary cap' });
+    }
+});
+
+// Override one golfer's price for a tournament (salary null = back to the derived price)
+router.put('/tournaments/:id/salaries/:golferId', async (req, res) => {
+    try {
+        const { salary } = req.body;
+        
+        if (salary !== null && !(Number.isInteger(salary) && salary > 0)) {
+            return res.status(400).json({ error: 'salary must be a positive integer or null' });
+        }
+        
+        const override = await salaryService.setOverride(req.params.id, req.params.golferId, salary);
+        
+        res.json({ 
+            message: override ? 'Salary override saved' : 'Salary override removed',
+            override
+        });
+    } catch (error) {
+        console.error('Error updating golfer salary:', error);
+        if (error.code === '23503') {
+            return res.status(404).json({ error: 'Tournament or golfer not found' });
+        }
+        res.status(500).json({ error: 'Failed to update golfer salary' });
+    }
+});
+
+// Set tier rules (null = free picks). See services/tierService.js for the shape
+router.put('/tournaments/:id/tier-rules', async (req, res) => {
+    try {
+        const { tier_rules } = req.body;
+        
+        const format = await rosterService.getFormat(req.params.id);
+        if (!format) {
+            return res.status(404).json({ error: 'Tournament not found' });
+        }
+        
+        if (tier_rules !== null) {
+            const error = tierService.validateRules(tier_rules, format.roster_size);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+        }
+        
+        const tournament = await tierService.setRules(req.params.id, tier_rules);
+        
+        console.log(`🎚️ Tier rules for "${tournament.name}" ${tier_rules ? 'updated' : 'cleared'} by admin ${req.user.email}`);
+        
+        res.json({ message: 'Tier rules updated', tournament });
+    } catch (error) {
+        console.error('Error updating tier rules:', error);
+        res.status(500).json({ error: 'Failed to update tier rules' });
+    }
+});
+
+// Roster format: golfers per team and how many of their best scores count.
+// The size is fixed once teams have been entered; counting rules can change any time.
+router.put('/tournaments/:id/roster-format', async (req, res) => {
+    try {
+        const current = await rosterService.getFormat(req.params.id);
+        if (!current) {
+            return res.status(404).json({ error: 'Tournament not found' });
+        }
+        
+        const rosterSize = req.body.roster_size === undefined ? current.roster_size : req.body.roster_size;
+        const countingScores = req.body.counting_scores === undefined ? current.counting_scores : req.body.counting_scores;
+        
+        const error = rosterService.validateRosterFormat(rosterSize, countingScores);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        if (rosterSize !== current.roster_size) {
+            const teams = await query('SELECT 1 FROM teams WHERE tournament_id = $1 LIMIT 1', [req.params.id]);
+            if (teams.rows.length > 0) {
+                return res.status(400).json({ error: 'Roster size cannot change once teams have been entered' });
+            }
+            
+            const tiers = await query('SELECT tier_rules FROM tournaments WHERE id = $1', [req.params.id]);
+            const tierError = tiers.rows[0].tier_rules && tierService.validateRules(tiers.rows[0].tier_rules, rosterSize);
+            if (tierError) {
+                return res.status(400).json({ error: `Update the tier rules first: ${tierError}` });
+            }
+        }
+        
+        const result = await query(`
+            UPDATE tournaments SET roster_size = $1, counting_scores = $2, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $3
+            RETURNING id, name, roster_size, counting_scores
+        `, [rosterSize, countingScores, req.params.id]);
+        
+        await leaderboardService.updateTournamentLeaderboard(req.params.id);
+        
+        console.log(`👥 Roster format for "${result.rows[0].name}" set to ${rosterSize} picks, best ${countingScores} count, by admin ${req.user.email}`);
+        
+        res.json({ message: 'Roster format updated and leaderboard recalculated', tournament: result.rows[0] });
+    } catch (error) {
+        console.error('Error updating roster format:', error);
+        res.status(500).json({ error: 'Failed to update roster format' });
+    }
+});
+
+// Replace the manual tier list: { assignments: [{ golfer_id, tier }] }
+router.put('/tournaments/:id/tiers', async (req, res) => {
+    try {
+        const { assignments } = req.body;
+        
+        if (!Array.isArray(assignments) || assignments.some(a => !Number.isInteger(a.golfer_id) || !a.tier)) {
+            return res.status(400).json({ error: 'assignments must be an array of { golfer_id, tier }' });
+        }
+        
+        const tournament = await query('SELECT tier_rules FROM tournaments WHERE id = $1', [req.params.id]);
+        
+        if (tournament.rows.length === 0) {
+            return res.status(404).json({ error: 'Tournament not found' });
+        }
+        
+        const tierNames = (tournament.rows[0].tier_rules?.tiers || []).map(t => t.name);
+        const unknown = assignments.find(a => !tierNames.includes(a.tier));
+        if (unknown) {
+            return res.status(400).json({ error: `Unknown tier "${unknown.tier}"` });
+        }
+        
+        await tierService.setAssignments(req.params.id, assignments);
+        
+        res.json({ message: `${assignments.length} golfers assigned to tiers` });
+    } catch (error) {
+        console.error('Error updating golfer tiers:', error);
+        if (error.code === '23503') {
+            return res.status(400).json({ error: 'One or more golfers not found' });
+        }
+        res.status(500).json({ error: 'Failed to update golfer tiers' });
+    }
+});
+
+// Upload a field list: { golfers: ["Name", { name, external_ids }], replace }
+// With replace, entered golfers missing from the list are withdrawn
+router.post('/tournaments/:id/field', async (req, res) => {
+    try {
+        const { golfers, replace = false } = req.body;
+        
+        if (!Array.isArray(golfers) || golfers.length === 0) {
+            return res.status(400).json({ error: 'golfers must be a non-empty array' });
+        }
+        
+        const tournament = await query('SELECT id FROM tournaments WHERE id = $1', [req.params.id]);
+        if (tournament.rows.length === 0) {
+            return res.status(404).json({ error: 'Tournament not found' });
+        }
+        
+        const result = await fieldService.importField(req.params.id, golfers, { source: 'upload', replace: replace === true });
+        
+        res.json({
+            message: `Field updated: ${result.added} added, ${result.withdrawn.length} withdrawn`,
+            ...result
+        });
+    } catch (error) {
+        console.error('Error importing field:', error);
+        res.status(500).json({ error: 'Failed to import field' });
+    }
+});
+
+// Pull the field from the tournament's score provider
+router.post('/tournaments/:id/field/sync', async (req, res) => {
+    try {
+        const tournament = await query('SELECT id, name, score_provider FROM tournaments WHERE id = $1', [req.params.id]);
+        if (tournament.rows.length === 0) {
+            return res.status(404).json({ error: 'Tournament not found' });
+        }
+        
+        const result = await fieldService.syncFieldFromProvider(tournament.rows[0]);
+        
+        if (!result) {
+            return res.json({ message: 'Provider has no field for this tournament yet (or is showing a different event)' });
+        }
+        
+        res.json({ message: `Field synced: ${result.matched} golfers`, ...result });
+    } catch (error) {
+        console.error('Error syncing field:', error);
+        res.status(500).json({ error: 'Failed to sync field' });
+    }
+});
+
+// Mark a late withdrawal; owners of affected teams are notified
+router.post('/tournaments/:id/field/:golferId/withdraw', async (req, res) => {
+    try {
+        const result = await fieldService.withdrawGolfer(req.params.id, req.params.golferId);
+        
+        if (!result) {
+            return res.status(404).json({ error: 'Golfer is not an active entrant in this tournament' });
+        }
+        
+        res.json({ message: `Golfer withdrawn; ${result.affectedTeams.length} teams notified`, ...result });
+    } catch (error) {
+        console.error('Error withdrawing golfer:', error);
+        res.status(500).json({ error: 'Failed to withdraw golfer' });
+    }
+});
+
+router.post('/tournaments/:id/field/:golferId/reinstate', async (req, res) => {
+    try {
+        const result = await fieldService.reinstateGolfer(req.params.id, req.params.golferId);
+        
+        if (!result) {
+            return res.status(404).json({ error: 'Golfer is not withdrawn from this tournament' });
+        }
+        
+        res.json({ message: 'Golfer reinstated' });
+    } catch (error) {
+        console.error('Error reinstating golfer:', error);
+        res.status(500).json({ error: 'Failed to reinstate golfer' });
+    }
+});
+
+// Tee times for a round: { round, teeTimes: [{ golfer_id, tee_time }] }. Round 1
+// tee times decide when each golfer's roster slot locks. Only entered golfers are updated.
+router.put('/tournaments/:id/tee-times', async (req, res) => {
+    try {
+        const round = parseInt(req.body.round);
+        const { teeTimes } = req.body;
+        
+        if (!(round >= 1 && round <= 4)) {
+            return res.status(400).json({ error: 'Round must be between 1 and 4' });
+        }
+        // new Date(null / 0 / true) is a valid 1970 date, so only non-empty strings are parsed
+        const isTeeTime = (value) => typeof value === 'string' && value.trim() !== '' && !isNaN(new Date(value));
+        if (!Array.isArray(teeTimes) || teeTimes.some(t => !t || !Number.isInteger(t.golfer_id) || !isTeeTime(t.tee_time))) {
+            return res.status(400).json({ error: 'teeTimes must be an array of { golfer_id, tee_time }' });
+        }
+        
+        const missing = [];
+        for (const { golfer_id, tee_time } of teeTimes) {
+            const result = await query(
+                `UPDATE tournament_golfers SET round${round}_tee_time = $3, updated_at = CURRENT_TIMESTAMP
+                 WHERE tournament_id = $1 AND golfer_id = $2 RETURNING id`,
+                [req.params.id, golfer_id, new Date(tee_time)]
+            );
+            if (result.rows.length === 0) missing.push(golfer_id);
+        }
+        
+        res.json({
+            message: `${teeTimes.length - missing.length} round ${round} tee times saved`,
+            notInField: missing
+        });
+    } catch (error) {
+        console.error('Error saving tee times:', error);
+        res.status(500).json({ error: 'Failed to save tee times' });
+    }
+});
+
+// How long owners get to replace a golfer who withdraws after lock (0 = no post-lock swaps)
+router.put('/tournaments/:id/substitution-window', async (req, res) => {
+    try {
+        const { minutes } = req.body;
+        
+        if (!Number.isInteger(minutes) || minutes < 0) {
+            return res.status(400).json({ error: 'minutes must be a non-negative integer' });
+        }
+        
+        const result = await query(`
+            UPDATE tournaments SET substitution_window_minutes = $1, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $2
+            RETURNING id, name, substitution_window_minutes
+        `, [minutes, req.params.id]);
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Tournament not found' });
+        }
+        
+        res.json({ message: 'Substitution window updated', tournament: result.rows[0] });
+    } catch (error) {
+        console.error('Error updating substitution window:', error);
+        res.status(500).json({ error: 'Failed to update substitution window' });
+    }
+});
+
+// Where a tournament is in its score polling schedule: phase (in_round,
+// between_rounds, off), current interval, round windows and the next poll
+router.get('/tournaments/:id/score-polling', async (req, res) => {
+    try {
+        const state = await scorePolling.getState(req.params.id);
+        
+        if (!state) {
+            return res.status(404).json({ error: 'Tournament not found' });
+        }
+        
+        res.json(state);
+    } catch (error) {
+        console.error('Error loading score polling:', error);
+        res.status(500).json({ error: 'Failed to load score polling' });
+    }
+});
+
+// Score polling cadence: { enabled, live_minutes, idle_minutes }; fields left out are unchanged
+router.put('/tournaments/:id/score-polling', async (req, res) => {
+    try {
+        const { enabled, live_minutes, idle_minutes } = req.body;
+        
+        const current = await scorePolling.getState(req.params.id);
+        if (!current) {
+            return res.status(404).json({ error: 'Tournament not found' });
+        }
+        
+        const config = { ...current.config };
+        for (const [key, value] of Object.entries({ enabled, live_minutes, idle_minutes })) {
+            if (value !== undefined) config[key] = value;
+        }
+        
+        const validationError = scorePolling.validatePollingConfig(config);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const tournament = await scorePolling.updateConfig(req.params.id, config);
+        
+        console.log(`⏱️ Score polling for "${tournament.name}" set to ${config.enabled ? `${config.live_minutes}/${config.idle_minutes} min` : 'off'} by admin ${req.user.email}`);
+        
+        res.json({ message: 'Score polling updated', ...(await scorePolling.getState(req.params.id)) });
+    } catch (error) {
+        console.error('Error updating score polling:', error);
+        res.status(500).json({ error: 'Failed to update score polling' });
+    }
+});
+
+// Substitution audit trail for a team (manual, auto and admin changes)
+router.get('/teams/:id/substitutions', async (req, res) => {
+    try {
+        res.json(await substitutionService.getHistory(req.params.id));
+    } catch (error) {
+        console.error('Error loading substitutions:', error);
+        res.status(500).json({ error: 'Failed to load substitutions' });
+    }
+});
+
 // User and Team Management Routes
 router.get('/users/search', async (req, res) => {
     try {
@@ -1247,7 +1838,8 @@ router.put('/teams/:id', async (req, res) => {
         
         // Get current team info
         const teamInfo = await query(`
-            SELECT t.*, tour.start_date, tour.end_date, tour.name as tournament_name
+            SELECT t.*, tour.start_date, tour.end_date, tour.name as tournament_name,
+                   tour.roster_size, tour.counting_scores
             FROM teams t
             JOIN tournaments tour ON t.tournament_id = tour.id
             WHERE t.id = $1
@@ -1258,6 +1850,7 @@ router.put('/teams/:id', async (req, res) => {
         }
         
         const team = teamInfo.rows[0];
+        const { roster_size: rosterSize } = rosterService.rosterFormat(team);
         const startDate = new Date(team.start_date);
         const now = new Date();
         
@@ -1280,14 +1873,18 @@ router.put('/teams/:id', async (req, res) => {
                 });
             }
             
-            // For non-admins, enforce 6 golfers. For admins, allow any number (for emergency situations)
-            if (!isAdmin && golfer_ids.length !== 6) {
-                return res.status(400).json({ error: 'Must select exactly 6 golfers' });
+            // For non-admins, enforce a full roster. For admins, allow any number (for emergency situations)
+            if (!isAdmin && golfer_ids.length !== rosterSize) {
+                return res.status(400).json({ error: `Must select exactly ${rosterSize} golfers` });
+            }
+            
+            if (golfer_ids.length > rosterSize) {
+                return res.status(400).json({ error: `Teams in this tournament have at most ${rosterSize} golfers` });
             }
             
             // For admins, warn about incomplete teams but allow it
-            if (isAdmin && golfer_ids.length !== 6) {
-                console.log(`⚠️ Admin ${req.user.email} saving incomplete team: ${golfer_ids.length}/6 golfers`);
+            if (isAdmin && golfer_ids.length !== rosterSize) {
+                console.log(`⚠️ Admin ${req.user.email} saving incomplete team: ${golfer_ids.length}/${rosterSize} golfers`);
             }
             
             // Validate all golfer IDs exist
@@ -1303,35 +1900,31 @@ router.put('/teams/:id', async (req, res) => {
                 }
             }
             
-            // Pad golfer_ids to 6 elements with nulls for database
-            const paddedGolferIds = [...golfer_ids];
-            while (paddedGolferIds.length < 6) {
-                paddedGolferIds.push(null);
-            }
+            // Update team and its roster together
+            const before = await rosterService.getRoster(teamId);
+            const { result, after } = await rosterService.withTransaction(async (client) => {
+                const result = await client.query(`
+                    UPDATE teams 
+                    SET 
+                        team_name = $1,
+                        updated_at = CURRENT_TIMESTAMP
+                    WHERE id = $2
+                    RETURNING *
+                `, [team_name.trim(), teamId]);
+                
+                const after = await rosterService.setRoster(teamId, golfer_ids, client);
+                return { result, after };
+            });
             
-            // Update team with new golfers
-            const result = await query(`
-                UPDATE teams 
-                SET 
-                    team_name = $1,
-                    golfer1_id = $2,
-                    golfer2_id = $3,
-                    golfer3_id = $4,
-                    golfer4_id = $5,
-                    golfer5_id = $6,
-                    golfer6_id = $7,
-                    updated_at = CURRENT_TIMESTAMP
-                WHERE id = $8
-                RETURNING *
-            `, [team_name.trim(), ...paddedGolferIds, teamId]);
+            await substitutionService.recordAdminEdit(team, before, after, req.user.userId);
             
             console.log(`✏️ Team ${teamId} updated (including golfers) by ${isAdmin ? 'admin' : 'user'} ${req.user.email}`);
             
             res.json({ 
-                message: `Team and golfers updated successfully${isAdmin && golfer_ids.length !== 6 ? ' (incomplete team)' : ''}`,
-                team: result.rows[0],
+                message: `Team and golfers updated successfully${isAdmin && golfer_ids.length !== rosterSize ? ' (incomplete team)' : ''}`,
+                team: { ...result.rows[0], golfer_ids: after.map(row => row.golfer_id) },
                 golfersUpdated: true,
-                isIncomplete: golfer_ids.length !== 6
+                isIncomplete: golfer_ids.length !== rosterSize
             });
             
         } else {
@@ -1389,6 +1982,150 @@ router.get('/golfers/search', async (req, res) => {
     }
 });
 
+// === GOLFER IDENTITY MATCHING ===
+
+// Scraped player names that couldn't be matched to a golfer with confidence
+router.get('/golfer-matches/pending', async (req, res) => {
+    try {
+        const reviews = await golferIdentity.getPendingReviews();
+        res.json(reviews);
+    } catch (error) {
+        console.error('Error loading golfer match reviews:', error);
+        res.status(500).json({ error: 'Failed to load golfer match reviews' });
+    }
+});
+
+// Link a queued name to a golfer; the stored score row is applied immediately
+router.post('/golfer-matches/:id/resolve', async (req, res) => {
+    try {
+        const { golfer_id } = req.body;
+        
+        if (!golfer_id) {
+            return res.status(400).json({ error: 'golfer_id is required' });
+        }
+        
+        const golfer = await query('SELECT id, name FROM golfers WHERE id = $1', [golfer_id]);
+        if (golfer.rows.length === 0) {
+            return res.status(404).json({ error: 'Golfer not found' });
+        }
+        
+        const review = await golferIdentity.resolveReview(req.params.id, golfer_id, req.user.userId);
+        if (!review) {
+            return res.status(404).json({ error: 'Pending review not found' });
+        }
+        
+        if (review.payload && review.tournament_id) {
+            const scrapingService = require('../services/scrapingService');
+            await scrapingService.saveTournamentScore(review.tournament_id, golfer_id, review.payload);
+            await leaderboardService.updateTournamentLeaderboard(review.tournament_id);
+        } else if (review.tournament_id && review.source.startsWith('field:')) {
+            await fieldService.addEntrant(review.tournament_id, golfer_id, review.source.slice('field:'.length));
+        }
+        
+        console.log(`🔗 "${review.raw_name}" linked to ${golfer.rows[0].name} by admin ${req.user.email}`);
+        
+        res.json({ 
+            message: `"${review.raw_name}" linked to ${golfer.rows[0].name}`,
+            review
+        });
+    } catch (error) {
+        console.error('Error resolving golfer match:', error);
+        res.status(500).json({ error: 'Failed to resolve golfer match' });
+    }
+});
+
+// Dismiss a queued name (e.g. an amateur we don't track)
+router.post('/golfer-matches/:id/ignore', async (req, res) => {
+    try {
+        const review = await golferIdentity.ignoreReview(req.params.id, req.user.userId);
+        if (!review) {
+            return res.status(404).json({ error: 'Pending review not found' });
+        }
+        
+        res.json({ message: `"${review.raw_name}" ignored`, review });
+    } catch (error) {
+        console.error('Error ignoring golfer match:', error);
+        res.status(500).json({ error: 'Failed to ignore golfer match' });
+    }
+});
+
+// Aliases and external ids for a golfer
+router.get('/golfers/:id/aliases', async (req, res) => {
+    try {
+        const result = await query(
+            'SELECT * FROM golfer_aliases WHERE golfer_id = $1 ORDER BY created_at ASC',
+            [req.params.id]
+        );
+        res.json(result.rows);
+    } catch (error) {
+        console.error('Error loading golfer aliases:', error);
+        res.status(500).json({ error: 'Failed to load golfer aliases' });
+    }
+});
+
+router.post('/golfers/:id/aliases', async (req, res) => {
+    try {
+        const { alias } = req.body;
+        
+        if (!alias || !alias.trim()) {
+            return res.status(400).json({ error: 'Alias is required' });
+        }
+        
+        const created = await golferIdentity.addAlias(req.params.id, alias, 'manual');
+        if (!created) {
+            return res.status(400).json({ error: 'Alias already assigned to a golfer' });
+        }
+        
+        res.status(201).json({ message: 'Alias added', alias: created });
+    } catch (error) {
+        console.error('Error adding golfer alias:', error);
+        res.status(500).json({ error: 'Failed to add golfer alias' });
+    }
+});
+
+router.delete('/golfers/:id/aliases/:aliasId', async (req, res) => {
+    try {
+        const result = await query(
+            'DELETE FROM golfer_aliases WHERE id = $1 AND golfer_id = $2 RETURNING id',
+            [req.params.aliasId, req.params.id]
+        );
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Alias not found' });
+        }
+        
+        res.json({ message: 'Alias removed' });
+    } catch (error) {
+        console.error('Error removing golfer alias:', error);
+        res.status(500).json({ error: 'Failed to remove golfer alias' });
+    }
+});
+
+router.put('/golfers/:id/external-ids', async (req, res) => {
+    try {
+        const { espn_id, pga_tour_id, owgr_id } = req.body;
+        
+        const result = await query(`
+            UPDATE golfers SET
+                espn_id = COALESCE($2, espn_id),
+                pga_tour_id = COALESCE($3, pga_tour_id),
+                owgr_id = COALESCE($4, owgr_id),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+            RETURNING id, name, espn_id, pga_tour_id, owgr_id
+        `, [req.params.id, espn_id || null, pga_tour_id || null, owgr_id || null]);
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Golfer not found' });
+        }
+        
+        res.json({ message: 'External IDs updated', golfer: result.rows[0] });
+    } catch (error) {
+        console.error('Error updating golfer external ids:', error);
+        res.status(500).json({ error: 'Failed to update external IDs' });
+    }
+});
+
 // Replace the existing route in routes/admin.js (around line 1050-1150)
 // Look for: router.get('/teams/:id/details', async (req, res) => {
 
@@ -1405,7 +2142,9 @@ router.get('/teams/:id/details', async (req, res) => {
                 tour.start_date,
                 tour.end_date,
                 tour.is_active,
-                tour.is_completed
+                tour.is_completed,
+                tour.roster_size,
+                tour.counting_scores
             FROM teams t
             JOIN users u ON t.user_id = u.id
             JOIN tournaments tour ON t.tournament_id = tour.id
@@ -1419,10 +2158,7 @@ router.get('/teams/:id/details', async (req, res) => {
         const team = teamResult.rows[0];
         
         // Get complete golfer details with all necessary information
-        const golferIds = [
-            team.golfer1_id, team.golfer2_id, team.golfer3_id,
-            team.golfer4_id, team.golfer5_id, team.golfer6_id
-        ].filter(Boolean);
+        const golferIds = await rosterService.getGolferIds(team.id);
         
         const golfers = [];
         for (const golferId of golferIds) {
@@ -1458,6 +2194,7 @@ router.get('/teams/:id/details', async (req, res) => {
         
         res.json({
             ...team,
+            ...rosterService.rosterFormat(team),
             golfers: golfers,
             can_edit_golfers: canEditGolfers, // Always true for admins
             can_edit_name: canEditName,
@@ -1487,12 +2224,7 @@ router.get('/tournaments/:id/leaderboard', async (req, res) => {
                 u.username,
                 u.email,
                 t.created_at,
-                COUNT(CASE WHEN t.golfer1_id IS NOT NULL THEN 1 END +
-                      CASE WHEN t.golfer2_id IS NOT NULL THEN 1 END +
-                      CASE WHEN t.golfer3_id IS NOT NULL THEN 1 END +
-                      CASE WHEN t.golfer4_id IS NOT NULL THEN 1 END +
-                      CASE WHEN t.golfer5_id IS NOT NULL THEN 1 END +
-                      CASE WHEN t.golfer6_id IS NOT NULL THEN 1 END) as golfer_count
+                (SELECT COUNT(*) FROM team_golfers rg WHERE rg.team_id = t.id)::INTEGER as golfer_count
             FROM teams t
             JOIN users u ON t.user_id = u.id
             WHERE t.tournament_id = $1
@@ -1602,12 +2334,15 @@ router.post('/tournaments/auto-manage', async (req, res) => {
             console.log('✅ All tournaments are already in correct status');
         }
         
+        const settled = await payoutService.settleCompletedTournaments();
+        
         res.json({ 
             success: true,
             message: 'Tournament auto-management completed successfully!',
             results: {
                 activated: activatedCount,
                 completed: completedCount,
+                prize_pools_paid: settled.length,
                 total_processed: activatedCount + completedCount
             }
         });
@@ -1926,15 +2661,11 @@ router.post('/scrape-real-250-golfers', async (req, res) => {
     try {
         console.log('🏌️ Admin triggered: Scraping 250+ REAL professional golfers...');
         
-        // Import the scraping service
-        const scrapingService = require('../services/scrapingService');
-        
-        // Call the comprehensive real golfer scraping method
-        const totalGolfers = await scrapingService.scrapeComprehensiveRealGolfers();
-        
-        res.json({
+        // The worker runs the scrape; the job's result has total_golfers
+        res.status(202).json({
             success: true,
-            message: `Successfully scraped ${totalGolfers} REAL professional golfers!`,
+            message: 'Real golfer scrape queued',
+            ...(await enqueueScrapingJob(req, 'comprehensive_golfers')),
             sources: [
                 'ESPN World Rankings (200+ golfers)',
                 'PGA Tour Player Database', 
@@ -1942,7 +2673,6 @@ router.post('/scrape-real-250-golfers', async (req, res) => {
                 'Korn Ferry Graduates (rising stars)',
                 'OWGR Archive players'
             ],
-            total_real_golfers: totalGolfers,
             note: 'All golfers are REAL and verifiable on ESPN/PGA Tour'
         });
         
@@ -1965,63 +2695,12 @@ router.post('/cleanup-invalid-golfers', async (req, res) => {
         
         // First, clear any team references to invalid golfers
         await query(`
-            UPDATE teams SET 
-                golfer1_id = NULL WHERE golfer1_id IN (
-                    SELECT id FROM golfers WHERE 
-                    LENGTH(name) < 4 OR 
-                    name NOT LIKE '% %' OR 
-                    name ~ '^[0-9]+$'
-                )
-        `);
-        
-        await query(`
-            UPDATE teams SET 
-                golfer2_id = NULL WHERE golfer2_id IN (
-                    SELECT id FROM golfers WHERE 
-                    LENGTH(name) < 4 OR 
-                    name NOT LIKE '% %' OR 
-                    name ~ '^[0-9]+$'
-                )
-        `);
-        
-        await query(`
-            UPDATE teams SET 
-                golfer3_id = NULL WHERE golfer3_id IN (
-                    SELECT id FROM golfers WHERE 
-                    LENGTH(name) < 4 OR 
-                    name NOT LIKE '% %' OR 
-                    name ~ '^[0-9]+$'
-                )
-        `);
-        
-        await query(`
-            UPDATE teams SET 
-                golfer4_id = NULL WHERE golfer4_id IN (
-                    SELECT id FROM golfers WHERE 
-                    LENGTH(name) < 4 OR 
-                    name NOT LIKE '% %' OR 
-                    name ~ '^[0-9]+$'
-                )
-        `);
-        
-        await query(`
-            UPDATE teams SET 
-                golfer5_id = NULL WHERE golfer5_id IN (
-                    SELECT id FROM golfers WHERE 
-                    LENGTH(name) < 4 OR 
-                    name NOT LIKE '% %' OR 
-                    name ~ '^[0-9]+$'
-                )
-        `);
-        
-        await query(`
-            UPDATE teams SET 
-                golfer6_id = NULL WHERE golfer6_id IN (
-                    SELECT id FROM golfers WHERE 
-                    LENGTH(name) < 4 OR 
-                    name NOT LIKE '% %' OR 
-                    name ~ '^[0-9]+$'
-                )
+            DELETE FROM team_golfers WHERE golfer_id IN (
+                SELECT id FROM golfers WHERE 
+                LENGTH(name) < 4 OR 
+                name NOT LIKE '% %' OR 
+                name ~ '^[0-9]+$'
+            )
         `);
         
         console.log('✅ Cleared team references to invalid golfers');
@@ -2,7 +2,7 @@ const express = require('express');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const { query } = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, signStreamToken } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -130,4 +130,9 @@ router.get('/me', authenticateToken, async (req, res) => {
     }
 });
 
+// Short-lived token for opening an SSE stream, so the session token stays out of URLs
+router.post('/stream-token', authenticateToken, (req, res) => {
+    res.json({ token: signStreamToken(req.user) });
+});
+
 module.exports = router;
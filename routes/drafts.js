@@ -0,0 +1,210 @@
+const express = require('express');
+const { query } = require('../config/database');
+const { authenticateToken, authenticateStreamToken } = require('../middleware/auth');
+const draftService = require('../services/draftService');
+const draftStream = require('../services/draftStream');
+
+const { DraftError } = draftService;
+
+const router = express.Router();
+
+// Load the caller's league role for a draft; responds and returns null if they can't see it
+const getDraftAccess = async (req, res, { requireLeagueAdmin = false } = {}) => {
+    const result = await query(`
+        SELECT d.id, d.league_id, d.tournament_id, lm.role
+        FROM drafts d
+        LEFT JOIN league_members lm ON lm.league_id = d.league_id AND lm.user_id = $2
+        WHERE d.id = $1
+    `, [req.params.id, req.user.userId]);
+
+    const access = result.rows[0];
+
+    if (!access) {
+        res.status(404).json({ error: 'Draft not found' });
+        return null;
+    }
+
+    if (!access.role && !req.user.isAdmin) {
+        res.status(403).json({ error: 'You are not a member of this league' });
+        return null;
+    }
+
+    if (requireLeagueAdmin && access.role !== 'admin' && !req.user.isAdmin) {
+        res.status(403).json({ error: 'League admin privileges required' });
+        return null;
+    }
+
+    return access;
+};
+
+const handleDraftError = (res, error, label) => {
+    if (error instanceof DraftError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    console.error(`${label} error:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+};
+
+// Live draft room (EventSource passes a stream token as ?token=)
+router.get('/:id/stream', authenticateStreamToken, async (req, res) => {
+    try {
+        const access = await getDraftAccess(req, res);
+        if (!access) return;
+
+        const state = await draftService.getDraftState(access.id);
+        draftStream.subscribe(access.id, state, req, res);
+    } catch (error) {
+        console.error('Draft stream error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Failed to open draft stream' });
+        }
+    }
+});
+
+router.use(authenticateToken);
+
+// Drafts in the caller's leagues
+router.get('/mine', async (req, res) => {
+    try {
+        const result = await query(`
+            SELECT d.id, d.status, d.current_pick, d.pick_seconds, d.started_at,
+                   l.id as league_id, l.name as league_name,
+                   t.id as tournament_id, t.name as tournament_name, t.start_date,
+                   lm.role
+            FROM drafts d
+            JOIN leagues l ON d.league_id = l.id
+            JOIN tournaments t ON d.tournament_id = t.id
+            JOIN league_members lm ON lm.league_id = l.id AND lm.user_id = $1
+            ORDER BY t.start_date DESC, l.name ASC
+        `, [req.user.userId]);
+
+        res.json(result.rows);
+    } catch (error) {
+        console.error('Get drafts error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Schedule a draft for a league (league admin). order: optional user ids; random otherwise
+router.post('/', async (req, res) => {
+    try {
+        const { leagueId, tournamentId, pickSeconds, order } = req.body;
+
+        if (!leagueId || !tournamentId) {
+            return res.status(400).json({ error: 'League ID and tournament ID are required' });
+        }
+
+        const seconds = pickSeconds === undefined ? undefined : parseInt(pickSeconds);
+        if (seconds !== undefined && !(seconds >= 15 && seconds <= 3600)) {
+            return res.status(400).json({ error: 'Pick time must be between 15 and 3600 seconds' });
+        }
+
+        const membership = await query(
+            'SELECT role FROM league_members WHERE league_id = $1 AND user_id = $2',
+            [leagueId, req.user.userId]
+        );
+
+        if (membership.rows[0]?.role !== 'admin' && !req.user.isAdmin) {
+            return res.status(403).json({ error: 'League admin privileges required' });
+        }
+
+        const tournament = await query('SELECT start_date FROM tournaments WHERE id = $1', [tournamentId]);
+
+        if (tournament.rows.length === 0) {
+            return res.status(404).json({ error: 'Tournament not found' });
+        }
+
+        if (new Date(tournament.rows[0].start_date) <= new Date()) {
+            return res.status(400).json({ error: 'Cannot draft - tournament has started' });
+        }
+
+        const draft = await draftService.createDraft({ leagueId, tournamentId, pickSeconds: seconds, order });
+
+        console.log(`🐍 Draft ${draft.id} scheduled for league ${leagueId} by ${req.user.email}`);
+
+        res.status(201).json({ message: 'Draft scheduled', draft });
+    } catch (error) {
+        handleDraftError(res, error, 'Create draft');
+    }
+});
+
+// Full draft board: order, picks and who is on the clock
+router.get('/:id', async (req, res) => {
+    try {
+        const access = await getDraftAccess(req, res);
+        if (!access) return;
+
+        res.json(await draftService.getDraftState(access.id));
+    } catch (error) {
+        console.error('Get draft error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Start the clock (league admin)
+router.post('/:id/start', async (req, res) => {
+    try {
+        const access = await getDraftAccess(req, res, { requireLeagueAdmin: true });
+        if (!access) return;
+
+        await draftService.startDraft(access.id);
+
+        res.json({ message: 'Draft started', draft: await draftService.getDraftState(access.id) });
+    } catch (error) {
+        handleDraftError(res, error, 'Start draft');
+    }
+});
+
+// Make the pick for the user on the clock
+router.post('/:id/picks', async (req, res) => {
+    try {
+        const access = await getDraftAccess(req, res);
+        if (!access) return;
+
+        const golferId = parseInt(req.body.golferId);
+        if (!golferId) {
+            return res.status(400).json({ error: 'Golfer ID is required' });
+        }
+
+        const pick = await draftService.makePick(access.id, req.user.userId, golferId);
+
+        res.json({ message: `Drafted ${pick.golfer.name}`, pick });
+    } catch (error) {
+        handleDraftError(res, error, 'Draft pick');
+    }
+});
+
+// The caller's auto-pick queue
+router.get('/:id/queue', async (req, res) => {
+    try {
+        const access = await getDraftAccess(req, res);
+        if (!access) return;
+
+        res.json(await draftService.getQueue(access.id, req.user.userId));
+    } catch (error) {
+        console.error('Get draft queue error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Replace the caller's queue; golferIds in preference order
+router.put('/:id/queue', async (req, res) => {
+    try {
+        const access = await getDraftAccess(req, res);
+        if (!access) return;
+
+        const { golferIds } = req.body;
+        if (!Array.isArray(golferIds) || golferIds.some(id => !Number.isInteger(id))) {
+            return res.status(400).json({ error: 'golferIds must be an array of golfer IDs' });
+        }
+
+        const queue = await draftService.setQueue(access.id, req.user.userId, golferIds);
+
+        res.json({ message: 'Queue saved', queue });
+    } catch (error) {
+        console.error('Save draft queue error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,417 @@
+const express = require('express');
+const crypto = require('crypto');
+const { pool, query } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const leaderboardService = require('../services/leaderboardService');
+const payoutService = require('../services/payoutService');
+const ownershipService = require('../services/ownershipService');
+
+const { PayoutError } = payoutService;
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Unambiguous characters only (no 0/O, 1/I) so codes can be read out loud
+const INVITE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const generateInviteCode = (length = 8) => {
+    const bytes = crypto.randomBytes(length);
+    let code = '';
+    for (const byte of bytes) {
+        code += INVITE_ALPHABET[byte % INVITE_ALPHABET.length];
+    }
+    return code;
+};
+
+// Load the caller's membership; responds 403 and returns null if they are not in the league
+const getMembership = async (req, res, { requireLeagueAdmin = false } = {}) => {
+    const result = await query(
+        'SELECT role FROM league_members WHERE league_id = $1 AND user_id = $2',
+        [req.params.id, req.user.userId]
+    );
+
+    const membership = result.rows[0];
+
+    if (!membership && !req.user.isAdmin) {
+        res.status(403).json({ error: 'You are not a member of this league' });
+        return null;
+    }
+
+    if (requireLeagueAdmin && membership?.role !== 'admin' && !req.user.isAdmin) {
+        res.status(403).json({ error: 'League admin privileges required' });
+        return null;
+    }
+
+    return membership || { role: 'site_admin' };
+};
+
+const LAST_ADMIN_ERROR = 'A league needs at least one admin; make another member an admin first';
+
+// Run change(client) unless userId is the league's only admin, in which case
+// returns null. The admin rows stay locked until the change commits, so two
+// admins can't demote or remove each other at the same moment.
+const changeUnlessLastAdmin = async (leagueId, userId, change) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const admins = await client.query(
+            `SELECT user_id FROM league_members WHERE league_id = $1 AND role = 'admin' FOR UPDATE`,
+            [leagueId]
+        );
+        if (admins.rows.length === 1 && admins.rows[0].user_id === parseInt(userId)) {
+            await client.query('ROLLBACK');
+            return null;
+        }
+
+        const result = await change(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+// Get leagues the current user belongs to
+router.get('/mine', async (req, res) => {
+    try {
+        const result = await query(`
+            SELECT
+                l.id,
+                l.name,
+                l.invite_code,
+                l.created_at,
+                lm.role,
+                (SELECT COUNT(*) FROM league_members WHERE league_id = l.id) as member_count
+            FROM leagues l
+            JOIN league_members lm ON lm.league_id = l.id
+            WHERE lm.user_id = $1
+            ORDER BY l.name ASC
+        `, [req.user.userId]);
+
+        res.json(result.rows);
+    } catch (error) {
+        console.error('Get leagues error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Create a league; the creator becomes its admin
+router.post('/', async (req, res) => {
+    try {
+        const { name } = req.body;
+
+        if (!name || !name.trim()) {
+            return res.status(400).json({ error: 'League name is required' });
+        }
+
+        // The league and its first admin are created together or not at all
+        const client = await pool.connect();
+        let league;
+        try {
+            await client.query('BEGIN');
+
+            // ON CONFLICT so an invite code collision retries without aborting the transaction
+            for (let attempt = 0; attempt < 5 && !league; attempt++) {
+                const result = await client.query(`
+                    INSERT INTO leagues (name, invite_code, created_by)
+                    VALUES ($1, $2, $3)
+                    ON CONFLICT (invite_code) DO NOTHING
+                    RETURNING *
+                `, [name.trim(), generateInviteCode(), req.user.userId]);
+                league = result.rows[0];
+            }
+
+            if (!league) {
+                await client.query('ROLLBACK');
+                return res.status(500).json({ error: 'Failed to generate a unique invite code' });
+            }
+
+            await client.query(`
+                INSERT INTO league_members (league_id, user_id, role)
+                VALUES ($1, $2, 'admin')
+            `, [league.id, req.user.userId]);
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        console.log(`🏅 League "${league.name}" created by ${req.user.email}`);
+
+        res.status(201).json({ message: 'League created successfully', league });
+    } catch (error) {
+        console.error('Create league error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Join a league by invite code
+router.post('/join', async (req, res) => {
+    try {
+        const { inviteCode } = req.body;
+
+        if (!inviteCode || !inviteCode.trim()) {
+            return res.status(400).json({ error: 'Invite code is required' });
+        }
+
+        const leagueResult = await query(
+            'SELECT id, name FROM leagues WHERE invite_code = $1',
+            [inviteCode.trim().toUpperCase()]
+        );
+
+        if (leagueResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Invalid invite code' });
+        }
+
+        const league = leagueResult.rows[0];
+
+        const result = await query(`
+            INSERT INTO league_members (league_id, user_id, role)
+            VALUES ($1, $2, 'member')
+            ON CONFLICT (league_id, user_id) DO NOTHING
+            RETURNING id
+        `, [league.id, req.user.userId]);
+
+        if (result.rows.length === 0) {
+            return res.status(400).json({ error: 'You are already a member of this league' });
+        }
+
+        res.json({ message: `Joined league "${league.name}"`, league });
+    } catch (error) {
+        console.error('Join league error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get league details and members
+router.get('/:id', async (req, res) => {
+    try {
+        const membership = await getMembership(req, res);
+        if (!membership) return;
+
+        const leagueResult = await query('SELECT * FROM leagues WHERE id = $1', [req.params.id]);
+
+        if (leagueResult.rows.length === 0) {
+            return res.status(404).json({ error: 'League not found' });
+        }
+
+        const members = await query(`
+            SELECT u.id as user_id, u.username, lm.role, lm.joined_at
+            FROM league_members lm
+            JOIN users u ON lm.user_id = u.id
+            WHERE lm.league_id = $1
+            ORDER BY lm.role ASC, u.username ASC
+        `, [req.params.id]);
+
+        const league = leagueResult.rows[0];
+
+        res.json({
+            ...league,
+            // Only league admins can share the invite code
+            invite_code: membership.role === 'member' ? undefined : league.invite_code,
+            role: membership.role,
+            members: members.rows
+        });
+    } catch (error) {
+        console.error('Get league error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Issue a new invite code (league admin)
+router.post('/:id/invite-code', async (req, res) => {
+    try {
+        const membership = await getMembership(req, res, { requireLeagueAdmin: true });
+        if (!membership) return;
+
+        const result = await query(`
+            UPDATE leagues SET invite_code = $1, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $2
+            RETURNING id, name, invite_code
+        `, [generateInviteCode(), req.params.id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'League not found' });
+        }
+
+        res.json({ message: 'Invite code regenerated', league: result.rows[0] });
+    } catch (error) {
+        console.error('Regenerate invite code error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Change a member's role (league admin)
+router.put('/:id/members/:userId', async (req, res) => {
+    try {
+        const membership = await getMembership(req, res, { requireLeagueAdmin: true });
+        if (!membership) return;
+
+        const { role } = req.body;
+
+        if (!['admin', 'member'].includes(role)) {
+            return res.status(400).json({ error: 'Role must be "admin" or "member"' });
+        }
+
+        const update = (db) => db.query(`
+            UPDATE league_members SET role = $1
+            WHERE league_id = $2 AND user_id = $3
+            RETURNING user_id, role
+        `, [role, req.params.id, req.params.userId]);
+
+        const result = role === 'member'
+            ? await changeUnlessLastAdmin(req.params.id, req.params.userId, update)
+            : await update({ query });
+
+        if (!result) {
+            return res.status(400).json({ error: LAST_ADMIN_ERROR });
+        }
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+
+        res.json({ message: 'Member role updated', member: result.rows[0] });
+    } catch (error) {
+        console.error('Update league member error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Remove a member (league admin) or leave the league (any member)
+router.delete('/:id/members/:userId', async (req, res) => {
+    try {
+        const isSelf = parseInt(req.params.userId) === req.user.userId;
+        const membership = await getMembership(req, res, { requireLeagueAdmin: !isSelf });
+        if (!membership) return;
+
+        const result = await changeUnlessLastAdmin(req.params.id, req.params.userId, client => client.query(
+            'DELETE FROM league_members WHERE league_id = $1 AND user_id = $2 RETURNING user_id',
+            [req.params.id, req.params.userId]
+        ));
+
+        if (!result) {
+            return res.status(400).json({ error: LAST_ADMIN_ERROR });
+        }
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+
+        res.json({ message: isSelf ? 'You left the league' : 'Member removed from league' });
+    } catch (error) {
+        console.error('Remove league member error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// League-scoped tournament leaderboard; ?round=N for round prizes
+router.get('/:id/tournaments/:tournamentId/leaderboard', async (req, res) => {
+    try {
+        const membership = await getMembership(req, res);
+        if (!membership) return;
+
+        const round = req.query.round ? parseInt(req.query.round) : null;
+        if (round !== null && !(round >= 1 && round <= 4)) {
+            return res.status(400).json({ error: 'Round must be between 1 and 4' });
+        }
+
+        const leaderboard = await leaderboardService.getLeagueLeaderboard(req.params.id, req.params.tournamentId, { round });
+
+        if (!leaderboard) {
+            return res.status(404).json({ error: 'Tournament not found' });
+        }
+
+        res.json(leaderboard);
+    } catch (error) {
+        console.error('Error loading league leaderboard:', error);
+        res.status(500).json({ error: 'Failed to load league leaderboard' });
+    }
+});
+
+// Pick percentages among league members' teams; hidden until the tournament locks
+router.get('/:id/tournaments/:tournamentId/ownership', async (req, res) => {
+    try {
+        const membership = await getMembership(req, res);
+        if (!membership) return;
+
+        const ownership = await ownershipService.getOwnership(req.params.tournamentId, { leagueId: parseInt(req.params.id) });
+
+        if (!ownership) {
+            return res.status(404).json({ error: 'Tournament not found' });
+        }
+
+        if (!ownership.locked) {
+            return res.status(403).json({ error: 'Ownership is hidden until the tournament locks' });
+        }
+
+        res.json(ownership);
+    } catch (error) {
+        console.error('Get league ownership error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Entry fee, payout structure and projected (or final) payouts
+router.get('/:id/tournaments/:tournamentId/prize-pool', async (req, res) => {
+    try {
+        const membership = await getMembership(req, res);
+        if (!membership) return;
+
+        const prizePool = await payoutService.getPrizePool(req.params.id, req.params.tournamentId);
+
+        if (!prizePool) {
+            return res.status(404).json({ error: 'No prize pool for this tournament' });
+        }
+
+        res.json(prizePool);
+    } catch (error) {
+        console.error('Get prize pool error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Set the entry fee and payout percentages (league admin); locked once paid out
+router.put('/:id/tournaments/:tournamentId/prize-pool', async (req, res) => {
+    try {
+        const membership = await getMembership(req, res, { requireLeagueAdmin: true });
+        if (!membership) return;
+
+        const { entryFee, payouts } = req.body;
+        const prizePool = await payoutService.setPrizePool(req.params.id, req.params.tournamentId, { entryFee, payouts });
+
+        res.json({ message: 'Prize pool saved', prizePool });
+    } catch (error) {
+        if (error instanceof PayoutError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Set prize pool error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Entry fees, winnings and balance per member; ?seasonId=N for one season
+router.get('/:id/ledger', async (req, res) => {
+    try {
+        const membership = await getMembership(req, res);
+        if (!membership) return;
+
+        const seasonId = req.query.seasonId ? parseInt(req.query.seasonId) : null;
+        if (req.query.seasonId && !seasonId) {
+            return res.status(400).json({ error: 'Invalid season ID' });
+        }
+
+        res.json(await payoutService.getLedger(req.params.id, { seasonId }));
+    } catch (error) {
+        console.error('Get ledger error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -10,16 +10,8 @@ router.post('/golfers-only', async (req, res) => {
         
         await query('BEGIN');
         
-        // First, remove golfer references from teams (set to NULL)
-        await query(`
-            UPDATE teams SET 
-                golfer1_id = NULL,
-                golfer2_id = NULL,
-                golfer3_id = NULL,
-                golfer4_id = NULL,
-                golfer5_id = NULL,
-                golfer6_id = NULL
-        `);
+        // First, remove golfer references from teams (empty every roster)
+        await query('DELETE FROM team_golfers');
         console.log('✅ Team golfer references cleared');
         
         // Delete from tournament_golfers (if any exist)
@@ -99,19 +91,7 @@ router.post('/golfers-safe', async (req, res) => {
         await query(`
             DELETE FROM golfers 
             WHERE id NOT IN (
-                SELECT DISTINCT golfer_id FROM (
-                    SELECT golfer1_id as golfer_id FROM teams WHERE golfer1_id IS NOT NULL
-                    UNION
-                    SELECT golfer2_id as golfer_id FROM teams WHERE golfer2_id IS NOT NULL
-                    UNION
-                    SELECT golfer3_id as golfer_id FROM teams WHERE golfer3_id IS NOT NULL
-                    UNION
-                    SELECT golfer4_id as golfer_id FROM teams WHERE golfer4_id IS NOT NULL
-                    UNION
-                    SELECT golfer5_id as golfer_id FROM teams WHERE golfer5_id IS NOT NULL
-                    UNION
-                    SELECT golfer6_id as golfer_id FROM teams WHERE golfer6_id IS NOT NULL
-                ) as used_golfers
+                SELECT DISTINCT golfer_id FROM team_golfers
             )
         `);
         console.log('✅ Unused golfers removed');
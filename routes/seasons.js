@@ -0,0 +1,171 @@
+const express = require('express');
+const { query } = require('../config/database');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const seasonService = require('../services/seasonService');
+
+const router = express.Router();
+
+const validateSeasonSettings = ({ scoring_mode, points_table, drop_worst }) => {
+    if (scoring_mode !== undefined && !['points', 'positions'].includes(scoring_mode)) {
+        return 'scoring_mode must be "points" or "positions"';
+    }
+    if (points_table !== undefined && (!Array.isArray(points_table) || !points_table.every(Number.isInteger))) {
+        return 'points_table must be an array of integers';
+    }
+    if (drop_worst !== undefined && (!Number.isInteger(drop_worst) || drop_worst < 0)) {
+        return 'drop_worst must be a non-negative integer';
+    }
+    return null;
+};
+
+// Get all seasons
+router.get('/', async (req, res) => {
+    try {
+        const result = await query(`
+            SELECT s.*, COUNT(t.id) as tournament_count
+            FROM seasons s
+            LEFT JOIN tournaments t ON t.season_id = s.id
+            GROUP BY s.id
+            ORDER BY s.year DESC NULLS LAST, s.created_at DESC
+        `);
+
+        res.json(result.rows);
+    } catch (error) {
+        console.error('Get seasons error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get season standings
+router.get('/:id/standings', async (req, res) => {
+    try {
+        const standings = await seasonService.getSeasonStandings(req.params.id);
+
+        if (!standings) {
+            return res.status(404).json({ error: 'Season not found' });
+        }
+
+        res.json(standings);
+    } catch (error) {
+        console.error('Error loading season standings:', error);
+        res.status(500).json({ error: 'Failed to load season standings' });
+    }
+});
+
+// Create season (admin)
+router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const { name, year, scoring_mode, points_table, drop_worst } = req.body;
+
+        if (!name || !name.trim()) {
+            return res.status(400).json({ error: 'Season name is required' });
+        }
+
+        const validationError = validateSeasonSettings(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const result = await query(`
+            INSERT INTO seasons (name, year, scoring_mode, points_table, drop_worst)
+            VALUES ($1, $2, COALESCE($3, 'points'), COALESCE($4::JSONB, '[25, 18, 15, 12, 10, 8, 6, 4, 2, 1]'), COALESCE($5, 0))
+            RETURNING *
+        `, [name.trim(), year || null, scoring_mode, points_table ? JSON.stringify(points_table) : null, drop_worst]);
+
+        res.status(201).json({ message: 'Season created successfully', season: result.rows[0] });
+    } catch (error) {
+        console.error('Create season error:', error);
+        res.status(500).json({ error: 'Failed to create season' });
+    }
+});
+
+// Update season settings (admin)
+router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const { name, year, scoring_mode, points_table, drop_worst, is_active } = req.body;
+
+        const validationError = validateSeasonSettings(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const result = await query(`
+            UPDATE seasons SET
+                name = COALESCE($2, name),
+                year = COALESCE($3, year),
+                scoring_mode = COALESCE($4, scoring_mode),
+                points_table = COALESCE($5::JSONB, points_table),
+                drop_worst = COALESCE($6, drop_worst),
+                is_active = COALESCE($7, is_active),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+            RETURNING *
+        `, [
+            req.params.id,
+            name && name.trim() ? name.trim() : null,
+            year,
+            scoring_mode,
+            points_table ? JSON.stringify(points_table) : null,
+            drop_worst,
+            typeof is_active === 'boolean' ? is_active : null
+        ]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Season not found' });
+        }
+
+        res.json({ message: 'Season updated successfully', season: result.rows[0] });
+    } catch (error) {
+        console.error('Update season error:', error);
+        res.status(500).json({ error: 'Failed to update season' });
+    }
+});
+
+// Assign tournaments to a season (admin)
+router.post('/:id/tournaments', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const { tournamentIds } = req.body;
+
+        if (!Array.isArray(tournamentIds) || tournamentIds.length === 0) {
+            return res.status(400).json({ error: 'tournamentIds array required' });
+        }
+
+        const season = await query('SELECT id FROM seasons WHERE id = $1', [req.params.id]);
+        if (season.rows.length === 0) {
+            return res.status(404).json({ error: 'Season not found' });
+        }
+
+        const result = await query(`
+            UPDATE tournaments SET season_id = $1, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ANY($2)
+            RETURNING id, name
+        `, [req.params.id, tournamentIds]);
+
+        res.json({ message: `${result.rows.length} tournaments added to season`, tournaments: result.rows });
+    } catch (error) {
+        console.error('Assign season tournaments error:', error);
+        res.status(500).json({ error: 'Failed to assign tournaments' });
+    }
+});
+
+// Remove a tournament from a season (admin)
+router.delete('/:id/tournaments/:tournamentId', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const result = await query(`
+            UPDATE tournaments SET season_id = NULL, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND season_id = $2
+            RETURNING id
+        `, [req.params.tournamentId, req.params.id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Tournament not found in this season' });
+        }
+
+        res.json({ message: 'Tournament removed from season' });
+    } catch (error) {
+        console.error('Remove season tournament error:', error);
+        res.status(500).json({ error: 'Failed to remove tournament' });
+    }
+});
+
+module.exports = router;
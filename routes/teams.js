@@ -1,6 +1,15 @@
 const express = require('express');
 const { query } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const draftService = require('../services/draftService');
+const substitutionService = require('../services/substitutionService');
+const { checkRosterRules } = require('../services/rosterRules');
+const lockService = require('../services/lockService');
+const rosterService = require('../services/rosterService');
+
+const { TEED_OFF_SQL } = lockService;
+
+const { SubstitutionError } = substitutionService;
 
 const router = express.Router();
 
@@ -12,49 +21,50 @@ router.get('/my-teams', authenticateToken, async (req, res) => {
                 t.id,
                 t.team_name,
                 t.total_score,
+                t.predicted_winning_score,
                 t.created_at,
                 t.updated_at,
                 tour.id as tournament_id,
                 tour.name as tournament_name, 
                 tour.start_date, 
                 tour.end_date,
-                tour.is_active,
-                g1.id as golfer1_id, g1.name as golfer1_name, g1.country as golfer1_country, g1.world_ranking as golfer1_ranking,
-                g2.id as golfer2_id, g2.name as golfer2_name, g2.country as golfer2_country, g2.world_ranking as golfer2_ranking,
-                g3.id as golfer3_id, g3.name as golfer3_name, g3.country as golfer3_country, g3.world_ranking as golfer3_ranking,
-                g4.id as golfer4_id, g4.name as golfer4_name, g4.country as golfer4_country, g4.world_ranking as golfer4_ranking,
-                g5.id as golfer5_id, g5.name as golfer5_name, g5.country as golfer5_country, g5.world_ranking as golfer5_ranking,
-                g6.id as golfer6_id, g6.name as golfer6_name, g6.country as golfer6_country, g6.world_ranking as golfer6_ranking
+                tour.is_active
             FROM teams t
             JOIN tournaments tour ON t.tournament_id = tour.id
-            LEFT JOIN golfers g1 ON t.golfer1_id = g1.id
-            LEFT JOIN golfers g2 ON t.golfer2_id = g2.id
-            LEFT JOIN golfers g3 ON t.golfer3_id = g3.id
-            LEFT JOIN golfers g4 ON t.golfer4_id = g4.id
-            LEFT JOIN golfers g5 ON t.golfer5_id = g5.id
-            LEFT JOIN golfers g6 ON t.golfer6_id = g6.id
             WHERE t.user_id = $1
             ORDER BY tour.start_date DESC
         `, [req.user.userId]);
         
+        // Rosters in slot order, flagging withdrawals and slots locked as each golfer tees off
+        const rosterResult = await query(`
+            SELECT rg.team_id, g.id, g.name, g.country, g.world_ranking,
+                   COALESCE(tg.withdrew, false) as withdrew,
+                   ${TEED_OFF_SQL} as locked
+            FROM teams t
+            JOIN tournaments tour ON t.tournament_id = tour.id
+            JOIN team_golfers rg ON rg.team_id = t.id
+            JOIN golfers g ON rg.golfer_id = g.id
+            LEFT JOIN tournament_golfers tg ON tg.tournament_id = t.tournament_id AND tg.golfer_id = g.id
+            WHERE t.user_id = $1
+            ORDER BY rg.team_id, rg.slot ASC
+        `, [req.user.userId]);
+        
+        const rosters = new Map();
+        for (const { team_id, ...golfer } of rosterResult.rows) {
+            if (!rosters.has(team_id)) rosters.set(team_id, []);
+            rosters.get(team_id).push(golfer);
+        }
+        
         // Transform the data to include golfers array
         const teams = result.rows.map(row => {
-            const golfers = [];
-            for (let i = 1; i <= 6; i++) {
-                if (row[`golfer${i}_id`]) {
-                    golfers.push({
-                        id: row[`golfer${i}_id`],
-                        name: row[`golfer${i}_name`],
-                        country: row[`golfer${i}_country`],
-                        world_ranking: row[`golfer${i}_ranking`]
-                    });
-                }
-            }
+            const golfers = rosters.get(row.id) || [];
+            const locked = new Set(golfers.filter(golfer => golfer.locked).map(golfer => golfer.id));
             
             return {
                 id: row.id,
                 team_name: row.team_name,
                 total_score: row.total_score,
+                predicted_winning_score: row.predicted_winning_score,
                 created_at: row.created_at,
                 updated_at: row.updated_at,
                 tournament_id: row.tournament_id,
@@ -63,7 +73,7 @@ router.get('/my-teams', authenticateToken, async (req, res) => {
                 end_date: row.end_date,
                 is_active: row.is_active,
                 golfers: golfers,
-                can_edit: new Date(row.start_date) > new Date() // Can edit if tournament hasn't started
+                can_edit: lockService.canEditRoster(golfers.map(golfer => golfer.id), locked)
             };
         });
         
@@ -74,6 +84,42 @@ router.get('/my-teams', authenticateToken, async (req, res) => {
     }
 });
 
+// Withdrawal notices and other team alerts for the current user
+router.get('/notifications', authenticateToken, async (req, res) => {
+    try {
+        const result = await query(`
+            SELECT id, team_id, tournament_id, type, message, is_read, created_at
+            FROM notifications
+            WHERE user_id = $1
+            ORDER BY created_at DESC
+            LIMIT 50
+        `, [req.user.userId]);
+        
+        res.json(result.rows);
+    } catch (error) {
+        console.error('Get notifications error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+router.post('/notifications/:id/read', authenticateToken, async (req, res) => {
+    try {
+        const result = await query(
+            'UPDATE notifications SET is_read = true WHERE id = $1 AND user_id = $2 RETURNING id',
+            [req.params.id, req.user.userId]
+        );
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Notification not found' });
+        }
+        
+        res.json({ message: 'Notification marked as read' });
+    } catch (error) {
+        console.error('Mark notification error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Get specific team details (for editing)
 router.get('/:teamId', authenticateToken, async (req, res) => {
     try {
@@ -94,12 +140,15 @@ router.get('/:teamId', authenticateToken, async (req, res) => {
         
         const team = result.rows[0];
         
-        // Check if tournament has started
-        if (new Date(team.start_date) <= new Date()) {
-            return res.status(400).json({ error: 'Cannot edit team - tournament has started' });
+        const golferIds = await rosterService.getGolferIds(team.id);
+        
+        const locked = await lockService.getLockedGolferIds(team.tournament_id, golferIds);
+        
+        if (!lockService.canEditRoster(golferIds, locked)) {
+            return res.status(400).json({ error: 'Cannot edit team - all golfers have teed off' });
         }
         
-        res.json(team);
+        res.json({ ...team, golfer_ids: golferIds, locked_golfer_ids: [...locked] });
     } catch (error) {
         console.error('Get team error:', error);
         res.status(500).json({ error: 'Internal server error' });
@@ -109,19 +158,27 @@ router.get('/:teamId', authenticateToken, async (req, res) => {
 // Create or update team
 router.post('/', authenticateToken, async (req, res) => {
     try {
-        const { tournamentId, teamName, golferIds } = req.body;
+        const { tournamentId, teamName, golferIds, predictedWinningScore } = req.body;
+        
+        if (!tournamentId || !Array.isArray(golferIds) || golferIds.length === 0) {
+            return res.status(400).json({ error: 'Tournament ID and golfer IDs required' });
+        }
         
-        if (!tournamentId || !golferIds || golferIds.length !== 6) {
-            return res.status(400).json({ error: 'Tournament ID and 6 golfer IDs required' });
+        if (new Set(golferIds.map(id => parseInt(id))).size !== golferIds.length) {
+            return res.status(400).json({ error: 'Each golfer can only be picked once' });
         }
         
         if (!teamName || !teamName.trim()) {
             return res.status(400).json({ error: 'Team name is required' });
         }
         
-        // Check if tournament has started
+        // Winning score tiebreaker: the champion's score to par, e.g. -14
+        if (predictedWinningScore !== undefined && predictedWinningScore !== null && !Number.isInteger(predictedWinningScore)) {
+            return res.status(400).json({ error: 'Predicted winning score must be a whole number to par' });
+        }
+        
         const tournamentResult = await query(
-            'SELECT start_date FROM tournaments WHERE id = $1',
+            'SELECT start_date, roster_size, counting_scores FROM tournaments WHERE id = $1',
             [tournamentId]
         );
         
@@ -129,40 +186,64 @@ router.post('/', authenticateToken, async (req, res) => {
             return res.status(404).json({ error: 'Tournament not found' });
         }
         
-        const startDate = new Date(tournamentResult.rows[0].start_date);
-        if (startDate <= new Date()) {
-            return res.status(400).json({ error: 'Cannot modify team - tournament has started' });
+        const { roster_size: rosterSize } = rosterService.rosterFormat(tournamentResult.rows[0]);
+        if (golferIds.length !== rosterSize) {
+            return res.status(400).json({ error: `Teams for this tournament need exactly ${rosterSize} golfers` });
+        }
+        
+        // Drafted rosters are only changed through the draft room
+        if (await draftService.isDraftedTournament(req.user.userId, tournamentId)) {
+            return res.status(400).json({ error: 'Your team for this tournament is set by your league draft' });
         }
         
         // Check if team already exists
         const existingTeam = await query(
-            'SELECT id, team_name FROM teams WHERE user_id = $1 AND tournament_id = $2',
+            'SELECT * FROM teams WHERE user_id = $1 AND tournament_id = $2',
             [req.user.userId, tournamentId]
         );
         
         const isUpdate = existingTeam.rows.length > 0;
+        const currentGolferIds = isUpdate ? await rosterService.getGolferIds(existingTeam.rows[0].id) : [];
         
-        // Insert or update team
-        const result = await query(`
-            INSERT INTO teams (user_id, tournament_id, team_name, golfer1_id, golfer2_id, golfer3_id, golfer4_id, golfer5_id, golfer6_id) 
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-            ON CONFLICT (user_id, tournament_id) DO UPDATE SET
-                team_name = EXCLUDED.team_name,
-                golfer1_id = EXCLUDED.golfer1_id,
-                golfer2_id = EXCLUDED.golfer2_id,
-                golfer3_id = EXCLUDED.golfer3_id,
-                golfer4_id = EXCLUDED.golfer4_id,
-                golfer5_id = EXCLUDED.golfer5_id,
-                golfer6_id = EXCLUDED.golfer6_id,
-                updated_at = CURRENT_TIMESTAMP
-            RETURNING *
-        `, [req.user.userId, tournamentId, teamName.trim(), ...golferIds]);
+        // The prediction is left alone when omitted and locks when the tournament starts
+        const currentPrediction = isUpdate ? existingTeam.rows[0].predicted_winning_score : null;
+        const prediction = predictedWinningScore === undefined ? currentPrediction : predictedWinningScore;
+        if (prediction !== currentPrediction && new Date() >= new Date(tournamentResult.rows[0].start_date)) {
+            return res.status(400).json({ error: 'Winning score predictions lock when the tournament starts' });
+        }
+        
+        // Golfers who have teed off can't be added or dropped
+        const lockError = await lockService.checkRosterChange(tournamentId, currentGolferIds, golferIds);
+        if (lockError) {
+            return res.status(400).json({ error: lockError });
+        }
+        
+        const violation = await checkRosterRules(tournamentId, golferIds, { keep: currentGolferIds });
+        if (violation) {
+            return res.status(violation.status).json(violation.body);
+        }
+        
+        // Insert or update team and its roster together
+        const team = await rosterService.withTransaction(async (client) => {
+            const result = await client.query(`
+                INSERT INTO teams (user_id, tournament_id, team_name, predicted_winning_score) 
+                VALUES ($1, $2, $3, $4)
+                ON CONFLICT (user_id, tournament_id) DO UPDATE SET
+                    team_name = EXCLUDED.team_name,
+                    predicted_winning_score = EXCLUDED.predicted_winning_score,
+                    updated_at = CURRENT_TIMESTAMP
+                RETURNING *
+            `, [req.user.userId, tournamentId, teamName.trim(), prediction]);
+            
+            const roster = await rosterService.setRoster(result.rows[0].id, golferIds, client);
+            return { ...result.rows[0], golfer_ids: roster.map(row => row.golfer_id) };
+        });
         
         const message = isUpdate 
             ? 'Team updated successfully' 
             : 'Team created successfully';
             
-        res.json({ message, team: result.rows[0], isUpdate });
+        res.json({ message, team, isUpdate });
     } catch (error) {
         console.error('Create team error:', error);
         if (error.code === '23505') { // Unique constraint violation
@@ -173,6 +254,110 @@ router.post('/', authenticateToken, async (req, res) => {
     }
 });
 
+// Load one of the caller's teams; responds 404 and returns null if it isn't theirs
+const getOwnTeam = async (req, res) => {
+    const result = await query('SELECT * FROM teams WHERE id = $1 AND user_id = $2', [req.params.teamId, req.user.userId]);
+    
+    if (result.rows.length === 0) {
+        res.status(404).json({ error: 'Team not found' });
+        return null;
+    }
+    
+    return result.rows[0];
+};
+
+// Swap a withdrawn golfer for someone still in the field: any time before lock,
+// or within the substitution window if they withdrew before teeing off. This is
+// the only change drafted teams can make.
+router.post('/:teamId/swap', authenticateToken, async (req, res) => {
+    try {
+        const outGolferId = parseInt(req.body.outGolferId);
+        const inGolferId = parseInt(req.body.inGolferId);
+        
+        if (!outGolferId || !inGolferId) {
+            return res.status(400).json({ error: 'outGolferId and inGolferId are required' });
+        }
+        
+        const team = await getOwnTeam(req, res);
+        if (!team) return;
+        
+        const updated = await substitutionService.substitute(team, outGolferId, inGolferId, {
+            method: 'manual',
+            performedBy: req.user.userId
+        });
+        
+        res.json({ message: 'Golfer swapped successfully', team: updated });
+    } catch (error) {
+        if (error instanceof SubstitutionError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Swap golfer error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Substitution window for a withdrawn golfer on the team
+router.get('/:teamId/swap/:golferId', authenticateToken, async (req, res) => {
+    try {
+        const team = await getOwnTeam(req, res);
+        if (!team) return;
+        
+        res.json(await substitutionService.getWindow(team.tournament_id, req.params.golferId));
+    } catch (error) {
+        console.error('Get substitution window error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Pre-selected alternates, used in order to replace a withdrawal automatically
+router.get('/:teamId/alternates', authenticateToken, async (req, res) => {
+    try {
+        const team = await getOwnTeam(req, res);
+        if (!team) return;
+        
+        res.json(await substitutionService.getAlternates(team.id));
+    } catch (error) {
+        console.error('Get alternates error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+router.put('/:teamId/alternates', authenticateToken, async (req, res) => {
+    try {
+        const { golferIds } = req.body;
+        
+        if (!Array.isArray(golferIds) || golferIds.length > 3 || golferIds.some(id => !Number.isInteger(id))) {
+            return res.status(400).json({ error: 'golferIds must be an array of up to 3 golfer IDs' });
+        }
+        
+        const team = await getOwnTeam(req, res);
+        if (!team) return;
+        
+        const alternates = await substitutionService.setAlternates(team.id, golferIds);
+        
+        res.json({ message: 'Alternates saved', alternates });
+    } catch (error) {
+        console.error('Save alternates error:', error);
+        if (error.code === '23503') {
+            return res.status(400).json({ error: 'One or more golfers not found' });
+        }
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Audit trail of every substitution on the team
+router.get('/:teamId/substitutions', authenticateToken, async (req, res) => {
+    try {
+        const team = await getOwnTeam(req, res);
+        if (!team) return;
+        
+        res.json(await substitutionService.getHistory(team.id));
+    } catch (error) {
+        console.error('Get substitutions error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Check if user has team for tournament
 router.get('/check/:tournamentId', authenticateToken, async (req, res) => {
     try {
@@ -189,10 +374,16 @@ router.get('/check/:tournamentId', authenticateToken, async (req, res) => {
         
         if (result.rows.length > 0) {
             const team = result.rows[0];
+            
+            // Slots lock as their golfer tees off
+            const golferIds = await rosterService.getGolferIds(team.id);
+            const locked = await lockService.getLockedGolferIds(req.params.tournamentId, golferIds);
+            
             res.json({ 
                 hasTeam: true, 
                 team: team,
-                canEdit: new Date(team.start_date) > new Date()
+                canEdit: lockService.canEditRoster(golferIds, locked),
+                locked_golfer_ids: [...locked]
             });
         } else {
             res.json({ hasTeam: false });
@@ -1,5 +1,12 @@
 const express = require('express');
 const { query } = require('../config/database');
+const leaderboardService = require('../services/leaderboardService');
+const leaderboardStream = require('../services/leaderboardStream');
+const salaryService = require('../services/salaryService');
+const tierService = require('../services/tierService');
+const fieldService = require('../services/fieldService');
+const projectionService = require('../services/projectionService');
+const ownershipService = require('../services/ownershipService');
 
 const router = express.Router();
 
@@ -37,36 +44,125 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+// Golfer prices and the salary cap (salary_cap null = classic mode)
+router.get('/:id/salaries', async (req, res) => {
+    try {
+        const pricing = await salaryService.getPricing(req.params.id);
+        
+        if (!pricing) {
+            return res.status(404).json({ error: 'Tournament not found' });
+        }
+        
+        res.json(pricing);
+    } catch (error) {
+        console.error('Get salaries error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Entry list; empty until the field is published, so every active golfer is pickable
+router.get('/:id/field', async (req, res) => {
+    try {
+        const field = await fieldService.getField(req.params.id);
+        
+        res.json({
+            tournament_id: parseInt(req.params.id),
+            published: field.length > 0,
+            golfers: field
+        });
+    } catch (error) {
+        console.error('Get field error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Tier rules and each golfer's tier; 404 if the tournament uses free picks
+router.get('/:id/tiers', async (req, res) => {
+    try {
+        const tiers = await tierService.getTiers(req.params.id);
+        
+        if (!tiers) {
+            return res.status(404).json({ error: 'Tournament has no tier rules' });
+        }
+        
+        res.json(tiers);
+    } catch (error) {
+        console.error('Get tiers error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Expected to-par score and make-cut probability per golfer, best projection first
+router.get('/:id/projections', async (req, res) => {
+    try {
+        const projections = await projectionService.getProjections(req.params.id);
+        
+        if (!projections) {
+            return res.status(404).json({ error: 'Tournament not found' });
+        }
+        
+        res.json(projections);
+    } catch (error) {
+        console.error('Get projections error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Pick percentages across all teams; hidden until the tournament locks
+router.get('/:id/ownership', async (req, res) => {
+    try {
+        const ownership = await ownershipService.getOwnership(req.params.id);
+        
+        if (!ownership) {
+            return res.status(404).json({ error: 'Tournament not found' });
+        }
+        
+        if (!ownership.locked) {
+            return res.status(403).json({ error: 'Ownership is hidden until the tournament locks' });
+        }
+        
+        res.json(ownership);
+    } catch (error) {
+        console.error('Get ownership error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Get tournament leaderboard - NEW ENDPOINT
+// ?round=N ranks teams by that round's team score instead of the overall total
 router.get('/:id/leaderboard', async (req, res) => {
     try {
-        const tournamentId = req.params.id;
-        
-        const leaderboard = await query(`
-            SELECT 
-                t.id as team_id,
-                t.team_name,
-                t.total_score,
-                u.username,
-                u.email,
-                t.created_at,
-                (CASE WHEN t.golfer1_id IS NOT NULL THEN 1 ELSE 0 END +
-                 CASE WHEN t.golfer2_id IS NOT NULL THEN 1 ELSE 0 END +
-                 CASE WHEN t.golfer3_id IS NOT NULL THEN 1 ELSE 0 END +
-                 CASE WHEN t.golfer4_id IS NOT NULL THEN 1 ELSE 0 END +
-                 CASE WHEN t.golfer5_id IS NOT NULL THEN 1 ELSE 0 END +
-                 CASE WHEN t.golfer6_id IS NOT NULL THEN 1 ELSE 0 END) as golfer_count
-            FROM teams t
-            JOIN users u ON t.user_id = u.id
-            WHERE t.tournament_id = $1
-            ORDER BY t.total_score ASC, t.created_at ASC
-        `, [tournamentId]);
+        const round = req.query.round ? parseInt(req.query.round) : null;
+        if (round !== null && !(round >= 1 && round <= 4)) {
+            return res.status(400).json({ error: 'Round must be between 1 and 4' });
+        }
         
-        res.json(leaderboard.rows);
+        const leaderboard = await leaderboardService.getTournamentLeaderboard(req.params.id, { round });
+        res.json(leaderboard);
     } catch (error) {
         console.error('Error loading tournament leaderboard:', error);
         res.status(500).json({ error: 'Failed to load tournament leaderboard' });
     }
 });
 
+// Live leaderboard via Server-Sent Events: a 'snapshot' event on connect,
+// then 'delta' events whenever the tournament is rescored
+router.get('/:id/leaderboard/stream', async (req, res) => {
+    try {
+        const tournamentId = parseInt(req.params.id);
+        if (!Number.isInteger(tournamentId)) {
+            return res.status(400).json({ error: 'Invalid tournament ID' });
+        }
+
+        await leaderboardStream.subscribe(tournamentId, req, res);
+    } catch (error) {
+        console.error('Error opening leaderboard stream:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Failed to open leaderboard stream' });
+        } else {
+            res.end();
+        }
+    }
+});
+
 module.exports = router;
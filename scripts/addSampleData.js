@@ -1,6 +1,7 @@
 const { query } = require('../config/database');
 const bcrypt = require('bcrypt');
 const scrapingService = require('../services/scrapingService');
+const rosterService = require('../services/rosterService');
 
 const sampleTournaments = [
     {
@@ -159,27 +160,20 @@ async function addSampleData() {
                 `);
                 
                 if (demoUser.rows.length > 0) {
-                    await query(`
-                        INSERT INTO teams (
-                            user_id, tournament_id, team_name, 
-                            golfer1_id, golfer2_id, golfer3_id, 
-                            golfer4_id, golfer5_id, golfer6_id
-                        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                    const team = await query(`
+                        INSERT INTO teams (user_id, tournament_id, team_name)
+                        VALUES ($1, $2, $3)
                         ON CONFLICT (user_id, tournament_id) DO UPDATE SET
-                            team_name = $3,
-                            golfer1_id = $4,
-                            golfer2_id = $5,
-                            golfer3_id = $6,
-                            golfer4_id = $7,
-                            golfer5_id = $8,
-                            golfer6_id = $9
+                            team_name = $3
+                        RETURNING id
                     `, [
                         demoUser.rows[0].id,
                         tournamentId,
-                        'Demo Dream Team',
-                        ...golferIds
+                        'Demo Dream Team'
                     ]);
                     
+                    await rosterService.setRoster(team.rows[0].id, golferIds);
+                    
                     console.log('✅ Sample team created for demo user');
                 }
             }
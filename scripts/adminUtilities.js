@@ -1,12 +1,30 @@
+const fs = require('fs');
 const { query } = require('../config/database');
 const scrapingService = require('../services/scrapingService');
+const scrapeSnapshots = require('../services/scrapeSnapshotService');
+const golferIdentity = require('../services/golferIdentityService');
+
+// Names whose letters must survive normalization (not just their accents)
+const NAME_CHECKS = [
+    ['Nicolai Højgaard', 'nicolai hojgaard'],
+    ['Ludvig Åberg', 'ludvig aberg'],
+    ['Thorbjørn Olesen', 'thorbjorn olesen'],
+    ['Alex Čejka', 'alex cejka'],
+    ['Jürgen Weiß', 'jurgen weiss'],
+    ["Mark O'Meara", 'mark omeara'],
+    ['  Rasmus   Højgaard ', 'rasmus hojgaard']
+];
 
 class AdminUtilities {
     
     async triggerScrapingUpdate() {
         console.log('🔄 Manually triggering scraping update...');
         try {
-            await scrapingService.runManualUpdate();
+            const { ran, holder } = await scrapingService.runManualUpdate();
+            if (!ran) {
+                console.log(`⏳ Scraping update already running${holder ? ` on ${holder.owner} since ${holder.acquired_at}` : ''}`);
+                return;
+            }
             console.log('✅ Scraping update completed successfully');
         } catch (error) {
             console.error('❌ Scraping update failed:', error);
@@ -16,6 +34,9 @@ class AdminUtilities {
     async testScrapingHealth() {
         console.log('🏥 Testing scraping service health...');
         try {
+            // The CLI can launch Chromium itself; the API only reports the worker's last probe
+            const probe = await scrapingService.probeScrapingHealth();
+            console.log('ESPN probe:', probe);
             const health = await scrapingService.checkScrapingHealth();
             console.log('Health check result:', health);
             return health;
@@ -72,6 +93,88 @@ class AdminUtilities {
             return [];
         }
     }
+    
+    async listSnapshots(source) {
+        try {
+            const snapshots = await scrapeSnapshots.getSnapshots({ source });
+            
+            console.log(`📼 Recent scrape snapshots${source ? ` (${source})` : ''}:`);
+            snapshots.forEach(s => {
+                const parsed = s.parsed_count === null ? 'not parsed' : `${s.parsed_count} rows`;
+                console.log(`   #${s.id} ${s.source} ${new Date(s.created_at).toLocaleString()} - ${parsed}, ${Math.round(s.html_bytes / 1024)} KB${s.error_message ? ` [${s.error_message}]` : ''}`);
+            });
+            
+            return snapshots;
+        } catch (error) {
+            console.error('❌ Failed to list snapshots:', error);
+            return [];
+        }
+    }
+    
+    // Re-run the parser against a stored page, optionally writing its HTML to htmlFile
+    async replaySnapshot(snapshotId, htmlFile) {
+        console.log(`📼 Replaying scrape snapshot #${snapshotId}...`);
+        try {
+            if (htmlFile) {
+                const snapshot = await scrapeSnapshots.getSnapshot(snapshotId);
+                if (snapshot) {
+                    fs.writeFileSync(htmlFile, snapshot.html);
+                    console.log(`   HTML written to ${htmlFile}`);
+                }
+            }
+            
+            const replay = await scrapingService.replaySnapshot(snapshotId);
+            if (!replay) {
+                console.log(`❌ Snapshot #${snapshotId} not found`);
+                return null;
+            }
+            
+            const { snapshot, stored, replayed } = replay;
+            console.log(`   Source: ${snapshot.source} (${snapshot.url || 'no url'})`);
+            console.log(`   Scraped: ${new Date(snapshot.created_at).toLocaleString()}${snapshot.tournament_id ? ` for tournament ${snapshot.tournament_id}` : ''}`);
+            if (snapshot.error_message) {
+                console.log(`   Scrape error: ${snapshot.error_message}`);
+            }
+            console.log(`   Parsed when scraped: ${stored ? stored.length : 'nothing'} rows`);
+            console.log(`   Parsed now: ${replayed.length} rows`);
+            replayed.slice(0, 5).forEach(row => console.log(`     ${JSON.stringify(row)}`));
+            
+            return replay;
+        } catch (error) {
+            console.error('❌ Snapshot replay failed:', error);
+            return null;
+        } finally {
+            await scrapingService.cleanup();
+        }
+    }
+
+    // Golfer matching normalizes names in Postgres; check it folds these
+    // letters instead of dropping them, and that stored golfers find themselves
+    async checkNameNormalization() {
+        console.log('🔤 Checking golfer name normalization...');
+        let failures = 0;
+        
+        for (const [name, expected] of NAME_CHECKS) {
+            const normalized = await golferIdentity.normalizeName(name);
+            const ok = normalized === expected;
+            if (!ok) failures++;
+            console.log(`   ${ok ? '✅' : '❌'} "${name}" -> "${normalized}"${ok ? '' : ` (expected "${expected}")`}`);
+        }
+        
+        // Non-ASCII names must match their own row exactly, or the matcher makes duplicates
+        const golfers = await query(`SELECT id, name FROM golfers WHERE name ~ '[^[:ascii:]]' ORDER BY name`);
+        for (const golfer of golfers.rows) {
+            const exact = await golferIdentity.findExact(await golferIdentity.normalizeName(golfer.name));
+            if (!exact.rows.some(row => row.id === golfer.id)) {
+                failures++;
+                console.log(`   ❌ "${golfer.name}" (#${golfer.id}) doesn't match its own row`);
+            }
+        }
+        console.log(`   Checked ${golfers.rows.length} stored golfers with non-ASCII names`);
+        
+        console.log(failures === 0 ? '✅ Name normalization OK' : `❌ ${failures} name checks failed`);
+        return failures === 0;
+    }
 }
 
 async function runCommand() {
@@ -95,6 +198,22 @@ async function runCommand() {
             await admin.listTournaments();
             break;
             
+        case 'snapshots':
+            await admin.listSnapshots(process.argv[3]);
+            break;
+            
+        case 'names':
+            if (!(await admin.checkNameNormalization())) process.exit(1);
+            break;
+            
+        case 'replay':
+            if (!process.argv[3]) {
+                console.log('Usage: node scripts/adminUtilities.js replay <snapshot id> [html file]');
+                break;
+            }
+            await admin.replaySnapshot(process.argv[3], process.argv[4]);
+            break;
+            
         default:
             console.log('🛠️  Howies Fantasy Clubhouse - Admin Utilities');
             console.log('');
@@ -103,6 +222,9 @@ async function runCommand() {
             console.log('  health       - Check scraping service health');
             console.log('  stats        - Show database statistics');
             console.log('  tournaments  - List all tournaments');
+            console.log('  snapshots    - List recent scrape snapshots [source]');
+            console.log('  replay       - Re-parse a scrape snapshot offline <id> [html file]');
+            console.log('  names        - Check golfer name normalization (ø, æ, ß, ...)');
             console.log('');
             console.log('Usage: node scripts/adminUtilities.js <command>');
             break;
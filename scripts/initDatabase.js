@@ -88,12 +88,6 @@ async function initializeDatabase() {
                 user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
                 tournament_id INTEGER REFERENCES tournaments(id) ON DELETE CASCADE,
                 team_name VARCHAR(255),
-                golfer1_id INTEGER REFERENCES golfers(id),
-                golfer2_id INTEGER REFERENCES golfers(id),
-                golfer3_id INTEGER REFERENCES golfers(id),
-                golfer4_id INTEGER REFERENCES golfers(id),
-                golfer5_id INTEGER REFERENCES golfers(id),
-                golfer6_id INTEGER REFERENCES golfers(id),
                 total_score INTEGER DEFAULT 0,
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -101,6 +95,21 @@ async function initializeDatabase() {
             );
         `);
         
+        // Team rosters, one row per picked golfer
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS team_golfers (
+                id SERIAL PRIMARY KEY,
+                team_id INTEGER REFERENCES teams(id) ON DELETE CASCADE,
+                golfer_id INTEGER REFERENCES golfers(id),
+                slot INTEGER NOT NULL,
+                is_counting BOOLEAN DEFAULT FALSE,
+                locked_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(team_id, slot),
+                UNIQUE(team_id, golfer_id)
+            );
+        `);
+        
         // Leaderboard cache table
         await client.query(`
             CREATE TABLE IF NOT EXISTS leaderboard_cache (
@@ -125,6 +134,7 @@ async function initializeDatabase() {
             CREATE INDEX IF NOT EXISTS idx_tournament_golfers_golfer ON tournament_golfers(golfer_id);
             CREATE INDEX IF NOT EXISTS idx_teams_tournament ON teams(tournament_id);
             CREATE INDEX IF NOT EXISTS idx_teams_user ON teams(user_id);
+            CREATE INDEX IF NOT EXISTS idx_team_golfers_golfer ON team_golfers(golfer_id);
         `);
         
         // Create admin user
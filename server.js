@@ -11,10 +11,15 @@ const tournamentRoutes = require('./routes/tournaments');
 const golferRoutes = require('./routes/golfers');
 const teamRoutes = require('./routes/teams');
 const adminRoutes = require('./routes/admin');
+const leagueRoutes = require('./routes/leagues');
+const seasonRoutes = require('./routes/seasons');
+const draftRoutes = require('./routes/drafts');
 const resetRoutes = require('./routes/reset'); // Add this line
 
-// Initialize scraping service
+// Scheduled scraping runs in the worker process (worker.js); the API enqueues jobs for it
 const scrapingService = require('./services/scrapingService');
+const jobQueue = require('./services/jobQueueService');
+const { normalizedNameSql } = require('./services/golferIdentityService');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -155,12 +160,6 @@ async function initializeDatabase() {
                 user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
                 tournament_id INTEGER REFERENCES tournaments(id) ON DELETE CASCADE,
                 team_name VARCHAR(255),
-                golfer1_id INTEGER REFERENCES golfers(id),
-                golfer2_id INTEGER REFERENCES golfers(id),
-                golfer3_id INTEGER REFERENCES golfers(id),
-                golfer4_id INTEGER REFERENCES golfers(id),
-                golfer5_id INTEGER REFERENCES golfers(id),
-                golfer6_id INTEGER REFERENCES golfers(id),
                 total_score INTEGER DEFAULT 0,
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -346,6 +345,487 @@ async function addInitialData() {
     }
 }
 
+// Schema additions for features built after the initial release.
+// Every statement is idempotent so this runs safely on each startup.
+async function applySchemaUpdates() {
+    console.log('🔧 Applying schema updates...');
+    
+    // Scoring rules: missed-cut / WD / DQ penalties per tournament
+    await query(`
+        ALTER TABLE tournaments
+        ADD COLUMN IF NOT EXISTS cut_line INTEGER,
+        ADD COLUMN IF NOT EXISTS missed_cut_penalty_strokes INTEGER DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS withdrawal_penalty_score INTEGER DEFAULT 10,
+        ADD COLUMN IF NOT EXISTS disqualification_penalty_score INTEGER DEFAULT 10,
+        ADD COLUMN IF NOT EXISTS rank_incomplete_teams_last BOOLEAN DEFAULT TRUE
+    `);
+    
+    await query(`
+        ALTER TABLE tournament_golfers
+        ADD COLUMN IF NOT EXISTS withdrew BOOLEAN DEFAULT FALSE,
+        ADD COLUMN IF NOT EXISTS disqualified BOOLEAN DEFAULT FALSE
+    `);
+    
+    await query(`
+        ALTER TABLE leaderboard_cache
+        ADD COLUMN IF NOT EXISTS surviving_golfers INTEGER DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS is_complete BOOLEAN DEFAULT TRUE
+    `);
+    
+    // Private leagues
+    await query(`
+        CREATE TABLE IF NOT EXISTS leagues (
+            id SERIAL PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            invite_code VARCHAR(20) UNIQUE NOT NULL,
+            created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+    
+    await query(`
+        CREATE TABLE IF NOT EXISTS league_members (
+            id SERIAL PRIMARY KEY,
+            league_id INTEGER REFERENCES leagues(id) ON DELETE CASCADE,
+            user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+            role VARCHAR(20) NOT NULL DEFAULT 'member',
+            joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(league_id, user_id)
+        );
+    `);
+    
+    await query(`
+        CREATE INDEX IF NOT EXISTS idx_league_members_user ON league_members(user_id);
+    `);
+    
+    // Seasons: tournaments grouped for season-long standings
+    await query(`
+        CREATE TABLE IF NOT EXISTS seasons (
+            id SERIAL PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            year INTEGER,
+            scoring_mode VARCHAR(20) DEFAULT 'points',
+            points_table JSONB DEFAULT '[25, 18, 15, 12, 10, 8, 6, 4, 2, 1]',
+            drop_worst INTEGER DEFAULT 0,
+            is_active BOOLEAN DEFAULT TRUE,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+    
+    await query(`
+        ALTER TABLE tournaments
+        ADD COLUMN IF NOT EXISTS season_id INTEGER REFERENCES seasons(id) ON DELETE SET NULL
+    `);
+    
+    // Per-tournament score provider override (espn, fixture)
+    await query(`
+        ALTER TABLE tournaments
+        ADD COLUMN IF NOT EXISTS score_provider VARCHAR(50)
+    `);
+    
+    // Round-by-round ingestion and per-round team totals
+    await query(`
+        ALTER TABLE tournament_golfers
+        ADD COLUMN IF NOT EXISTS today_score INTEGER,
+        ADD COLUMN IF NOT EXISTS thru VARCHAR(10),
+        ADD COLUMN IF NOT EXISTS current_round INTEGER DEFAULT 1
+    `);
+    
+    await query(`
+        ALTER TABLE leaderboard_cache
+        ADD COLUMN IF NOT EXISTS round_scores JSONB DEFAULT '[]'
+    `);
+    
+    // Golfer identity: external ids, aliases and the ambiguous-match review queue
+    await query(`CREATE EXTENSION IF NOT EXISTS pg_trgm`);
+    await query(`CREATE EXTENSION IF NOT EXISTS unaccent`);
+    
+    await query(`
+        ALTER TABLE golfers
+        ADD COLUMN IF NOT EXISTS espn_id VARCHAR(50),
+        ADD COLUMN IF NOT EXISTS pga_tour_id VARCHAR(50),
+        ADD COLUMN IF NOT EXISTS owgr_id VARCHAR(50)
+    `);
+    
+    await query(`
+        CREATE TABLE IF NOT EXISTS golfer_aliases (
+            id SERIAL PRIMARY KEY,
+            golfer_id INTEGER REFERENCES golfers(id) ON DELETE CASCADE,
+            alias VARCHAR(255) NOT NULL,
+            normalized_alias VARCHAR(255) UNIQUE NOT NULL,
+            source VARCHAR(50) DEFAULT 'manual',
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+    
+    await query(`
+        CREATE TABLE IF NOT EXISTS golfer_match_reviews (
+            id SERIAL PRIMARY KEY,
+            tournament_id INTEGER REFERENCES tournaments(id) ON DELETE CASCADE,
+            source VARCHAR(100),
+            raw_name VARCHAR(255) NOT NULL,
+            normalized_name VARCHAR(255) NOT NULL,
+            external_ids JSONB DEFAULT '{}',
+            candidates JSONB DEFAULT '[]',
+            payload JSONB,
+            status VARCHAR(20) DEFAULT 'pending',
+            resolved_golfer_id INTEGER REFERENCES golfers(id) ON DELETE SET NULL,
+            resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            resolved_at TIMESTAMP
+        );
+    `);
+    
+    await query(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_golfer_match_reviews_pending
+            ON golfer_match_reviews(tournament_id, normalized_name) WHERE status = 'pending';
+        CREATE INDEX IF NOT EXISTS idx_golfers_espn_id ON golfers(espn_id);
+        CREATE INDEX IF NOT EXISTS idx_golfers_pga_tour_id ON golfers(pga_tour_id);
+        CREATE INDEX IF NOT EXISTS idx_golfers_owgr_id ON golfers(owgr_id);
+    `);
+    
+    // Aliases saved before names were normalized in Postgres dropped letters like
+    // ø and æ; recompute them (one row per new value, skipping any already taken)
+    await query(`
+        UPDATE golfer_aliases a SET normalized_alias = renamed.normalized
+        FROM (
+            SELECT DISTINCT ON (normalized) id, normalized
+            FROM (SELECT id, ${normalizedNameSql('alias')} as normalized FROM golfer_aliases) recomputed
+            WHERE normalized <> ''
+            ORDER BY normalized, id
+        ) renamed
+        WHERE a.id = renamed.id
+          AND a.normalized_alias <> renamed.normalized
+          AND NOT EXISTS (SELECT 1 FROM golfer_aliases taken WHERE taken.normalized_alias = renamed.normalized)
+    `);
+    
+    // Snake drafts: per league + tournament, each pick is inserted into team_golfers (round N fills slot N)
+    await query(`
+        CREATE TABLE IF NOT EXISTS drafts (
+            id SERIAL PRIMARY KEY,
+            league_id INTEGER REFERENCES leagues(id) ON DELETE CASCADE,
+            tournament_id INTEGER REFERENCES tournaments(id) ON DELETE CASCADE,
+            status VARCHAR(20) DEFAULT 'scheduled',
+            pick_seconds INTEGER DEFAULT 90,
+            rounds INTEGER DEFAULT 6,
+            current_pick INTEGER DEFAULT 1,
+            current_pick_deadline TIMESTAMP,
+            started_at TIMESTAMP,
+            completed_at TIMESTAMP,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(league_id, tournament_id)
+        );
+        CREATE TABLE IF NOT EXISTS draft_order (
+            id SERIAL PRIMARY KEY,
+            draft_id INTEGER REFERENCES drafts(id) ON DELETE CASCADE,
+            user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+            slot INTEGER NOT NULL,
+            UNIQUE(draft_id, user_id),
+            UNIQUE(draft_id, slot)
+        );
+        CREATE TABLE IF NOT EXISTS draft_picks (
+            id SERIAL PRIMARY KEY,
+            draft_id INTEGER REFERENCES drafts(id) ON DELETE CASCADE,
+            pick_number INTEGER NOT NULL,
+            round INTEGER NOT NULL,
+            user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+            golfer_id INTEGER REFERENCES golfers(id),
+            is_auto BOOLEAN DEFAULT FALSE,
+            picked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(draft_id, pick_number),
+            UNIQUE(draft_id, golfer_id)
+        );
+        CREATE TABLE IF NOT EXISTS draft_queues (
+            id SERIAL PRIMARY KEY,
+            draft_id INTEGER REFERENCES drafts(id) ON DELETE CASCADE,
+            user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+            golfer_id INTEGER REFERENCES golfers(id) ON DELETE CASCADE,
+            rank INTEGER NOT NULL,
+            UNIQUE(draft_id, user_id, golfer_id)
+        );
+        CREATE INDEX IF NOT EXISTS idx_drafts_status ON drafts(status);
+    `);
+    
+    // Salary-cap mode: a tournament with a salary_cap prices every golfer and caps team spend
+    await query(`
+        ALTER TABLE tournaments
+        ADD COLUMN IF NOT EXISTS salary_cap INTEGER,
+        ADD COLUMN IF NOT EXISTS pricing_basis VARCHAR(20) DEFAULT 'world_ranking'
+    `);
+    
+    await query(`
+        CREATE TABLE IF NOT EXISTS golfer_salaries (
+            id SERIAL PRIMARY KEY,
+            tournament_id INTEGER REFERENCES tournaments(id) ON DELETE CASCADE,
+            golfer_id INTEGER REFERENCES golfers(id) ON DELETE CASCADE,
+            salary INTEGER NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(tournament_id, golfer_id)
+        );
+    `);
+    
+    // Tiered pick rules ("two from the top 10, two from 11-40, two from the rest")
+    await query(`
+        ALTER TABLE tournaments
+        ADD COLUMN IF NOT EXISTS tier_rules JSONB
+    `);
+    
+    await query(`
+        CREATE TABLE IF NOT EXISTS golfer_tiers (
+            id SERIAL PRIMARY KEY,
+            tournament_id INTEGER REFERENCES tournaments(id) ON DELETE CASCADE,
+            golfer_id INTEGER REFERENCES golfers(id) ON DELETE CASCADE,
+            tier VARCHAR(50) NOT NULL,
+            UNIQUE(tournament_id, golfer_id)
+        );
+    `);
+    
+    // Tournament fields: tournament_golfers rows double as the entry list
+    await query(`
+        ALTER TABLE tournament_golfers
+        ADD COLUMN IF NOT EXISTS withdrawn_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS field_source VARCHAR(50)
+    `);
+    
+    await query(`
+        CREATE TABLE IF NOT EXISTS notifications (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+            team_id INTEGER REFERENCES teams(id) ON DELETE CASCADE,
+            tournament_id INTEGER REFERENCES tournaments(id) ON DELETE CASCADE,
+            type VARCHAR(50) NOT NULL,
+            message TEXT NOT NULL,
+            is_read BOOLEAN DEFAULT FALSE,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, is_read);
+    `);
+    
+    // Post-lock substitutions for withdrawals: window, alternates and audit trail
+    await query(`
+        ALTER TABLE tournaments
+        ADD COLUMN IF NOT EXISTS substitution_window_minutes INTEGER DEFAULT 60
+    `);
+    
+    await query(`
+        CREATE TABLE IF NOT EXISTS team_alternates (
+            id SERIAL PRIMARY KEY,
+            team_id INTEGER REFERENCES teams(id) ON DELETE CASCADE,
+            golfer_id INTEGER REFERENCES golfers(id) ON DELETE CASCADE,
+            rank INTEGER NOT NULL,
+            UNIQUE(team_id, golfer_id)
+        );
+        CREATE TABLE IF NOT EXISTS team_substitutions (
+            id SERIAL PRIMARY KEY,
+            team_id INTEGER REFERENCES teams(id) ON DELETE CASCADE,
+            tournament_id INTEGER REFERENCES tournaments(id) ON DELETE CASCADE,
+            slot INTEGER NOT NULL,
+            out_golfer_id INTEGER REFERENCES golfers(id),
+            in_golfer_id INTEGER REFERENCES golfers(id),
+            method VARCHAR(20) NOT NULL,
+            performed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX IF NOT EXISTS idx_team_substitutions_team ON team_substitutions(team_id);
+    `);
+    
+    // Per-golfer tee times; roster slots lock when the golfer's round 1 tee time passes
+    await query(`
+        ALTER TABLE tournament_golfers
+        ADD COLUMN IF NOT EXISTS round1_tee_time TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS round2_tee_time TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS round3_tee_time TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS round4_tee_time TIMESTAMP
+    `);
+    
+    // Leaderboard tiebreakers and the team builder's winning score prediction
+    await query(`
+        ALTER TABLE tournaments
+        ADD COLUMN IF NOT EXISTS tiebreakers JSONB
+    `);
+    
+    await query(`
+        ALTER TABLE teams
+        ADD COLUMN IF NOT EXISTS predicted_winning_score INTEGER
+    `);
+    
+    await query(`
+        ALTER TABLE leaderboard_cache
+        ADD COLUMN IF NOT EXISTS tiebreak_values JSONB DEFAULT '{}',
+        ADD COLUMN IF NOT EXISTS tiebreak_reason VARCHAR(100)
+    `);
+    
+    // League prize pools and the money ledger they pay into
+    await query(`
+        CREATE TABLE IF NOT EXISTS league_prize_pools (
+            id SERIAL PRIMARY KEY,
+            league_id INTEGER REFERENCES leagues(id) ON DELETE CASCADE,
+            tournament_id INTEGER REFERENCES tournaments(id) ON DELETE CASCADE,
+            entry_fee DECIMAL(10,2) NOT NULL DEFAULT 0,
+            payouts JSONB NOT NULL DEFAULT '[100]',
+            paid_out_at TIMESTAMP,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(league_id, tournament_id)
+        );
+    `);
+    
+    await query(`
+        CREATE TABLE IF NOT EXISTS ledger_entries (
+            id SERIAL PRIMARY KEY,
+            league_id INTEGER REFERENCES leagues(id) ON DELETE CASCADE,
+            tournament_id INTEGER REFERENCES tournaments(id) ON DELETE CASCADE,
+            user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+            type VARCHAR(20) NOT NULL,
+            amount DECIMAL(10,2) NOT NULL,
+            position INTEGER,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+    
+    await query(`
+        CREATE INDEX IF NOT EXISTS idx_ledger_entries_league_user ON ledger_entries(league_id, user_id);
+    `);
+    
+    // Rosters: one team_golfers row per pick, replacing teams.golfer1_id..golfer6_id
+    await query(`
+        CREATE TABLE IF NOT EXISTS team_golfers (
+            id SERIAL PRIMARY KEY,
+            team_id INTEGER REFERENCES teams(id) ON DELETE CASCADE,
+            golfer_id INTEGER REFERENCES golfers(id),
+            slot INTEGER NOT NULL,
+            is_counting BOOLEAN DEFAULT FALSE,
+            locked_at TIMESTAMP,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(team_id, slot),
+            UNIQUE(team_id, golfer_id)
+        );
+        CREATE INDEX IF NOT EXISTS idx_team_golfers_golfer ON team_golfers(golfer_id);
+    `);
+    
+    // Copy legacy golferN_id columns into team_golfers, then drop them (one statement, so all or nothing)
+    await query(`
+        DO $$ BEGIN
+            IF EXISTS (
+                SELECT 1 FROM information_schema.columns
+                WHERE table_name = 'teams' AND column_name = 'golfer1_id'
+            ) THEN
+                INSERT INTO team_golfers (team_id, golfer_id, slot)
+                SELECT t.id, picks.golfer_id, picks.slot
+                FROM teams t
+                CROSS JOIN LATERAL (VALUES
+                    (1, t.golfer1_id), (2, t.golfer2_id), (3, t.golfer3_id),
+                    (4, t.golfer4_id), (5, t.golfer5_id), (6, t.golfer6_id)
+                ) AS picks(slot, golfer_id)
+                WHERE picks.golfer_id IS NOT NULL
+                ON CONFLICT DO NOTHING;
+                
+                ALTER TABLE teams
+                    DROP COLUMN golfer1_id, DROP COLUMN golfer2_id, DROP COLUMN golfer3_id,
+                    DROP COLUMN golfer4_id, DROP COLUMN golfer5_id, DROP COLUMN golfer6_id;
+            END IF;
+        END $$;
+    `);
+    
+    // Roster format per tournament: golfers picked and best scores counted
+    await query(`
+        ALTER TABLE tournaments
+        ADD COLUMN IF NOT EXISTS roster_size INTEGER DEFAULT 6,
+        ADD COLUMN IF NOT EXISTS counting_scores INTEGER DEFAULT 4
+    `);
+    
+    // Live score polling cadence (see scorePollingService)
+    await query(`
+        ALTER TABLE tournaments
+        ADD COLUMN IF NOT EXISTS score_polling_enabled BOOLEAN DEFAULT true,
+        ADD COLUMN IF NOT EXISTS live_poll_minutes INTEGER DEFAULT 2,
+        ADD COLUMN IF NOT EXISTS idle_poll_minutes INTEGER DEFAULT 60,
+        ADD COLUMN IF NOT EXISTS last_score_poll_at TIMESTAMP
+    `);
+    
+    // Scraping run history: one row per job run, plus one per data source pointing at its job
+    await query(`
+        CREATE TABLE IF NOT EXISTS scraping_logs (
+            id SERIAL PRIMARY KEY,
+            source VARCHAR(100) NOT NULL,
+            operation VARCHAR(100) NOT NULL,
+            status VARCHAR(50) NOT NULL,
+            records_processed INTEGER DEFAULT 0,
+            records_updated INTEGER DEFAULT 0,
+            records_created INTEGER DEFAULT 0,
+            error_message TEXT,
+            execution_time_ms INTEGER,
+            started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            completed_at TIMESTAMP,
+            metadata JSONB
+        );
+        ALTER TABLE scraping_logs
+        ADD COLUMN IF NOT EXISTS parent_id INTEGER REFERENCES scraping_logs(id) ON DELETE CASCADE;
+        CREATE INDEX IF NOT EXISTS idx_scraping_logs_started ON scraping_logs(started_at DESC);
+        CREATE INDEX IF NOT EXISTS idx_scraping_logs_parent ON scraping_logs(parent_id);
+        CREATE INDEX IF NOT EXISTS idx_scraping_logs_operation_started ON scraping_logs(operation, started_at DESC);
+    `);
+    
+    // Who holds each job's advisory lock (see jobLockService)
+    await query(`
+        CREATE TABLE IF NOT EXISTS job_locks (
+            job_name VARCHAR(100) PRIMARY KEY,
+            owner VARCHAR(255) NOT NULL,
+            backend_pid INTEGER NOT NULL,
+            acquired_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    
+    // Background jobs for the scraping worker (see jobQueueService)
+    await query(`
+        CREATE TABLE IF NOT EXISTS job_queue (
+            id SERIAL PRIMARY KEY,
+            job_type VARCHAR(100) NOT NULL,
+            payload JSONB DEFAULT '{}',
+            status VARCHAR(20) NOT NULL DEFAULT 'queued',
+            dedupe_key VARCHAR(255),
+            attempts INTEGER DEFAULT 0,
+            max_attempts INTEGER DEFAULT 3,
+            run_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            locked_by VARCHAR(255),
+            locked_at TIMESTAMP,
+            heartbeat_at TIMESTAMP,
+            last_error TEXT,
+            result JSONB,
+            created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            completed_at TIMESTAMP
+        );
+        CREATE INDEX IF NOT EXISTS idx_job_queue_claim ON job_queue(status, run_at);
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_job_queue_dedupe ON job_queue(dedupe_key) WHERE status IN ('queued', 'running');
+    `);
+    
+    // Raw scraped pages with their parsed output, for replaying parser fixes (see scrapeSnapshotService)
+    await query(`
+        CREATE TABLE IF NOT EXISTS scrape_snapshots (
+            id SERIAL PRIMARY KEY,
+            source VARCHAR(100) NOT NULL,
+            url TEXT,
+            tournament_id INTEGER REFERENCES tournaments(id) ON DELETE SET NULL,
+            scraping_log_id INTEGER REFERENCES scraping_logs(id) ON DELETE SET NULL,
+            html_gzip BYTEA NOT NULL,
+            html_bytes INTEGER,
+            parsed JSONB,
+            parsed_count INTEGER,
+            error_message TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX IF NOT EXISTS idx_scrape_snapshots_source_created ON scrape_snapshots(source, created_at DESC);
+        CREATE INDEX IF NOT EXISTS idx_scrape_snapshots_created ON scrape_snapshots(created_at);
+    `);
+    
+    console.log('✅ Schema up to date');
+}
+
 // API Routes
 app.use('/api/reset', resetRoutes);        // Add this line
 app.use('/api/auth', authRoutes);
@@ -353,6 +833,9 @@ app.use('/api/tournaments', tournamentRoutes);
 app.use('/api/golfers', golferRoutes);
 app.use('/api/teams', teamRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/leagues', leagueRoutes);
+app.use('/api/seasons', seasonRoutes);
+app.use('/api/drafts', draftRoutes);
 
 // Enhanced health check endpoints
 app.get('/api/health', async (req, res) => {
@@ -401,6 +884,7 @@ app.post('/api/admin/setup-database', async (req, res) => {
         console.log('🔄 Manual database setup triggered...');
         await initializeDatabase();
         await addInitialData();
+        await applySchemaUpdates();
         res.json({ message: 'Database setup completed successfully' });
     } catch (error) {
         console.error('Database setup failed:', error);
@@ -412,8 +896,12 @@ app.post('/api/admin/setup-database', async (req, res) => {
 app.post('/api/admin/trigger-scraping', async (req, res) => {
     try {
         console.log('🔄 Manual scraping triggered...');
-        scrapingService.runManualUpdate();
-        res.json({ message: 'Scraping update triggered successfully' });
+        const { job, created } = await jobQueue.enqueue('manual_update', {}, { dedupeKey: 'manual_update' });
+        res.status(202).json({
+            message: created ? 'Scraping update queued' : 'Scraping update already queued',
+            job_id: job.id,
+            status: job.status
+        });
     } catch (error) {
         console.error('Manual scraping trigger failed:', error);
         res.status(500).json({ error: 'Failed to trigger scraping update' });
@@ -471,6 +959,8 @@ async function startServer() {
             console.log('✅ Database already initialized');
         }
         
+        await applySchemaUpdates();
+        
         // Start server
         app.listen(PORT, () => {
             console.log('');
@@ -478,7 +968,7 @@ async function startServer() {
             console.log(`🌐 Port: ${PORT}`);
             console.log(`🔗 Health Check: /api/health`);
             console.log(`🔄 Reset Tool: /reset.html`);     // Add this line
-            console.log(`🕷️ Web scraping service initialized`);
+            console.log(`🕷️ Scraping jobs run in the worker: npm run worker`);
             console.log('');
             console.log('🔑 Demo Accounts:');
             console.log('   Admin: admin@howiesclubhouse.com / admin123!');
@@ -0,0 +1,441 @@
+const EventEmitter = require('events');
+const { pool, query } = require('../config/database');
+const fieldService = require('./fieldService');
+const rosterService = require('./rosterService');
+const DEFAULT_PICK_SECONDS = 90;
+// Other processes (the API's draft stream) hear about picks via NOTIFY on this
+// channel, with the draft id as the payload
+const UPDATED_CHANNEL = 'draft_updated';
+
+// Snake order: round 1 runs slot 1..n, round 2 runs n..1, and so on
+const slotForPick = (pickNumber, participantCount) => {
+    const round = Math.ceil(pickNumber / participantCount);
+    const indexInRound = (pickNumber - 1) % participantCount;
+    const slot = round % 2 === 1 ? indexInRound : participantCount - 1 - indexInRound;
+    return { round, slot: slot + 1 };
+};
+
+const shuffle = (items) => {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+};
+
+class DraftError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'DraftError';
+        this.status = status;
+    }
+}
+
+// Snake drafts for a league + tournament. Drafted golfers are exclusive within
+// the draft and fill the drafting user's roster slots round by round.
+// Emits 'updated' (draftId) after every pick or status change, and NOTIFYs
+// UPDATED_CHANNEL for other processes. The worker runs autoPickExpired().
+class DraftService extends EventEmitter {
+    // Delivered on COMMIT, to listeners in every process
+    async notifyUpdated(client, draftId) {
+        await client.query('SELECT pg_notify($1, $2)', [UPDATED_CHANNEL, String(parseInt(draftId))]);
+    }
+
+    async createDraft({ leagueId, tournamentId, pickSeconds = DEFAULT_PICK_SECONDS, order }) {
+        const members = await query(
+            'SELECT user_id FROM league_members WHERE league_id = $1',
+            [leagueId]
+        );
+        const memberIds = members.rows.map(row => row.user_id);
+
+        if (memberIds.length < 2) {
+            throw new DraftError('A draft needs at least 2 league members');
+        }
+
+        let draftOrder = shuffle(memberIds);
+        if (Array.isArray(order) && order.length > 0) {
+            const sameMembers = order.length === memberIds.length && order.every(id => memberIds.includes(id));
+            if (!sameMembers) {
+                throw new DraftError('Draft order must list every league member exactly once');
+            }
+            draftOrder = order;
+        }
+
+        // teams are one per user per tournament, so a user can only be in one draft per tournament
+        const conflicts = await query(`
+            SELECT DISTINCT u.username
+            FROM draft_order o
+            JOIN drafts d ON o.draft_id = d.id
+            JOIN users u ON o.user_id = u.id
+            WHERE d.tournament_id = $1 AND o.user_id = ANY($2)
+        `, [tournamentId, memberIds]);
+
+        if (conflicts.rows.length > 0) {
+            throw new DraftError(`Already drafting this tournament in another league: ${conflicts.rows.map(r => r.username).join(', ')}`);
+        }
+
+        // One round per roster slot
+        const format = await rosterService.getFormat(tournamentId);
+        if (!format) throw new DraftError('Tournament not found', 404);
+
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const draft = await client.query(`
+                INSERT INTO drafts (league_id, tournament_id, pick_seconds, rounds)
+                VALUES ($1, $2, $3, $4)
+                RETURNING *
+            `, [leagueId, tournamentId, pickSeconds, format.roster_size]);
+
+            for (const [index, userId] of draftOrder.entries()) {
+                await client.query(
+                    'INSERT INTO draft_order (draft_id, user_id, slot) VALUES ($1, $2, $3)',
+                    [draft.rows[0].id, userId, index + 1]
+                );
+            }
+
+            await client.query('COMMIT');
+            return draft.rows[0];
+        } catch (error) {
+            await client.query('ROLLBACK');
+            if (error.code === '23505') {
+                throw new DraftError('This league already has a draft for this tournament');
+            }
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async startDraft(draftId) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const draft = await client.query(`
+                UPDATE drafts SET
+                    status = 'in_progress',
+                    current_pick = 1,
+                    current_pick_deadline = CURRENT_TIMESTAMP + (pick_seconds * INTERVAL '1 second'),
+                    started_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND status = 'scheduled'
+                RETURNING *
+            `, [draftId]);
+
+            if (draft.rows.length === 0) {
+                throw new DraftError('Draft not found or already started', 404);
+            }
+
+            // Start every participant from an empty roster for this tournament
+            await client.query(`
+                INSERT INTO teams (user_id, tournament_id, team_name)
+                SELECT o.user_id, $2, u.username || '''s Draft Team'
+                FROM draft_order o
+                JOIN users u ON o.user_id = u.id
+                WHERE o.draft_id = $1
+                ON CONFLICT (user_id, tournament_id) DO UPDATE SET
+                    updated_at = CURRENT_TIMESTAMP
+            `, [draftId, draft.rows[0].tournament_id]);
+
+            await client.query(`
+                DELETE FROM team_golfers WHERE team_id IN (
+                    SELECT t.id FROM teams t
+                    JOIN draft_order o ON o.user_id = t.user_id
+                    WHERE o.draft_id = $1 AND t.tournament_id = $2
+                )
+            `, [draftId, draft.rows[0].tournament_id]);
+
+            await this.notifyUpdated(client, draftId);
+            await client.query('COMMIT');
+            this.emit('updated', parseInt(draftId));
+            return draft.rows[0];
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Lock the draft row for a pick. expectedPick (auto-picks) must still be
+    // the current pick and its clock must have run out, or the pick was
+    // already made elsewhere.
+    async lockDraftForPick(client, draftId, expectedPick = null) {
+        const draftResult = await client.query(`
+            SELECT *, COALESCE(current_pick_deadline <= CURRENT_TIMESTAMP, false) as clock_expired
+            FROM drafts WHERE id = $1 FOR UPDATE
+        `, [draftId]);
+        const draft = draftResult.rows[0];
+
+        if (!draft) throw new DraftError('Draft not found', 404);
+        if (draft.status !== 'in_progress') throw new DraftError('Draft is not in progress');
+
+        if (expectedPick !== null && (draft.current_pick !== expectedPick || !draft.clock_expired)) {
+            throw new DraftError(`Pick ${expectedPick} has already been made`, 409);
+        }
+
+        return draft;
+    }
+
+    // Move the clock to the next pick, or complete the draft after the last one
+    async advancePick(client, draft, participantCount) {
+        const totalPicks = draft.rounds * participantCount;
+        if (draft.current_pick >= totalPicks) {
+            await client.query(`
+                UPDATE drafts SET status = 'completed', current_pick_deadline = NULL, completed_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+            `, [draft.id]);
+        } else {
+            await client.query(`
+                UPDATE drafts SET
+                    current_pick = current_pick + 1,
+                    current_pick_deadline = CURRENT_TIMESTAMP + (pick_seconds * INTERVAL '1 second')
+                WHERE id = $1
+            `, [draft.id]);
+        }
+    }
+
+    async makePick(draftId, userId, golferId, { isAuto = false, expectedPick = null } = {}) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const draft = await this.lockDraftForPick(client, draftId, expectedPick);
+
+            const order = await client.query(
+                'SELECT user_id, slot FROM draft_order WHERE draft_id = $1 ORDER BY slot ASC',
+                [draftId]
+            );
+            const { round, slot } = slotForPick(draft.current_pick, order.rows.length);
+            const onTheClock = order.rows[slot - 1].user_id;
+
+            if (onTheClock !== userId) {
+                throw new DraftError('It is not your turn to pick', 403);
+            }
+
+            const golfer = await client.query('SELECT id, name FROM golfers WHERE id = $1 AND is_active = true', [golferId]);
+            if (golfer.rows.length === 0) {
+                throw new DraftError('Golfer not found or inactive', 404);
+            }
+
+            const [ineligible] = await fieldService.findIneligible(draft.tournament_id, [golferId]);
+            if (ineligible) {
+                throw new DraftError(`${golfer.rows[0].name} is not in the tournament field`);
+            }
+
+            const taken = await client.query(
+                'SELECT 1 FROM draft_picks WHERE draft_id = $1 AND golfer_id = $2',
+                [draftId, golferId]
+            );
+            if (taken.rows.length > 0) {
+                throw new DraftError(`${golfer.rows[0].name} has already been drafted`);
+            }
+
+            await client.query(`
+                INSERT INTO draft_picks (draft_id, pick_number, round, user_id, golfer_id, is_auto)
+                VALUES ($1, $2, $3, $4, $5, $6)
+            `, [draftId, draft.current_pick, round, userId, golferId, isAuto]);
+
+            // Round N fills roster slot N
+            const team = await client.query(
+                'UPDATE teams SET updated_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND tournament_id = $2 RETURNING id',
+                [userId, draft.tournament_id]
+            );
+            await rosterService.setSlot(team.rows[0].id, round, golferId, client);
+
+            await client.query(
+                'DELETE FROM draft_queues WHERE draft_id = $1 AND golfer_id = $2',
+                [draftId, golferId]
+            );
+
+            await this.advancePick(client, draft, order.rows.length);
+
+            await this.notifyUpdated(client, draftId);
+            await client.query('COMMIT');
+
+            console.log(`🐍 Draft ${draftId} pick ${draft.current_pick}: ${golfer.rows[0].name}${isAuto ? ' (auto)' : ''}`);
+            this.emit('updated', parseInt(draftId));
+
+            return { pickNumber: draft.current_pick, round, golfer: golfer.rows[0], isAuto };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // An expired pick with no golfer left to draft is passed over, leaving
+    // that roster slot empty, so the draft doesn't stall
+    async skipPick(draftId, expectedPick) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const draft = await this.lockDraftForPick(client, draftId, expectedPick);
+            const order = await client.query('SELECT COUNT(*)::int as count FROM draft_order WHERE draft_id = $1', [draftId]);
+            await this.advancePick(client, draft, order.rows[0].count);
+
+            await this.notifyUpdated(client, draftId);
+            await client.query('COMMIT');
+
+            console.log(`🐍 Draft ${draftId} pick ${draft.current_pick}: skipped, no golfer available`);
+            this.emit('updated', parseInt(draftId));
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // On timeout: the first still-available golfer in the user's queue,
+    // otherwise the best-ranked available golfer
+    async autoPickExpired() {
+        const expired = await query(`
+            SELECT id, tournament_id, current_pick FROM drafts
+            WHERE status = 'in_progress' AND current_pick_deadline < CURRENT_TIMESTAMP
+        `);
+
+        for (const draft of expired.rows) {
+            const order = await query(
+                'SELECT user_id FROM draft_order WHERE draft_id = $1 ORDER BY slot ASC',
+                [draft.id]
+            );
+            const { slot } = slotForPick(draft.current_pick, order.rows.length);
+            const userId = order.rows[slot - 1].user_id;
+
+            const choice = await query(`
+                SELECT golfer_id FROM (
+                    SELECT q.golfer_id, 0 as source, q.rank as sort_key
+                    FROM draft_queues q
+                    JOIN golfers g ON q.golfer_id = g.id AND g.is_active = true
+                    WHERE q.draft_id = $1 AND q.user_id = $2
+                    UNION ALL
+                    SELECT g.id, 1, g.world_ranking
+                    FROM golfers g
+                    WHERE g.is_active = true
+                ) options
+                WHERE golfer_id NOT IN (SELECT golfer_id FROM draft_picks WHERE draft_id = $1)
+                  AND (
+                      NOT EXISTS (SELECT 1 FROM tournament_golfers WHERE tournament_id = $3)
+                      OR golfer_id IN (
+                          SELECT golfer_id FROM tournament_golfers
+                          WHERE tournament_id = $3 AND COALESCE(withdrew, false) = false
+                      )
+                  )
+                ORDER BY source ASC, sort_key ASC NULLS LAST
+                LIMIT 1
+            `, [draft.id, userId, draft.tournament_id]);
+
+            try {
+                if (choice.rows.length === 0) {
+                    await this.skipPick(draft.id, draft.current_pick);
+                } else {
+                    await this.makePick(draft.id, userId, choice.rows[0].golfer_id, {
+                        isAuto: true,
+                        expectedPick: draft.current_pick
+                    });
+                }
+            } catch (error) {
+                // Someone else may have picked in the meantime; next tick re-checks
+                if (!(error instanceof DraftError)) throw error;
+            }
+        }
+    }
+
+    async getDraftState(draftId) {
+        const draftResult = await query(`
+            SELECT d.*, l.name as league_name, t.name as tournament_name
+            FROM drafts d
+            JOIN leagues l ON d.league_id = l.id
+            JOIN tournaments t ON d.tournament_id = t.id
+            WHERE d.id = $1
+        `, [draftId]);
+
+        if (draftResult.rows.length === 0) return null;
+
+        const draft = draftResult.rows[0];
+
+        const order = await query(`
+            SELECT o.user_id, o.slot, u.username
+            FROM draft_order o
+            JOIN users u ON o.user_id = u.id
+            WHERE o.draft_id = $1
+            ORDER BY o.slot ASC
+        `, [draftId]);
+
+        const picks = await query(`
+            SELECT p.pick_number, p.round, p.user_id, p.golfer_id, p.is_auto, p.picked_at,
+                   g.name as golfer_name, g.country, g.world_ranking
+            FROM draft_picks p
+            JOIN golfers g ON p.golfer_id = g.id
+            WHERE p.draft_id = $1
+            ORDER BY p.pick_number ASC
+        `, [draftId]);
+
+        let onTheClock = null;
+        if (draft.status === 'in_progress') {
+            const { round, slot } = slotForPick(draft.current_pick, order.rows.length);
+            onTheClock = { ...order.rows[slot - 1], round, pick_number: draft.current_pick };
+        }
+
+        return {
+            ...draft,
+            order: order.rows,
+            picks: picks.rows,
+            on_the_clock: onTheClock,
+            server_time: new Date().toISOString()
+        };
+    }
+
+    async getQueue(draftId, userId) {
+        const result = await query(`
+            SELECT q.golfer_id, q.rank, g.name, g.country, g.world_ranking
+            FROM draft_queues q
+            JOIN golfers g ON q.golfer_id = g.id
+            WHERE q.draft_id = $1 AND q.user_id = $2
+            ORDER BY q.rank ASC
+        `, [draftId, userId]);
+        return result.rows;
+    }
+
+    async setQueue(draftId, userId, golferIds) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query('DELETE FROM draft_queues WHERE draft_id = $1 AND user_id = $2', [draftId, userId]);
+            for (const [index, golferId] of [...new Set(golferIds)].entries()) {
+                await client.query(
+                    'INSERT INTO draft_queues (draft_id, user_id, golfer_id, rank) VALUES ($1, $2, $3, $4)',
+                    [draftId, userId, golferId, index + 1]
+                );
+            }
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+        return this.getQueue(draftId, userId);
+    }
+
+    // Whether the user's team for a tournament is owned by a draft
+    async isDraftedTournament(userId, tournamentId) {
+        const result = await query(`
+            SELECT 1 FROM draft_order o
+            JOIN drafts d ON o.draft_id = d.id
+            WHERE o.user_id = $1 AND d.tournament_id = $2
+            LIMIT 1
+        `, [userId, tournamentId]);
+        return result.rows.length > 0;
+    }
+}
+
+module.exports = new DraftService();
+module.exports.DraftError = DraftError;
+module.exports.UPDATED_CHANNEL = UPDATED_CHANNEL;
+module.exports.slotForPick = slotForPick;
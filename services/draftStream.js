@@ -0,0 +1,76 @@
+const draftService = require('./draftService');
+const notifications = require('./notificationListener');
+const { UPDATED_CHANNEL } = draftService;
+
+const HEARTBEAT_INTERVAL = 25000; // Keep proxies from closing idle connections
+
+// Draft rooms are small, so every update sends the full board rather than a delta
+class DraftStream {
+    constructor() {
+        // draftId -> Set<res>
+        this.rooms = new Map();
+    }
+
+    // Picks are made in any API process and auto-picks in the worker, so
+    // updates arrive as NOTIFYs
+    listen() {
+        notifications.listen(
+            UPDATED_CHANNEL,
+            payload => this.broadcastSafely(parseInt(payload)),
+            () => this.rooms.forEach((clients, draftId) => this.broadcastSafely(draftId))
+        );
+    }
+
+    subscribe(draftId, state, req, res) {
+        this.listen();
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write('retry: 3000\n\n');
+
+        let clients = this.rooms.get(draftId);
+        if (!clients) {
+            clients = new Set();
+            this.rooms.set(draftId, clients);
+        }
+        clients.add(res);
+
+        this.send(res, 'state', state);
+
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            clients.delete(res);
+            if (clients.size === 0) {
+                this.rooms.delete(draftId);
+            }
+        });
+    }
+
+    broadcastSafely(draftId) {
+        this.broadcast(draftId).catch(error => {
+            console.error(`❌ Draft stream broadcast failed for draft ${draftId}:`, error.message);
+        });
+    }
+
+    async broadcast(draftId) {
+        const clients = this.rooms.get(draftId);
+        if (!clients) return;
+
+        const state = await draftService.getDraftState(draftId);
+        for (const res of clients) {
+            this.send(res, 'state', state);
+        }
+    }
+
+    send(res, event, data) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+}
+
+module.exports = new DraftStream();
@@ -0,0 +1,183 @@
+const { query } = require('../config/database');
+const jobQueue = require('./jobQueueService');
+const golferIdentity = require('./golferIdentityService');
+const scoreProviders = require('./scoreProviders');
+const { TEED_OFF_SQL } = require('./lockService');
+
+// A synced field that shrinks by more than this is treated as a bad scrape,
+// not a wave of withdrawals
+const MIN_SYNC_RATIO = 0.5;
+
+const eventKey = (name) => String(name || '')
+    .toLowerCase()
+    .replace(/^the\s+/, '')
+    .replace(/[^a-z0-9]+/g, '');
+
+// Names match if one starts with the other once case, punctuation and a leading
+// "The" are ignored, so suffixes ("Masters Tournament", "... presented by
+// Mastercard") still match but "The Open" doesn't match "U.S. Open"
+const isSameEvent = (eventName, tournamentName) => {
+    const event = eventKey(eventName);
+    const tournament = eventKey(tournamentName);
+    return !!event && !!tournament && (event.startsWith(tournament) || tournament.startsWith(event));
+};
+
+// The tournament field lives in tournament_golfers: a row means the golfer is
+// entered, withdrew = true means they pulled out. Tournaments without any rows
+// have no published field yet, and every active golfer stays pickable.
+// Each new withdrawal queues a handle_withdrawal job for the worker.
+class FieldService {
+    async getField(tournamentId) {
+        const result = await query(`
+            SELECT g.id as golfer_id, g.name, g.country, g.world_ranking,
+                   tg.withdrew, tg.withdrawn_at, tg.field_source,
+                   tg.round1_tee_time, tg.round2_tee_time, tg.round3_tee_time, tg.round4_tee_time,
+                   ${TEED_OFF_SQL} as locked
+            FROM tournament_golfers tg
+            JOIN tournaments tour ON tg.tournament_id = tour.id
+            JOIN golfers g ON tg.golfer_id = g.id
+            WHERE tg.tournament_id = $1
+            ORDER BY tg.withdrew ASC, g.world_ranking ASC NULLS LAST, g.name ASC
+        `, [tournamentId]);
+        return result.rows;
+    }
+
+    async hasField(tournamentId) {
+        const result = await query('SELECT 1 FROM tournament_golfers WHERE tournament_id = $1 LIMIT 1', [tournamentId]);
+        return result.rows.length > 0;
+    }
+
+    // Golfer ids that can't be picked: not in a published field, or withdrawn
+    async findIneligible(tournamentId, golferIds) {
+        if (golferIds.length === 0 || !(await this.hasField(tournamentId))) return [];
+
+        const result = await query(`
+            SELECT golfer_id FROM tournament_golfers
+            WHERE tournament_id = $1 AND golfer_id = ANY($2) AND COALESCE(withdrew, false) = false
+        `, [tournamentId, golferIds]);
+
+        const eligible = new Set(result.rows.map(row => row.golfer_id));
+        return golferIds.map(id => parseInt(id)).filter(id => !eligible.has(id));
+    }
+
+    // entries: [{ name, external_ids }] or plain names. With replace, entered
+    // golfers missing from the list are withdrawn.
+    async importField(tournamentId, entries, { source = 'upload', replace = false } = {}) {
+        const matchedIds = new Set();
+        const unmatched = [];
+
+        for (const entry of entries) {
+            const { name, external_ids: externalIds = {} } = typeof entry === 'string' ? { name: entry } : entry;
+            const match = await golferIdentity.resolveGolfer(
+                { name, externalIds },
+                { source: `field:${source}`, tournamentId }
+            );
+
+            if (match) matchedIds.add(match.golferId);
+            else unmatched.push(name);
+        }
+
+        let added = 0;
+        for (const golferId of matchedIds) {
+            if (await this.addEntrant(tournamentId, golferId, source)) added++;
+        }
+
+        const withdrawn = [];
+        if (replace) {
+            const missing = await query(`
+                SELECT golfer_id FROM tournament_golfers
+                WHERE tournament_id = $1 AND NOT (golfer_id = ANY($2)) AND COALESCE(withdrew, false) = false
+            `, [tournamentId, [...matchedIds]]);
+
+            for (const { golfer_id } of missing.rows) {
+                await this.withdrawGolfer(tournamentId, golfer_id);
+                withdrawn.push(golfer_id);
+            }
+        }
+
+        console.log(`📋 Field for tournament ${tournamentId}: ${matchedIds.size} matched, ${added} added, ${withdrawn.length} withdrawn, ${unmatched.length} unmatched`);
+
+        return { matched: matchedIds.size, added, withdrawn, unmatched };
+    }
+
+    // Returns true if the golfer wasn't already entered
+    async addEntrant(tournamentId, golferId, source) {
+        const result = await query(`
+            INSERT INTO tournament_golfers (tournament_id, golfer_id, field_source)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (tournament_id, golfer_id) DO NOTHING
+            RETURNING id
+        `, [tournamentId, golferId, source]);
+        return result.rows.length > 0;
+    }
+
+    // Pull the entry list from the tournament's score provider (pre-event leaderboards
+    // list the field). Nothing is imported unless the provider's page is for this
+    // tournament. Only an admin's sync withdraws golfers missing from the list; the
+    // scheduled sync (automatic) just adds entrants. null if there's nothing to import.
+    async syncFieldFromProvider(tournament, { automatic = false } = {}) {
+        const provider = scoreProviders.getProvider(tournament);
+        const { event, rows } = await provider.fetchField(tournament);
+
+        if (!isSameEvent(event.name, tournament.name)) {
+            console.log(`📋 ${provider.name} is showing ${event.name || 'an unknown event'}, not ${tournament.name}; field not synced`);
+            return null;
+        }
+
+        if (rows.length === 0) {
+            console.log(`📋 ${provider.name} has no field for ${tournament.name} yet`);
+            return null;
+        }
+
+        const current = await query(
+            'SELECT COUNT(*) as count FROM tournament_golfers WHERE tournament_id = $1 AND COALESCE(withdrew, false) = false',
+            [tournament.id]
+        );
+        const replace = !automatic && rows.length >= parseInt(current.rows[0].count) * MIN_SYNC_RATIO;
+
+        return this.importField(
+            tournament.id,
+            rows.map(row => ({ name: row.name, external_ids: row.external_ids })),
+            { source: provider.name, replace }
+        );
+    }
+
+    // Mark a golfer withdrawn. The affected teams are notified (and filled from
+    // their alternates) by a handle_withdrawal job, so it happens even when the
+    // withdrawal is found by a scrape in the worker process.
+    async withdrawGolfer(tournamentId, golferId) {
+        const result = await query(`
+            UPDATE tournament_golfers SET withdrew = true, withdrawn_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE tournament_id = $1 AND golfer_id = $2 AND COALESCE(withdrew, false) = false
+            RETURNING golfer_id
+        `, [tournamentId, golferId]);
+
+        if (result.rows.length === 0) return null;
+
+        const affected = await query(`
+            SELECT t.id
+            FROM teams t
+            JOIN team_golfers rg ON rg.team_id = t.id
+            WHERE t.tournament_id = $1 AND rg.golfer_id = $2
+        `, [tournamentId, golferId]);
+
+        await jobQueue.enqueue(
+            'handle_withdrawal',
+            { tournament_id: parseInt(tournamentId), golfer_id: parseInt(golferId) },
+            { dedupeKey: `withdrawal:${tournamentId}:${golferId}` }
+        );
+
+        return { golferId, affectedTeams: affected.rows.map(team => team.id) };
+    }
+
+    async reinstateGolfer(tournamentId, golferId) {
+        const result = await query(`
+            UPDATE tournament_golfers SET withdrew = false, withdrawn_at = NULL, updated_at = CURRENT_TIMESTAMP
+            WHERE tournament_id = $1 AND golfer_id = $2 AND withdrew = true
+            RETURNING golfer_id
+        `, [tournamentId, golferId]);
+        return result.rows[0] || null;
+    }
+}
+
+module.exports = new FieldService();
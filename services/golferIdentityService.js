@@ -0,0 +1,203 @@
+const { query } = require('../config/database');
+
+// Trigram similarity a fuzzy match needs before it is trusted, and how far
+// ahead of the runner-up it must be. Anything less goes to the review queue.
+const MATCH_THRESHOLD = parseFloat(process.env.GOLFER_MATCH_THRESHOLD) || 0.6;
+const MATCH_MARGIN = 0.1;
+const CANDIDATE_FLOOR = 0.3;
+
+const EXTERNAL_ID_COLUMNS = {
+    espn: 'espn_id',
+    pga: 'pga_tour_id',
+    owgr: 'owgr_id'
+};
+
+// Names are normalized in Postgres for stored and scraped names alike, so both
+// sides fold letters the same way: unaccent turns ø, æ, ß and ł into o, ae, ss
+// and l rather than dropping them.
+// "Nicolai Højgaard" -> "nicolai hojgaard", "Mark O'Meara" -> "mark omeara"
+const normalizedNameSql = (expression) =>
+    `btrim(regexp_replace(regexp_replace(lower(unaccent(${expression})), '[^a-z0-9 ]', '', 'g'), '\\s+', ' ', 'g'))`;
+
+const NORMALIZED_NAME_SQL = normalizedNameSql('g.name');
+
+class GolferIdentityService {
+    async normalizeName(name) {
+        const result = await query(`SELECT ${normalizedNameSql('$1::text')} as normalized`, [String(name || '')]);
+        return result.rows[0].normalized;
+    }
+
+    // Resolve a scraped player to a golfer id, or null if the match is not
+    // confident enough (in which case it is queued for admin review).
+    // context: { source, tournamentId, payload } where payload is the raw row to replay on resolve
+    async resolveGolfer({ name, externalIds = {} }, context = {}) {
+        const normalized = await this.normalizeName(name);
+        if (!normalized) return null;
+
+        const byExternalId = await this.findByExternalIds(externalIds);
+        if (byExternalId) {
+            return { golferId: byExternalId, confidence: 1, method: 'external_id' };
+        }
+
+        const exact = await this.findExact(normalized);
+
+        if (exact.rows.length === 1) {
+            const golferId = exact.rows[0].id;
+            await this.rememberExternalIds(golferId, externalIds);
+            return { golferId, confidence: 1, method: 'exact' };
+        }
+
+        const candidates = exact.rows.length > 1
+            ? await this.describeCandidates(exact.rows.map(row => row.id), normalized)
+            : await this.findCandidates(normalized);
+
+        const [best, runnerUp] = candidates;
+        const confident = exact.rows.length <= 1
+            && best
+            && best.similarity >= MATCH_THRESHOLD
+            && (!runnerUp || best.similarity - runnerUp.similarity >= MATCH_MARGIN);
+
+        if (confident) {
+            await this.addAlias(best.id, name, context.source || 'auto');
+            await this.rememberExternalIds(best.id, externalIds);
+            return { golferId: best.id, confidence: best.similarity, method: 'trigram' };
+        }
+
+        await this.queueForReview({ name, normalized, externalIds, candidates }, context);
+        return null;
+    }
+
+    // Golfers whose name or an alias normalizes to exactly this
+    async findExact(normalized) {
+        return query(`
+            SELECT g.id FROM golfers g WHERE ${NORMALIZED_NAME_SQL} = $1
+            UNION
+            SELECT a.golfer_id FROM golfer_aliases a WHERE a.normalized_alias = $1
+        `, [normalized]);
+    }
+
+    async findByExternalIds(externalIds) {
+        for (const [source, column] of Object.entries(EXTERNAL_ID_COLUMNS)) {
+            if (!externalIds[source]) continue;
+            const result = await query(`SELECT id FROM golfers WHERE ${column} = $1 LIMIT 1`, [String(externalIds[source])]);
+            if (result.rows.length > 0) return result.rows[0].id;
+        }
+        return null;
+    }
+
+    async findCandidates(normalized, limit = 5) {
+        const result = await query(`
+            SELECT g.id, g.name, g.country, g.world_ranking,
+                   similarity(${NORMALIZED_NAME_SQL}, $1) as similarity
+            FROM golfers g
+            WHERE similarity(${NORMALIZED_NAME_SQL}, $1) >= $2
+            ORDER BY similarity DESC, g.world_ranking ASC
+            LIMIT $3
+        `, [normalized, CANDIDATE_FLOOR, limit]);
+
+        return result.rows.map(row => ({ ...row, similarity: parseFloat(row.similarity) }));
+    }
+
+    async describeCandidates(golferIds, normalized) {
+        const result = await query(`
+            SELECT g.id, g.name, g.country, g.world_ranking,
+                   similarity(${NORMALIZED_NAME_SQL}, $2) as similarity
+            FROM golfers g
+            WHERE g.id = ANY($1)
+            ORDER BY similarity DESC
+        `, [golferIds, normalized]);
+
+        return result.rows.map(row => ({ ...row, similarity: parseFloat(row.similarity) }));
+    }
+
+    // Fill in external ids we didn't know yet; never overwrite an existing one
+    async rememberExternalIds(golferId, externalIds) {
+        for (const [source, column] of Object.entries(EXTERNAL_ID_COLUMNS)) {
+            if (!externalIds[source]) continue;
+            await query(
+                `UPDATE golfers SET ${column} = $1 WHERE id = $2 AND ${column} IS NULL`,
+                [String(externalIds[source]), golferId]
+            );
+        }
+    }
+
+    async addAlias(golferId, alias, source = 'manual') {
+        const normalized = await this.normalizeName(alias);
+        if (!normalized) return null;
+
+        const result = await query(`
+            INSERT INTO golfer_aliases (golfer_id, alias, normalized_alias, source)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (normalized_alias) DO NOTHING
+            RETURNING *
+        `, [golferId, alias.trim(), normalized, source]);
+
+        return result.rows[0] || null;
+    }
+
+    async queueForReview({ name, normalized, externalIds, candidates }, context) {
+        console.log(`🔎 Ambiguous golfer match for "${name}" (${candidates.length} candidates) queued for review`);
+
+        await query(`
+            INSERT INTO golfer_match_reviews (tournament_id, source, raw_name, normalized_name, external_ids, candidates, payload)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            ON CONFLICT (tournament_id, normalized_name) WHERE status = 'pending' DO UPDATE SET
+                candidates = EXCLUDED.candidates,
+                payload = EXCLUDED.payload,
+                external_ids = EXCLUDED.external_ids,
+                last_seen_at = CURRENT_TIMESTAMP
+        `, [
+            context.tournamentId || null,
+            context.source || 'unknown',
+            name,
+            normalized,
+            JSON.stringify(externalIds),
+            JSON.stringify(candidates),
+            context.payload ? JSON.stringify(context.payload) : null
+        ]);
+    }
+
+    async getPendingReviews() {
+        const result = await query(`
+            SELECT r.*, t.name as tournament_name
+            FROM golfer_match_reviews r
+            LEFT JOIN tournaments t ON r.tournament_id = t.id
+            WHERE r.status = 'pending'
+            ORDER BY r.last_seen_at DESC
+        `);
+        return result.rows;
+    }
+
+    // Link a queued name to a golfer: records the alias and any external ids
+    // so the next scrape matches it automatically
+    async resolveReview(reviewId, golferId, resolvedBy) {
+        const result = await query(`
+            UPDATE golfer_match_reviews
+            SET status = 'resolved', resolved_golfer_id = $2, resolved_by = $3, resolved_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND status = 'pending'
+            RETURNING *
+        `, [reviewId, golferId, resolvedBy]);
+
+        const review = result.rows[0];
+        if (!review) return null;
+
+        await this.addAlias(golferId, review.raw_name, 'review');
+        await this.rememberExternalIds(golferId, review.external_ids || {});
+
+        return review;
+    }
+
+    async ignoreReview(reviewId, resolvedBy) {
+        const result = await query(`
+            UPDATE golfer_match_reviews
+            SET status = 'ignored', resolved_by = $2, resolved_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND status = 'pending'
+            RETURNING *
+        `, [reviewId, resolvedBy]);
+
+        return result.rows[0] || null;
+    }
+}
+
+module.exports = new GolferIdentityService();
+module.exports.normalizedNameSql = normalizedNameSql;
@@ -0,0 +1,81 @@
+const os = require('os');
+const { pool, query } = require('../config/database');
+
+// First key of the two-key advisory lock form, so our locks can't collide with
+// anyone else's; the second key is hashtext(job name)
+const LOCK_NAMESPACE = 7114;
+const OWNER = `${os.hostname()}:${process.pid}`;
+
+// Scheduled and manual jobs hold a Postgres session-level advisory lock while
+// they run, so each job runs at most once at a time across every server
+// replica and the admin CLI. The lock lives on a dedicated pool connection and
+// is released by Postgres if that connection dies. job_locks records who holds
+// each lock; rows are only trusted while pg_locks shows the lock as granted.
+class JobLockService {
+    // Run work() under the job's lock. Returns { ran: true, result }, or
+    // { ran: false, holder } when another process or call already holds it.
+    async runExclusive(jobName, work) {
+        const client = await pool.connect();
+        let acquired = false;
+        let broken = null;
+
+        try {
+            const lock = await client.query(
+                'SELECT pg_try_advisory_lock($1, hashtext($2)) as acquired, pg_backend_pid() as pid',
+                [LOCK_NAMESPACE, jobName]
+            );
+            acquired = lock.rows[0].acquired;
+
+            if (!acquired) {
+                const holder = await this.getHolder(jobName);
+                console.log(`⏳ ${jobName} already running${holder ? ` on ${holder.owner}` : ''}, skipping...`);
+                return { ran: false, holder };
+            }
+
+            await client.query(`
+                INSERT INTO job_locks (job_name, owner, backend_pid, acquired_at)
+                VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+                ON CONFLICT (job_name) DO UPDATE SET
+                    owner = EXCLUDED.owner,
+                    backend_pid = EXCLUDED.backend_pid,
+                    acquired_at = EXCLUDED.acquired_at
+            `, [jobName, OWNER, lock.rows[0].pid]);
+
+            return { ran: true, result: await work() };
+        } finally {
+            if (acquired) {
+                try {
+                    await client.query('DELETE FROM job_locks WHERE job_name = $1 AND owner = $2', [jobName, OWNER]);
+                    await client.query('SELECT pg_advisory_unlock($1, hashtext($2))', [LOCK_NAMESPACE, jobName]);
+                } catch (error) {
+                    // Dropping the connection releases the lock
+                    console.error(`⚠️ Could not release ${jobName} lock:`, error.message);
+                    broken = error;
+                }
+            }
+            client.release(broken || undefined);
+        }
+    }
+
+    // [{ job_name, owner, backend_pid, acquired_at }] for every lock currently held
+    async getHeldLocks() {
+        const result = await query(`
+            SELECT jl.job_name, jl.owner, jl.backend_pid, jl.acquired_at
+            FROM job_locks jl
+            JOIN pg_locks l ON l.locktype = 'advisory' AND l.granted
+                AND l.pid = jl.backend_pid
+                AND l.classid = $1::oid AND l.objid = hashtext(jl.job_name)::oid AND l.objsubid = 2
+            ORDER BY jl.acquired_at ASC
+        `, [LOCK_NAMESPACE]);
+        return result.rows;
+    }
+
+    // Who holds the job's lock, or null if nobody does
+    async getHolder(jobName) {
+        const locks = await this.getHeldLocks();
+        return locks.find(lock => lock.job_name === jobName) || null;
+    }
+}
+
+module.exports = new JobLockService();
+module.exports.OWNER = OWNER;
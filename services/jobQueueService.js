@@ -0,0 +1,182 @@
+const { query } = require('../config/database');
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+// Retries wait 30s, 1m, 2m, ... up to an hour
+const BASE_BACKOFF_SECONDS = 30;
+const MAX_BACKOFF_SECONDS = 3600;
+// A running job whose worker hasn't checked in for this long is presumed lost
+const STALE_AFTER_SECONDS = 120;
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT = 500;
+
+const backoffSeconds = (attempts) => Math.min(BASE_BACKOFF_SECONDS * Math.pow(2, Math.max(attempts - 1, 0)), MAX_BACKOFF_SECONDS);
+
+// Background jobs for the worker process (worker.js) live in job_queue. A job
+// goes queued -> running -> completed; a failure puts it back in the queue
+// with a later run_at until max_attempts is spent, and then it is dead (the
+// dead letter list, retried by hand). Jobs with a dedupe_key are queued at
+// most once at a time: enqueueing again returns the job already waiting.
+class JobQueueService {
+    // { job, created }; created is false when an identical job was already queued or running
+    async enqueue(jobType, payload = {}, { dedupeKey = null, maxAttempts = DEFAULT_MAX_ATTEMPTS, runAt = null, createdBy = null } = {}) {
+        const result = await query(`
+            INSERT INTO job_queue (job_type, payload, dedupe_key, max_attempts, run_at, created_by)
+            VALUES ($1, $2, $3, $4, COALESCE($5, CURRENT_TIMESTAMP), $6)
+            ON CONFLICT (dedupe_key) WHERE status IN ('queued', 'running') DO NOTHING
+            RETURNING *
+        `, [jobType, JSON.stringify(payload), dedupeKey, maxAttempts, runAt, createdBy]);
+
+        if (result.rows.length > 0) {
+            return { job: result.rows[0], created: true };
+        }
+
+        const existing = await query(
+            `SELECT * FROM job_queue WHERE dedupe_key = $1 AND status IN ('queued', 'running')`,
+            [dedupeKey]
+        );
+        // It finished between the insert and the lookup
+        if (existing.rows.length === 0) {
+            return this.enqueue(jobType, payload, { dedupeKey, maxAttempts, runAt, createdBy });
+        }
+        return { job: existing.rows[0], created: false };
+    }
+
+    // Take the next due job of one of jobTypes, or null. SKIP LOCKED lets
+    // several workers poll without claiming the same job.
+    async claim(workerId, jobTypes) {
+        const result = await query(`
+            UPDATE job_queue SET
+                status = 'running',
+                attempts = attempts + 1,
+                locked_by = $1,
+                locked_at = CURRENT_TIMESTAMP,
+                heartbeat_at = CURRENT_TIMESTAMP
+            WHERE id = (
+                SELECT id FROM job_queue
+                WHERE status = 'queued' AND run_at <= CURRENT_TIMESTAMP AND job_type = ANY($2)
+                ORDER BY run_at ASC, id ASC
+                FOR UPDATE SKIP LOCKED
+                LIMIT 1
+            )
+            RETURNING *
+        `, [workerId, jobTypes]);
+        return result.rows[0] || null;
+    }
+
+    async heartbeat(jobId, workerId) {
+        await query(
+            `UPDATE job_queue SET heartbeat_at = CURRENT_TIMESTAMP WHERE id = $1 AND locked_by = $2 AND status = 'running'`,
+            [jobId, workerId]
+        );
+    }
+
+    // Updates nothing if the job was already recovered as stale and handed to another worker
+    async complete(jobId, workerId, result = null) {
+        const updated = await query(`
+            UPDATE job_queue SET
+                status = 'completed',
+                result = $3,
+                last_error = NULL,
+                completed_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND locked_by = $2 AND status = 'running'
+            RETURNING *
+        `, [jobId, workerId, result === undefined ? null : JSON.stringify(result)]);
+        return updated.rows[0] || null;
+    }
+
+    // Requeue with backoff, or dead-letter once attempts are used up
+    async fail(job, workerId, error) {
+        const updated = await query(`
+            UPDATE job_queue SET
+                status = CASE WHEN attempts >= max_attempts THEN 'dead' ELSE 'queued' END,
+                run_at = CASE WHEN attempts >= max_attempts THEN run_at
+                              ELSE CURRENT_TIMESTAMP + $3 * INTERVAL '1 second' END,
+                completed_at = CASE WHEN attempts >= max_attempts THEN CURRENT_TIMESTAMP ELSE NULL END,
+                last_error = $4,
+                locked_by = NULL
+            WHERE id = $1 AND locked_by = $2 AND status = 'running'
+            RETURNING *
+        `, [job.id, workerId, backoffSeconds(job.attempts), error.message || String(error)]);
+        return updated.rows[0] || null;
+    }
+
+    // Running jobs whose worker died (or Chromium took it down) go back to the
+    // queue, or to the dead letter list if that was their last attempt
+    async recoverStale() {
+        const result = await query(`
+            UPDATE job_queue SET
+                status = CASE WHEN attempts >= max_attempts THEN 'dead' ELSE 'queued' END,
+                run_at = CURRENT_TIMESTAMP,
+                completed_at = CASE WHEN attempts >= max_attempts THEN CURRENT_TIMESTAMP ELSE NULL END,
+                last_error = 'Worker ' || locked_by || ' stopped responding',
+                locked_by = NULL
+            WHERE status = 'running' AND heartbeat_at < CURRENT_TIMESTAMP - $1 * INTERVAL '1 second'
+            RETURNING id, job_type, status
+        `, [STALE_AFTER_SECONDS]);
+
+        for (const job of result.rows) {
+            console.log(`♻️ Recovered stale job ${job.id} (${job.job_type}) as ${job.status}`);
+        }
+        return result.rows;
+    }
+
+    async getJob(jobId) {
+        const result = await query('SELECT * FROM job_queue WHERE id = $1', [jobId]);
+        return result.rows[0] || null;
+    }
+
+    // Newest first
+    async getJobs({ status, jobType, limit = DEFAULT_LIST_LIMIT } = {}) {
+        const result = await query(`
+            SELECT * FROM job_queue
+            WHERE ($1::VARCHAR IS NULL OR status = $1)
+              AND ($2::VARCHAR IS NULL OR job_type = $2)
+            ORDER BY created_at DESC, id DESC
+            LIMIT $3
+        `, [status || null, jobType || null, Math.min(Math.max(parseInt(limit) || DEFAULT_LIST_LIMIT, 1), MAX_LIST_LIMIT)]);
+        return result.rows;
+    }
+
+    // Counts for the health check. last_activity_at is the last time any worker
+    // claimed a job or sent a heartbeat.
+    async getStats() {
+        const result = await query(`
+            SELECT COUNT(*) FILTER (WHERE status = 'queued' AND run_at <= CURRENT_TIMESTAMP)::int as due,
+                   COUNT(*) FILTER (WHERE status = 'running')::int as running,
+                   COUNT(*) FILTER (WHERE status = 'dead')::int as dead,
+                   MIN(run_at) FILTER (WHERE status = 'queued' AND run_at <= CURRENT_TIMESTAMP) as oldest_due_at,
+                   MAX(heartbeat_at) as last_activity_at
+            FROM job_queue
+        `);
+        return result.rows[0];
+    }
+
+    // The most recently completed job of jobType, or null
+    async getLastCompleted(jobType) {
+        const result = await query(`
+            SELECT * FROM job_queue
+            WHERE job_type = $1 AND status = 'completed'
+            ORDER BY completed_at DESC
+            LIMIT 1
+        `, [jobType]);
+        return result.rows[0] || null;
+    }
+
+    // Put a dead job back in the queue with fresh attempts. null if it isn't
+    // dead or an identical job is already queued.
+    async retry(jobId) {
+        const result = await query(`
+            UPDATE job_queue SET status = 'queued', attempts = 0, run_at = CURRENT_TIMESTAMP, completed_at = NULL
+            WHERE id = $1 AND status = 'dead'
+              AND NOT EXISTS (
+                  SELECT 1 FROM job_queue pending
+                  WHERE pending.dedupe_key = job_queue.dedupe_key AND pending.status IN ('queued', 'running')
+              )
+            RETURNING *
+        `, [jobId]);
+        return result.rows[0] || null;
+    }
+}
+
+module.exports = new JobQueueService();
+module.exports.backoffSeconds = backoffSeconds;
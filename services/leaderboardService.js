@@ -1,20 +1,395 @@
-const { query } = require('../config/database');
+const EventEmitter = require('events');
+const { pool, query } = require('../config/database');
+const lockService = require('./lockService');
+const { DEFAULT_COUNTING_SCORES } = require('./rosterService');
 
-class LeaderboardService {
+// Only a team's best counting_scores to-par totals count (6 picks / best 4 by default)
+const ROUNDS = 4;
+const DEFAULT_COURSE_PAR = 72;
+
+// Teams level on total score are separated by these, in the tournament's chosen
+// order; lower wins for all of them. fifth_golfer and sixth_golfer are the
+// first and second scores that didn't count (5th and 6th in the default 6/4
+// format). winning_score is how far the team's pre-tournament prediction is
+// from the leading golfer's score.
+const TIEBREAKERS = {
+    fifth_golfer: '5th golfer score',
+    sixth_golfer: '6th golfer score',
+    best_golfer: 'best single golfer',
+    winning_score: 'winning score prediction'
+};
+
+const DEFAULT_RULES = {
+    counting_scores: DEFAULT_COUNTING_SCORES,
+    cut_line: null,
+    missed_cut_penalty_strokes: 0,
+    withdrawal_penalty_score: 10,
+    disqualification_penalty_score: 10,
+    rank_incomplete_teams_last: true,
+    tiebreakers: ['fifth_golfer', 'sixth_golfer', 'best_golfer', 'winning_score']
+};
+
+// Other processes (the API's leaderboard stream) hear about new standings via
+// NOTIFY on this channel, with the tournament id as the payload
+const UPDATED_CHANNEL = 'leaderboard_updated';
+
+// Emits 'updated' (tournamentId) after new standings are committed
+class LeaderboardService extends EventEmitter {
     async updateTournamentLeaderboard(tournamentId) {
+        const client = await pool.connect();
+
         try {
             console.log(`🏆 Updating leaderboard for tournament ${tournamentId}`);
-            
-            const teams = await query(`
-                SELECT * FROM teams WHERE tournament_id = $1
+
+            const tournament = await client.query(`
+                SELECT counting_scores, cut_line, missed_cut_penalty_strokes, withdrawal_penalty_score,
+                       disqualification_penalty_score, rank_incomplete_teams_last, tiebreakers, course_par
+                FROM tournaments WHERE id = $1
+            `, [tournamentId]);
+
+            if (tournament.rows.length === 0) {
+                throw new Error(`Tournament ${tournamentId} not found`);
+            }
+
+            const rules = this.getScoringRules(tournament.rows[0]);
+            const coursePar = tournament.rows[0].course_par || DEFAULT_COURSE_PAR;
+
+            const teams = await client.query(`
+                SELECT t.id, t.user_id, t.team_name, t.created_at, t.predicted_winning_score,
+                       COALESCE(array_agg(rg.golfer_id ORDER BY rg.slot) FILTER (WHERE rg.golfer_id IS NOT NULL), '{}') as golfer_ids
+                FROM teams t
+                LEFT JOIN team_golfers rg ON rg.team_id = t.id
+                WHERE t.tournament_id = $1
+                GROUP BY t.id
             `, [tournamentId]);
-            
-            console.log('✅ Leaderboard updated');
+
+            const scores = await client.query(`
+                SELECT golfer_id, total_score, is_made_cut, withdrew, disqualified,
+                       round1_score, round2_score, round3_score, round4_score,
+                       today_score, current_round
+                FROM tournament_golfers
+                WHERE tournament_id = $1
+            `, [tournamentId]);
+
+            const resultByGolfer = new Map(
+                scores.rows.map(row => [row.golfer_id, row])
+            );
+
+            const winningScore = this.getWinningScore(scores.rows, rules);
+
+            const standings = teams.rows
+                .map(team => {
+                    const scored = this.calculateTeamScore(team, resultByGolfer, rules);
+                    scored.tiebreak_values.winning_score = winningScore !== null && team.predicted_winning_score !== null
+                        ? Math.abs(team.predicted_winning_score - winningScore)
+                        : null;
+                    return {
+                        ...team,
+                        ...scored,
+                        round_scores: this.calculateRoundScores(team, resultByGolfer, coursePar, rules.counting_scores)
+                    };
+                })
+                .sort((a, b) => this.compareStandings(a, b, rules));
+
+            this.assignPositions(standings, rules);
+
+            await client.query('BEGIN');
+
+            for (const team of standings) {
+                await client.query(
+                    'UPDATE teams SET total_score = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+                    [team.total_score, team.id]
+                );
+                await client.query(
+                    'UPDATE team_golfers SET is_counting = (golfer_id = ANY($2)) WHERE team_id = $1',
+                    [team.id, team.counting_golfer_ids]
+                );
+            }
+
+            await lockService.stampLockedSlots(tournamentId, client);
+
+            await client.query('DELETE FROM leaderboard_cache WHERE tournament_id = $1', [tournamentId]);
+
+            for (const team of standings) {
+                await client.query(`
+                    INSERT INTO leaderboard_cache (tournament_id, user_id, team_name, total_score, position,
+                                                   surviving_golfers, is_complete, round_scores,
+                                                   tiebreak_values, tiebreak_reason, cached_at)
+                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, CURRENT_TIMESTAMP)
+                `, [
+                    tournamentId, team.user_id, team.team_name, team.total_score, team.position,
+                    team.surviving_golfers, team.is_complete, JSON.stringify(team.round_scores),
+                    JSON.stringify(team.tiebreak_values), team.tiebreak_reason
+                ]);
+            }
+
+            // Delivered on COMMIT, to listeners in every process
+            await client.query('SELECT pg_notify($1, $2)', [UPDATED_CHANNEL, String(parseInt(tournamentId))]);
+
+            await client.query('COMMIT');
+
+            console.log(`✅ Leaderboard updated (${standings.length} teams)`);
+            this.emit('updated', parseInt(tournamentId));
+            return standings;
         } catch (error) {
+            await client.query('ROLLBACK');
             console.error('Leaderboard update error:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async getTournamentLeaderboard(tournamentId, { round } = {}) {
+        const result = await query(`
+            SELECT 
+                t.id as team_id,
+                t.team_name,
+                t.total_score,
+                u.username,
+                u.email,
+                t.created_at,
+                lc.position,
+                lc.surviving_golfers,
+                lc.is_complete,
+                lc.round_scores,
+                lc.tiebreak_reason,
+                t.predicted_winning_score,
+                (SELECT COUNT(*) FROM team_golfers rg WHERE rg.team_id = t.id)::INTEGER as golfer_count
+            FROM teams t
+            JOIN users u ON t.user_id = u.id
+            LEFT JOIN leaderboard_cache lc ON lc.tournament_id = t.tournament_id AND lc.user_id = t.user_id
+            WHERE t.tournament_id = $1
+            ORDER BY lc.position ASC NULLS LAST, t.total_score ASC, t.created_at ASC
+        `, [tournamentId]);
+
+        return round ? this.rankByRound(result.rows, round) : result.rows;
+    }
+
+    // Rank only the teams whose owners belong to the league, using the
+    // scores already written by updateTournamentLeaderboard()
+    async getLeagueLeaderboard(leagueId, tournamentId, { round } = {}) {
+        const tournament = await query(`
+            SELECT counting_scores, cut_line, missed_cut_penalty_strokes, withdrawal_penalty_score,
+                   disqualification_penalty_score, rank_incomplete_teams_last, tiebreakers
+            FROM tournaments WHERE id = $1
+        `, [tournamentId]);
+
+        if (tournament.rows.length === 0) {
+            return null;
+        }
+
+        const rules = this.getScoringRules(tournament.rows[0]);
+
+        const teams = await query(`
+            SELECT 
+                t.id as team_id,
+                t.user_id,
+                t.team_name,
+                t.total_score,
+                t.created_at,
+                u.username,
+                COALESCE(lc.surviving_golfers, 0) as surviving_golfers,
+                COALESCE(lc.is_complete, false) as is_complete,
+                COALESCE(lc.round_scores, '[]') as round_scores,
+                COALESCE(lc.tiebreak_values, '{}') as tiebreak_values,
+                t.predicted_winning_score
+            FROM teams t
+            JOIN league_members lm ON lm.user_id = t.user_id AND lm.league_id = $1
+            JOIN users u ON t.user_id = u.id
+            LEFT JOIN leaderboard_cache lc ON lc.tournament_id = t.tournament_id AND lc.user_id = t.user_id
+            WHERE t.tournament_id = $2
+        `, [leagueId, tournamentId]);
+
+        if (round) {
+            return this.rankByRound(teams.rows, round);
+        }
+
+        const standings = teams.rows.sort((a, b) => this.compareStandings(a, b, rules));
+        return this.assignPositions(standings, rules);
+    }
+
+    // Fill in defaults for tournaments created before scoring rules existed
+    getScoringRules(tournament) {
+        const rules = { ...DEFAULT_RULES };
+        for (const key of Object.keys(DEFAULT_RULES)) {
+            if (tournament[key] !== null && tournament[key] !== undefined) {
+                rules[key] = tournament[key];
+            }
+        }
+        return rules;
+    }
+
+    // Score a single golfer after penalties. Missed-cut golfers take the
+    // cut line (or their own total when no cut line is set) plus the penalty.
+    scoreGolfer(result, rules) {
+        if (result.disqualified) {
+            return { score: rules.disqualification_penalty_score, status: 'DQ', survived: false };
+        }
+        if (result.withdrew) {
+            return { score: rules.withdrawal_penalty_score, status: 'WD', survived: false };
+        }
+        if (result.is_made_cut === false) {
+            const base = rules.cut_line !== null ? rules.cut_line : (result.total_score || 0);
+            return { score: base + rules.missed_cut_penalty_strokes, status: 'MC', survived: false };
+        }
+        return { score: result.total_score || 0, status: 'ACTIVE', survived: true };
+    }
+
+    // Leading golfer's to-par total (the eventual winning score once the event is final)
+    getWinningScore(results, rules = DEFAULT_RULES) {
+        const scores = results
+            .filter(result => result.total_score !== null && result.total_score !== undefined)
+            .map(result => this.scoreGolfer(result, rules))
+            .filter(scored => scored.survived)
+            .map(scored => scored.score);
+        return scores.length > 0 ? Math.min(...scores) : null;
+    }
+
+    // Sum of the lowest counting_scores penalised to-par totals among the team's golfers
+    calculateTeamScore(team, resultByGolfer, rules = DEFAULT_RULES) {
+        const golferScores = [];
+        let survivingGolfers = 0;
+
+        for (const golferId of team.golfer_ids) {
+            if (resultByGolfer.has(golferId)) {
+                const scored = this.scoreGolfer(resultByGolfer.get(golferId), rules);
+                golferScores.push({ golfer_id: golferId, score: scored.score });
+                if (scored.survived) survivingGolfers++;
+            }
+        }
+
+        golferScores.sort((a, b) => a.score - b.score);
+
+        const countingScores = rules.counting_scores;
+        const counted = golferScores.slice(0, countingScores);
+        const totalScore = counted.reduce((sum, golfer) => sum + golfer.score, 0);
+
+        return {
+            total_score: totalScore,
+            surviving_golfers: survivingGolfers,
+            is_complete: survivingGolfers >= countingScores,
+            counting_golfer_ids: counted.map(golfer => golfer.golfer_id),
+            tiebreak_values: {
+                fifth_golfer: golferScores[countingScores]?.score ?? null,
+                sixth_golfer: golferScores[countingScores + 1]?.score ?? null,
+                best_golfer: golferScores[0]?.score ?? null
+            }
+        };
+    }
+
+    // Per-round team totals: best countingScores golfer rounds relative to par.
+    // A round still in progress uses the golfer's live "today" score.
+    calculateRoundScores(team, resultByGolfer, coursePar = DEFAULT_COURSE_PAR, countingScores = DEFAULT_COUNTING_SCORES) {
+        const roundScores = [];
+
+        for (let round = 1; round <= ROUNDS; round++) {
+            const golferScores = [];
+
+            for (const golferId of team.golfer_ids) {
+                const result = resultByGolfer.get(golferId);
+                if (!result) continue;
+
+                const strokes = result[`round${round}_score`];
+                if (strokes !== null && strokes !== undefined) {
+                    golferScores.push(strokes - coursePar);
+                } else if (result.current_round === round && result.today_score !== null && result.today_score !== undefined) {
+                    golferScores.push(result.today_score);
+                }
+            }
+
+            if (golferScores.length === 0) continue;
+
+            const counted = golferScores.sort((a, b) => a - b).slice(0, countingScores);
+            roundScores.push({
+                round,
+                score: counted.reduce((sum, score) => sum + score, 0),
+                golfers_counted: counted.length
+            });
+        }
+
+        return roundScores;
+    }
+
+    // Re-rank standings by a single round's team score (daily / round prizes).
+    // Teams without a score for that round are left out.
+    rankByRound(standings, round) {
+        const ranked = standings
+            .map(team => {
+                const roundScore = (team.round_scores || []).find(r => r.round === round);
+                return roundScore ? { ...team, round, round_score: roundScore.score, tiebreak_reason: null } : null;
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.round_score - b.round_score || new Date(a.created_at) - new Date(b.created_at));
+
+        ranked.forEach((team, index) => {
+            const previous = ranked[index - 1];
+            team.position = previous && previous.round_score === team.round_score ? previous.position : index + 1;
+        });
+
+        return ranked;
+    }
+
+    compareStandings(a, b, rules = DEFAULT_RULES) {
+        if (rules.rank_incomplete_teams_last && a.is_complete !== b.is_complete) {
+            return a.is_complete ? -1 : 1;
+        }
+        return a.total_score - b.total_score
+            || this.compareTiebreakers(a, b, rules).difference
+            || new Date(a.created_at) - new Date(b.created_at);
+    }
+
+    // First configured tiebreaker that separates two teams: { key, difference }.
+    // A missing value (no 5th golfer, no prediction) loses to any real one.
+    compareTiebreakers(a, b, rules = DEFAULT_RULES) {
+        for (const key of rules.tiebreakers) {
+            const valueA = a.tiebreak_values?.[key] ?? Infinity;
+            const valueB = b.tiebreak_values?.[key] ?? Infinity;
+            if (valueA !== valueB) {
+                return { key, difference: valueA < valueB ? -1 : 1 };
+            }
         }
+        return { key: null, difference: 0 };
+    }
+
+    // Dropped-score tiebreakers are named for the format, e.g. "6th golfer score" with best 5 of 8
+    tiebreakerLabel(key, rules = DEFAULT_RULES) {
+        const dropped = { fifth_golfer: 1, sixth_golfer: 2 }[key];
+        if (!dropped) return TIEBREAKERS[key];
+
+        const place = rules.counting_scores + dropped;
+        const suffix = place % 100 >= 11 && place % 100 <= 13
+            ? 'th'
+            : { 1: 'st', 2: 'nd', 3: 'rd' }[place % 10] || 'th';
+        return `${place}${suffix} golfer score`;
+    }
+
+    // Standard competition ranking: teams still level after every tiebreaker
+    // share a position (1, 2, 2, 4). Teams split by a tiebreaker get a
+    // tiebreak_reason naming the rule that separated them.
+    assignPositions(standings, rules = DEFAULT_RULES) {
+        standings.forEach((team, index) => {
+            const previous = standings[index - 1];
+            const levelOnScore = previous
+                && previous.total_score === team.total_score
+                && (!rules.rank_incomplete_teams_last || previous.is_complete === team.is_complete);
+            const { key } = levelOnScore ? this.compareTiebreakers(previous, team, rules) : { key: null };
+
+            team.position = levelOnScore && !key ? previous.position : index + 1;
+            team.tiebreak_reason = null;
+
+            if (key) {
+                team.tiebreak_reason = `Tiebreak: ${this.tiebreakerLabel(key, rules)}`;
+                // Everyone sharing the position above won the same tiebreak
+                for (let j = index - 1; j >= 0 && standings[j].position === previous.position; j--) {
+                    standings[j].tiebreak_reason = standings[j].tiebreak_reason || team.tiebreak_reason;
+                }
+            }
+        });
+        return standings;
     }
 }
 
 module.exports = new LeaderboardService();
-
+module.exports.TIEBREAKERS = TIEBREAKERS;
+module.exports.UPDATED_CHANNEL = UPDATED_CHANNEL;
@@ -0,0 +1,105 @@
+const leaderboardService = require('./leaderboardService');
+const notifications = require('./notificationListener');
+const { UPDATED_CHANNEL } = leaderboardService;
+
+const HEARTBEAT_INTERVAL = 25000; // Keep proxies from closing idle connections
+const TRACKED_FIELDS = ['position', 'total_score', 'surviving_golfers', 'is_complete', 'team_name', 'round_scores'];
+
+class LeaderboardStream {
+    constructor() {
+        // tournamentId -> { clients: Set<res>, snapshot: Map<team_id, row> }
+        this.channels = new Map();
+    }
+
+    // Standings are rescored in the worker process, so updates arrive as NOTIFYs
+    listen() {
+        notifications.listen(
+            UPDATED_CHANNEL,
+            payload => this.broadcastSafely(parseInt(payload)),
+            () => this.channels.forEach((channel, tournamentId) => this.broadcastSafely(tournamentId))
+        );
+    }
+
+    async subscribe(tournamentId, req, res) {
+        this.listen();
+
+        const leaderboard = await leaderboardService.getTournamentLeaderboard(tournamentId);
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write('retry: 5000\n\n');
+
+        let channel = this.channels.get(tournamentId);
+        if (!channel) {
+            channel = { clients: new Set(), snapshot: this.toSnapshot(leaderboard) };
+            this.channels.set(tournamentId, channel);
+        }
+        channel.clients.add(res);
+
+        this.send(res, 'snapshot', { tournamentId, leaderboard });
+
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            channel.clients.delete(res);
+            if (channel.clients.size === 0) {
+                this.channels.delete(tournamentId);
+            }
+        });
+    }
+
+    broadcastSafely(tournamentId) {
+        this.broadcast(tournamentId).catch(error => {
+            console.error(`❌ Leaderboard stream broadcast failed for tournament ${tournamentId}:`, error.message);
+        });
+    }
+
+    async broadcast(tournamentId) {
+        const channel = this.channels.get(tournamentId);
+        if (!channel) return;
+
+        const leaderboard = await leaderboardService.getTournamentLeaderboard(tournamentId);
+        const delta = this.diff(channel.snapshot, leaderboard);
+        channel.snapshot = this.toSnapshot(leaderboard);
+
+        if (delta.changed.length === 0 && delta.removed.length === 0) return;
+
+        for (const res of channel.clients) {
+            this.send(res, 'delta', { tournamentId, ...delta });
+        }
+    }
+
+    // Rows that are new or whose tracked fields changed, plus teams that disappeared
+    diff(previous, leaderboard) {
+        const changed = [];
+        const seen = new Set();
+
+        for (const row of leaderboard) {
+            seen.add(row.team_id);
+            const before = previous.get(row.team_id);
+
+            if (!before || TRACKED_FIELDS.some(field => JSON.stringify(before[field]) !== JSON.stringify(row[field]))) {
+                changed.push({ ...row, previous_position: before ? before.position : null });
+            }
+        }
+
+        const removed = [...previous.keys()].filter(teamId => !seen.has(teamId));
+
+        return { changed, removed };
+    }
+
+    toSnapshot(leaderboard) {
+        return new Map(leaderboard.map(row => [row.team_id, row]));
+    }
+
+    send(res, event, data) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+}
+
+module.exports = new LeaderboardStream();
@@ -0,0 +1,95 @@
+const { query } = require('../config/database');
+
+// SQL for "this golfer has started playing": a round 1 score is posted, or thru
+// shows holes played ("7", "F", "12*"). Before a golfer starts ESPN puts their
+// tee time in thru ("8:45 AM"), which must not count.
+// Expects tournament_golfers as tg (may be NULL from a LEFT JOIN).
+const STARTED_PLAYING_SQL = `(
+    tg.round1_score IS NOT NULL
+    OR COALESCE(tg.thru, '') ~* '^([0-9]{1,2}|F)\\*?$'
+)`;
+
+// SQL for "this golfer has teed off": their round 1 tee time has passed, or
+// (with no tee time on record) the tournament has started, or they've started playing.
+// Expects tournament_golfers as tg (may be NULL from a LEFT JOIN) and tournaments as tour.
+const TEED_OFF_SQL = `(
+    COALESCE(tg.round1_tee_time, tour.start_date) <= CURRENT_TIMESTAMP
+    OR ${STARTED_PLAYING_SQL}
+)`;
+
+// Rosters lock slot by slot: a golfer is locked once they tee off, so late
+// starters can still be swapped after the tournament's first tee time.
+class LockService {
+    // Set of the given golfer ids that are locked for the tournament
+    async getLockedGolferIds(tournamentId, golferIds) {
+        const ids = golferIds.filter(Boolean).map(id => parseInt(id));
+        if (ids.length === 0) return new Set();
+
+        const result = await query(`
+            SELECT g.id
+            FROM golfers g
+            JOIN tournaments tour ON tour.id = $1
+            LEFT JOIN tournament_golfers tg ON tg.tournament_id = tour.id AND tg.golfer_id = g.id
+            WHERE g.id = ANY($2) AND ${TEED_OFF_SQL}
+        `, [tournamentId, ids]);
+
+        return new Set(result.rows.map(row => row.id));
+    }
+
+    // A team stays editable while any slot is open: empty rosters, or any golfer not yet locked
+    canEditRoster(golferIds, locked) {
+        return golferIds.length === 0 || golferIds.some(id => !locked.has(id));
+    }
+
+    // Changing a roster from currentIds to newIds is allowed if every locked
+    // golfer stays and no locked golfer is added. Returns an error message or null.
+    async checkRosterChange(tournamentId, currentIds, newIds) {
+        const current = currentIds.filter(Boolean).map(id => parseInt(id));
+        const next = newIds.filter(Boolean).map(id => parseInt(id));
+        const locked = await this.getLockedGolferIds(tournamentId, [...current, ...next]);
+
+        const removedLocked = current.filter(id => locked.has(id) && !next.includes(id));
+        if (removedLocked.length > 0) {
+            return 'Cannot remove golfers who have already teed off';
+        }
+
+        const addedLocked = next.filter(id => locked.has(id) && !current.includes(id));
+        if (addedLocked.length > 0) {
+            return 'Cannot add golfers who have already teed off';
+        }
+
+        return null;
+    }
+
+    // Record when each roster slot locked, for slots whose golfer has teed off since the last pass
+    async stampLockedSlots(tournamentId, client = null) {
+        const db = client || { query };
+        await db.query(`
+            UPDATE team_golfers SET locked_at = CURRENT_TIMESTAMP
+            WHERE locked_at IS NULL AND id IN (
+                SELECT rg.id
+                FROM team_golfers rg
+                JOIN teams t ON rg.team_id = t.id
+                JOIN tournaments tour ON t.tournament_id = tour.id
+                LEFT JOIN tournament_golfers tg ON tg.tournament_id = t.tournament_id AND tg.golfer_id = rg.golfer_id
+                WHERE t.tournament_id = $1 AND ${TEED_OFF_SQL}
+            )
+        `, [tournamentId]);
+    }
+
+    // Tee time that locks the golfer (round 1 tee time, else the tournament start)
+    async getLockTime(tournamentId, golferId) {
+        const result = await query(`
+            SELECT COALESCE(tg.round1_tee_time, tour.start_date) as lock_at
+            FROM tournaments tour
+            LEFT JOIN tournament_golfers tg ON tg.tournament_id = tour.id AND tg.golfer_id = $2
+            WHERE tour.id = $1
+        `, [tournamentId, golferId]);
+
+        return result.rows[0] ? new Date(result.rows[0].lock_at) : null;
+    }
+}
+
+module.exports = new LockService();
+module.exports.TEED_OFF_SQL = TEED_OFF_SQL;
+module.exports.STARTED_PLAYING_SQL = STARTED_PLAYING_SQL;
@@ -0,0 +1,83 @@
+const { pool } = require('../config/database');
+
+const RELISTEN_DELAY = 5000;
+
+// Postgres NOTIFYs for this process, on one dedicated connection that LISTENs
+// on every channel registered with listen(). This is how updates made in the
+// worker or another API replica reach SSE clients connected here. The
+// connection opens with the first listen() and reconnects if it drops; each
+// channel's onReconnect runs once it is listening again, to catch up on
+// anything missed in between.
+class NotificationListener {
+    constructor() {
+        // channel -> { onNotify(payload), onReconnect() }
+        this.channels = new Map();
+        this.client = null;
+        this.dropConnection = null;
+        this.connecting = null;
+        this.reconnectTimer = null;
+    }
+
+    listen(channel, onNotify, onReconnect = () => {}) {
+        if (this.channels.has(channel)) return;
+        this.channels.set(channel, { onNotify, onReconnect });
+
+        if (this.client) {
+            this.client.query(`LISTEN ${channel}`).catch(error => this.dropConnection(error));
+        } else {
+            this.connect();
+        }
+    }
+
+    connect() {
+        if (this.connecting || this.reconnectTimer) return;
+        this.connecting = this.openConnection().finally(() => {
+            this.connecting = null;
+        });
+    }
+
+    async openConnection() {
+        let client = null;
+        let lost = false;
+        const onLost = error => {
+            if (lost) return;
+            lost = true;
+            if (this.client === client) this.client = null;
+
+            console.error('⚠️ Lost the Postgres notification listener, reconnecting:', error.message);
+            if (client) {
+                client.removeAllListeners('notification');
+                client.release(error);
+            }
+            this.reconnectTimer = setTimeout(() => {
+                this.reconnectTimer = null;
+                this.connect();
+            }, RELISTEN_DELAY);
+        };
+
+        try {
+            client = await pool.connect();
+            client.on('notification', ({ channel, payload }) => {
+                const subscriber = this.channels.get(channel);
+                if (subscriber) subscriber.onNotify(payload);
+            });
+            client.on('error', onLost);
+
+            // Channels registered while this runs are picked up by the same loop
+            for (const channel of this.channels.keys()) {
+                await client.query(`LISTEN ${channel}`);
+            }
+
+            this.client = client;
+            this.dropConnection = onLost;
+
+            for (const { onReconnect } of this.channels.values()) {
+                onReconnect();
+            }
+        } catch (error) {
+            onLost(error);
+        }
+    }
+}
+
+module.exports = new NotificationListener();
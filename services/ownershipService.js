@@ -0,0 +1,76 @@
+const { query } = require('../config/database');
+const { TEED_OFF_SQL } = require('./lockService');
+
+// How often each golfer was picked, across every team or one league's teams.
+// Nothing is shown before the tournament starts, and after that only golfers
+// who have teed off are counted: late starters can still be swapped in, so
+// their ownership would tip off anyone still editing those slots.
+class OwnershipService {
+    // null if the tournament doesn't exist; { locked: false } before it starts
+    async getOwnership(tournamentId, { leagueId = null } = {}) {
+        const tournament = await query(
+            'SELECT id, start_date FROM tournaments WHERE id = $1',
+            [tournamentId]
+        );
+        if (tournament.rows.length === 0) return null;
+
+        if (new Date() < new Date(tournament.rows[0].start_date)) {
+            return { tournament_id: tournament.rows[0].id, league_id: leagueId, locked: false };
+        }
+
+        const picks = await query(`
+            SELECT t.id as team_id, t.team_name, u.username, g.id as golfer_id, g.name, g.country
+            FROM teams t
+            JOIN users u ON t.user_id = u.id
+            JOIN tournaments tour ON t.tournament_id = tour.id
+            JOIN team_golfers rg ON rg.team_id = t.id
+            JOIN golfers g ON rg.golfer_id = g.id
+            LEFT JOIN tournament_golfers tg ON tg.tournament_id = t.tournament_id AND tg.golfer_id = g.id
+            WHERE t.tournament_id = $1
+              AND ($2::INTEGER IS NULL OR t.user_id IN (SELECT user_id FROM league_members WHERE league_id = $2))
+              AND ${TEED_OFF_SQL}
+        `, [tournamentId, leagueId]);
+
+        const teamCount = await query(`
+            SELECT COUNT(*) as count FROM teams t
+            WHERE t.tournament_id = $1
+              AND ($2::INTEGER IS NULL OR t.user_id IN (SELECT user_id FROM league_members WHERE league_id = $2))
+        `, [tournamentId, leagueId]);
+        const totalTeams = parseInt(teamCount.rows[0].count);
+
+        const golfers = new Map();
+        for (const pick of picks.rows) {
+            if (!golfers.has(pick.golfer_id)) {
+                golfers.set(pick.golfer_id, { golfer_id: pick.golfer_id, name: pick.name, country: pick.country, picks: 0 });
+            }
+            golfers.get(pick.golfer_id).picks++;
+        }
+
+        // Unique picks: revealed golfers nobody else in scope took
+        const teams = new Map();
+        for (const pick of picks.rows) {
+            if (!teams.has(pick.team_id)) {
+                teams.set(pick.team_id, { team_id: pick.team_id, team_name: pick.team_name, username: pick.username, unique_picks: 0 });
+            }
+            if (golfers.get(pick.golfer_id).picks === 1) {
+                teams.get(pick.team_id).unique_picks++;
+            }
+        }
+
+        return {
+            tournament_id: tournament.rows[0].id,
+            league_id: leagueId,
+            locked: true,
+            total_teams: totalTeams,
+            golfers: [...golfers.values()]
+                .map(golfer => ({
+                    ...golfer,
+                    ownership_pct: totalTeams > 0 ? Math.round(golfer.picks / totalTeams * 1000) / 10 : 0
+                }))
+                .sort((a, b) => b.picks - a.picks || a.name.localeCompare(b.name)),
+            teams: [...teams.values()].sort((a, b) => b.unique_picks - a.unique_picks || (a.team_name || '').localeCompare(b.team_name || ''))
+        };
+    }
+}
+
+module.exports = new OwnershipService();
@@ -0,0 +1,267 @@
+const { pool, query } = require('../config/database');
+const leaderboardService = require('./leaderboardService');
+
+class PayoutError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'PayoutError';
+        this.status = status;
+    }
+}
+
+const toCents = (amount) => Math.round(parseFloat(amount) * 100);
+const toDollars = (cents) => cents / 100;
+
+// Payouts are percentages of the pot per place, e.g. [60, 30, 10]
+const validatePayoutStructure = (payouts) => {
+    if (!Array.isArray(payouts) || payouts.length === 0) {
+        return 'payouts must be a non-empty list of percentages';
+    }
+    if (!payouts.every(pct => typeof pct === 'number' && pct > 0)) {
+        return 'Each payout percentage must be a positive number';
+    }
+    const total = payouts.reduce((sum, pct) => sum + pct, 0);
+    if (Math.abs(total - 100) > 0.001) {
+        return `Payout percentages must add up to 100 (got ${total})`;
+    }
+    return null;
+};
+
+// Split potCents across ranked standings. Teams tied on a position share the
+// places they cover evenly (two tied for 2nd split 2nd + 3rd). With fewer
+// teams than paid places the unused percentages are spread pro rata over the
+// places that are filled. Leftover cents from splitting go to the first teams
+// listed so the payouts always add up to the pot.
+const calculatePayouts = (standings, potCents, payouts) => {
+    const paidPlaces = payouts.slice(0, standings.length);
+    const paidTotal = paidPlaces.reduce((sum, pct) => sum + pct, 0);
+    const results = [];
+
+    let index = 0;
+    while (index < standings.length) {
+        const position = standings[index].position;
+        const group = standings.slice(index).filter(team => team.position === position);
+
+        const groupPct = paidPlaces
+            .slice(index, index + group.length)
+            .reduce((sum, pct) => sum + pct, 0);
+        const groupCents = paidTotal > 0 ? Math.floor(potCents * groupPct / paidTotal) : 0;
+        const share = Math.floor(groupCents / group.length);
+
+        group.forEach((team, i) => {
+            results.push({
+                user_id: team.user_id,
+                username: team.username,
+                position,
+                tied: group.length > 1,
+                cents: share + (i < groupCents - share * group.length ? 1 : 0)
+            });
+        });
+
+        index += group.length;
+    }
+
+    let remainder = potCents - results.reduce((sum, result) => sum + result.cents, 0);
+    for (const result of results) {
+        if (remainder <= 0) break;
+        if (result.cents === 0) continue;
+        result.cents++;
+        remainder--;
+    }
+
+    return results.map(({ cents, ...result }) => ({ ...result, amount: toDollars(cents) }));
+};
+
+// League prize pools: an entry fee per team, paid out by final league
+// position when autoManageTournaments() completes the tournament. Fees and
+// winnings are written to ledger_entries (fees negative, winnings positive).
+class PayoutService {
+    async getPrizePool(leagueId, tournamentId) {
+        const result = await query(
+            'SELECT * FROM league_prize_pools WHERE league_id = $1 AND tournament_id = $2',
+            [leagueId, tournamentId]
+        );
+        const prizePool = result.rows[0];
+        if (!prizePool) return null;
+
+        const standings = await leaderboardService.getLeagueLeaderboard(leagueId, tournamentId) || [];
+        const potCents = toCents(prizePool.entry_fee) * standings.length;
+
+        return {
+            ...prizePool,
+            entry_fee: parseFloat(prizePool.entry_fee),
+            entrants: standings.length,
+            pot: toDollars(potCents),
+            // Projected from the current league standings until paid_out_at is set
+            payouts: calculatePayouts(standings, potCents, prizePool.payouts)
+        };
+    }
+
+    async setPrizePool(leagueId, tournamentId, { entryFee, payouts }) {
+        if (typeof entryFee !== 'number' || !(entryFee >= 0)) {
+            throw new PayoutError('entryFee must be a non-negative amount');
+        }
+        const structureError = validatePayoutStructure(payouts);
+        if (structureError) throw new PayoutError(structureError);
+
+        const tournament = await query('SELECT id FROM tournaments WHERE id = $1', [tournamentId]);
+        if (tournament.rows.length === 0) throw new PayoutError('Tournament not found', 404);
+
+        const result = await query(`
+            INSERT INTO league_prize_pools (league_id, tournament_id, entry_fee, payouts)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (league_id, tournament_id) DO UPDATE SET
+                entry_fee = EXCLUDED.entry_fee,
+                payouts = EXCLUDED.payouts,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE league_prize_pools.paid_out_at IS NULL
+            RETURNING *
+        `, [leagueId, tournamentId, toDollars(toCents(entryFee)), JSON.stringify(payouts)]);
+
+        if (result.rows.length === 0) {
+            throw new PayoutError('This prize pool has already been paid out');
+        }
+
+        return result.rows[0];
+    }
+
+    // Settle pools for every completed tournament still owing payouts, which also
+    // catches pools set up after the tournament finished
+    async settleCompletedTournaments() {
+        const pending = await query(`
+            SELECT DISTINCT t.id, t.name FROM league_prize_pools pp
+            JOIN tournaments t ON pp.tournament_id = t.id
+            WHERE pp.paid_out_at IS NULL AND t.is_completed = true
+        `);
+
+        const settled = [];
+        for (const tournament of pending.rows) {
+            try {
+                settled.push(...await this.settleTournament(tournament.id));
+            } catch (error) {
+                console.error(`❌ Payouts failed for ${tournament.name}:`, error.message);
+            }
+        }
+        return settled;
+    }
+
+    // Pay out every unsettled prize pool for a completed tournament
+    async settleTournament(tournamentId) {
+        const pools = await query(`
+            SELECT pp.id FROM league_prize_pools pp
+            JOIN tournaments t ON pp.tournament_id = t.id
+            WHERE pp.tournament_id = $1 AND pp.paid_out_at IS NULL AND t.is_completed = true
+        `, [tournamentId]);
+
+        if (pools.rows.length === 0) return [];
+
+        // Settle on final scores, not whatever the last scrape left in the cache
+        await leaderboardService.updateTournamentLeaderboard(tournamentId);
+
+        const settled = [];
+        for (const { id } of pools.rows) {
+            const result = await this.settlePrizePool(id);
+            if (result) settled.push(result);
+        }
+        return settled;
+    }
+
+    async settlePrizePool(prizePoolId) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const poolResult = await client.query(
+                'SELECT * FROM league_prize_pools WHERE id = $1 AND paid_out_at IS NULL FOR UPDATE',
+                [prizePoolId]
+            );
+            const prizePool = poolResult.rows[0];
+            if (!prizePool) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+
+            const standings = await leaderboardService.getLeagueLeaderboard(prizePool.league_id, prizePool.tournament_id) || [];
+            const feeCents = toCents(prizePool.entry_fee);
+            const payouts = calculatePayouts(standings, feeCents * standings.length, prizePool.payouts);
+
+            for (const team of standings) {
+                await client.query(`
+                    INSERT INTO ledger_entries (league_id, tournament_id, user_id, type, amount, position)
+                    VALUES ($1, $2, $3, 'entry_fee', $4, $5)
+                `, [prizePool.league_id, prizePool.tournament_id, team.user_id, -toDollars(feeCents), team.position]);
+            }
+
+            for (const payout of payouts.filter(p => p.amount > 0)) {
+                await client.query(`
+                    INSERT INTO ledger_entries (league_id, tournament_id, user_id, type, amount, position)
+                    VALUES ($1, $2, $3, 'payout', $4, $5)
+                `, [prizePool.league_id, prizePool.tournament_id, payout.user_id, payout.amount, payout.position]);
+            }
+
+            await client.query(
+                'UPDATE league_prize_pools SET paid_out_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+                [prizePoolId]
+            );
+
+            await client.query('COMMIT');
+
+            console.log(`💰 Paid out league ${prizePool.league_id} pool for tournament ${prizePool.tournament_id}: ${standings.length} entrants`);
+
+            return { league_id: prizePool.league_id, tournament_id: prizePool.tournament_id, payouts };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Per-member entries and running totals for a league, optionally limited to one season
+    async getLedger(leagueId, { seasonId = null } = {}) {
+        const result = await query(`
+            SELECT le.user_id, u.username, le.tournament_id, t.name as tournament_name,
+                   le.type, le.amount, le.position, le.created_at
+            FROM ledger_entries le
+            JOIN users u ON le.user_id = u.id
+            JOIN tournaments t ON le.tournament_id = t.id
+            WHERE le.league_id = $1 AND ($2::INTEGER IS NULL OR t.season_id = $2)
+            ORDER BY t.start_date ASC, le.type ASC
+        `, [leagueId, seasonId]);
+
+        const members = new Map();
+        for (const row of result.rows) {
+            if (!members.has(row.user_id)) {
+                members.set(row.user_id, {
+                    user_id: row.user_id,
+                    username: row.username,
+                    entry_fees: 0,
+                    winnings: 0,
+                    balance: 0,
+                    entries: []
+                });
+            }
+
+            const { user_id, username, ...entry } = row;
+            const member = members.get(user_id);
+            const cents = toCents(entry.amount);
+            if (entry.type === 'payout') member.winnings += cents;
+            else member.entry_fees -= cents;
+            member.balance += cents;
+            member.entries.push({ ...entry, amount: toDollars(cents) });
+        }
+
+        return [...members.values()]
+            .map(member => ({
+                ...member,
+                entry_fees: toDollars(member.entry_fees),
+                winnings: toDollars(member.winnings),
+                balance: toDollars(member.balance)
+            }))
+            .sort((a, b) => b.balance - a.balance || a.username.localeCompare(b.username));
+    }
+}
+
+module.exports = new PayoutService();
+module.exports.PayoutError = PayoutError;
+module.exports.calculatePayouts = calculatePayouts;
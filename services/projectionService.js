@@ -0,0 +1,149 @@
+const { query } = require('../config/database');
+
+// How many of a golfer's most recent completed events feed the model
+const HISTORY_EVENTS = 12;
+// Each older event counts this much less than the one after it
+const RECENCY_DECAY = 0.85;
+// Past starts at the same course count this many times over
+const COURSE_HISTORY_WEIGHT = 2;
+// The prior is worth this many events of history, so thin records lean on skill
+const PRIOR_WEIGHT = 3;
+// A typical tour field averages about a stroke over par per round
+const FIELD_AVERAGE_ROUND = 1.0;
+// Skill (strokes per round better than the field) for the best and worst players
+const MAX_SKILL = 2.5;
+const MIN_SKILL = -1.0;
+// Blend when both strokes-gained and OWGR skill are available
+const STROKES_GAINED_SHARE = 0.6;
+const ROUNDS = 4;
+
+const logistic = (x) => 1 / (1 + Math.exp(-x));
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// Skill from OWGR points relative to the strongest player being projected,
+// falling back to world ranking when points haven't been scraped
+const owgrSkill = (golfer, maxPoints) => {
+    const points = parseFloat(golfer.owgr_points) || 0;
+    if (points > 0 && maxPoints > 0) {
+        return MIN_SKILL + (MAX_SKILL - MIN_SKILL) * Math.sqrt(points / maxPoints);
+    }
+    const rank = golfer.world_ranking && golfer.world_ranking > 0 ? golfer.world_ranking : 999;
+    return Math.max(MIN_SKILL, MAX_SKILL - 0.5 * Math.log(rank));
+};
+
+// Expected to-par per round and make-cut probability for one golfer. History
+// rows are newest first: { to_par_per_round, made_cut, strokes_gained, same_course }.
+const projectGolfer = (golfer, history, maxPoints) => {
+    const strokesGained = history
+        .map(event => event.strokes_gained)
+        .filter(sg => sg !== null && sg !== undefined)
+        .map(sg => parseFloat(sg));
+
+    let skill = owgrSkill(golfer, maxPoints);
+    if (strokesGained.length > 0) {
+        const meanSg = strokesGained.reduce((sum, sg) => sum + sg, 0) / strokesGained.length;
+        skill = STROKES_GAINED_SHARE * meanSg + (1 - STROKES_GAINED_SHARE) * skill;
+    }
+
+    const priorRound = FIELD_AVERAGE_ROUND - skill;
+    const priorCut = logistic(1.2 * skill + 0.3);
+
+    let weight = 0;
+    let roundTotal = 0;
+    let cutTotal = 0;
+    history.forEach((event, index) => {
+        const w = Math.pow(RECENCY_DECAY, index) * (event.same_course ? COURSE_HISTORY_WEIGHT : 1);
+        weight += w;
+        roundTotal += w * event.to_par_per_round;
+        cutTotal += w * (event.made_cut ? 1 : 0);
+    });
+
+    const expectedRound = (roundTotal + PRIOR_WEIGHT * priorRound) / (weight + PRIOR_WEIGHT);
+    const makeCut = (cutTotal + PRIOR_WEIGHT * priorCut) / (weight + PRIOR_WEIGHT);
+
+    return {
+        expected_round_score: round1(expectedRound),
+        expected_score: round1(expectedRound * ROUNDS),
+        make_cut_probability: Math.round(makeCut * 100) / 100,
+        events_considered: history.length
+    };
+};
+
+class ProjectionService {
+    // Projections for the published field, or every active golfer before it is out
+    async getProjections(tournamentId) {
+        const tournamentResult = await query(
+            'SELECT id, name, course_name, start_date FROM tournaments WHERE id = $1',
+            [tournamentId]
+        );
+        const tournament = tournamentResult.rows[0];
+        if (!tournament) return null;
+
+        const golfers = await query(`
+            SELECT g.id, g.name, g.world_ranking, g.owgr_points
+            FROM golfers g
+            WHERE g.is_active = true
+              AND (
+                NOT EXISTS (SELECT 1 FROM tournament_golfers WHERE tournament_id = $1)
+                OR EXISTS (
+                    SELECT 1 FROM tournament_golfers tg
+                    WHERE tg.tournament_id = $1 AND tg.golfer_id = g.id AND COALESCE(tg.withdrew, false) = false
+                )
+              )
+        `, [tournamentId]);
+
+        // Completed starts before this one; withdrawals and DQs say little about form
+        const history = await query(`
+            SELECT * FROM (
+                SELECT tg.golfer_id, tg.total_score, tg.is_made_cut, tg.strokes_gained_total,
+                       (CASE WHEN tg.round1_score IS NOT NULL THEN 1 ELSE 0 END +
+                        CASE WHEN tg.round2_score IS NOT NULL THEN 1 ELSE 0 END +
+                        CASE WHEN tg.round3_score IS NOT NULL THEN 1 ELSE 0 END +
+                        CASE WHEN tg.round4_score IS NOT NULL THEN 1 ELSE 0 END) as rounds_played,
+                       t.course_name IS NOT NULL AND t.course_name = $3 as same_course,
+                       ROW_NUMBER() OVER (PARTITION BY tg.golfer_id ORDER BY t.start_date DESC) as recency
+                FROM tournament_golfers tg
+                JOIN tournaments t ON tg.tournament_id = t.id
+                WHERE tg.golfer_id = ANY($1)
+                  AND t.id <> $2 AND t.is_completed = true AND t.start_date < $4
+                  AND COALESCE(tg.withdrew, false) = false AND COALESCE(tg.disqualified, false) = false
+                  AND tg.total_score IS NOT NULL
+                  AND (tg.round1_score IS NOT NULL OR tg.round2_score IS NOT NULL
+                       OR tg.round3_score IS NOT NULL OR tg.round4_score IS NOT NULL)
+            ) recent
+            WHERE recency <= $5
+            ORDER BY golfer_id, recency
+        `, [golfers.rows.map(g => g.id), tournament.id, tournament.course_name, tournament.start_date, HISTORY_EVENTS]);
+
+        const historyByGolfer = new Map();
+        for (const row of history.rows) {
+            if (!historyByGolfer.has(row.golfer_id)) historyByGolfer.set(row.golfer_id, []);
+            historyByGolfer.get(row.golfer_id).push({
+                to_par_per_round: row.total_score / row.rounds_played,
+                made_cut: row.is_made_cut !== false,
+                strokes_gained: row.strokes_gained_total,
+                same_course: row.same_course
+            });
+        }
+
+        const maxPoints = Math.max(0, ...golfers.rows.map(g => parseFloat(g.owgr_points) || 0));
+
+        const projections = golfers.rows
+            .map(golfer => ({
+                golfer_id: golfer.id,
+                name: golfer.name,
+                world_ranking: golfer.world_ranking,
+                ...projectGolfer(golfer, historyByGolfer.get(golfer.id) || [], maxPoints)
+            }))
+            .sort((a, b) => a.expected_score - b.expected_score || a.name.localeCompare(b.name));
+
+        return {
+            tournament_id: tournament.id,
+            rounds: ROUNDS,
+            golfers: projections
+        };
+    }
+}
+
+module.exports = new ProjectionService();
+module.exports.projectGolfer = projectGolfer;
@@ -0,0 +1,54 @@
+const { query } = require('../config/database');
+const salaryService = require('./salaryService');
+const tierService = require('./tierService');
+const fieldService = require('./fieldService');
+
+// Field, salary-cap and tier checks shared by team saves, swaps and substitutions;
+// returns { status, body } for the first rule the roster breaks, or null.
+// Golfers in keep are already on the roster, so they pass the field check even
+// if they have since withdrawn.
+const checkRosterRules = async (tournamentId, golferIds, { keep = [] } = {}) => {
+    const kept = new Set(keep.filter(Boolean).map(id => parseInt(id)));
+    const added = golferIds.filter(id => !kept.has(parseInt(id)));
+    const ineligible = await fieldService.findIneligible(tournamentId, added);
+    if (ineligible.length > 0) {
+        return {
+            status: 400,
+            body: { error: 'One or more golfers are not in the tournament field', ineligibleGolferIds: ineligible }
+        };
+    }
+
+    const salary = await salaryService.checkTeam(tournamentId, golferIds);
+    if (salary && !salary.within_cap) {
+        return {
+            status: 400,
+            body: {
+                error: `Team salary $${salary.total_salary.toLocaleString()} exceeds the $${salary.salary_cap.toLocaleString()} cap`,
+                salary
+            }
+        };
+    }
+
+    const tiers = await tierService.checkTeam(tournamentId, golferIds);
+    if (tiers && !tiers.valid) {
+        return { status: 400, body: { error: tiers.errors.join('; '), tiers } };
+    }
+
+    return null;
+};
+
+// Drafted golfers stay exclusive: true if another team in the user's draft has this golfer
+const isTakenInDraft = async (userId, tournamentId, golferId) => {
+    const result = await query(`
+        SELECT 1 FROM teams t
+        JOIN team_golfers rg ON rg.team_id = t.id AND rg.golfer_id = $3
+        JOIN draft_order o ON o.user_id = t.user_id
+        JOIN draft_order mine ON mine.draft_id = o.draft_id AND mine.user_id = $1
+        JOIN drafts d ON d.id = o.draft_id AND d.tournament_id = t.tournament_id
+        WHERE t.tournament_id = $2
+        LIMIT 1
+    `, [userId, tournamentId, golferId]);
+    return result.rows.length > 0;
+};
+
+module.exports = { checkRosterRules, isTakenInDraft };
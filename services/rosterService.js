@@ -0,0 +1,148 @@
+const { pool, query } = require('../config/database');
+
+// Default format: each team picks 6 golfers and the best 4 scores count.
+// Tournaments can override both with roster_size / counting_scores.
+const DEFAULT_ROSTER_SIZE = 6;
+const DEFAULT_COUNTING_SCORES = 4;
+const MAX_ROSTER_SIZE = 12;
+
+const run = (client, text, params) => (client ? client.query(text, params) : query(text, params));
+
+const validateRosterFormat = (rosterSize, countingScores) => {
+    if (!Number.isInteger(rosterSize) || rosterSize < 1 || rosterSize > MAX_ROSTER_SIZE) {
+        return `roster_size must be an integer from 1 to ${MAX_ROSTER_SIZE}`;
+    }
+    if (!Number.isInteger(countingScores) || countingScores < 1 || countingScores > rosterSize) {
+        return 'counting_scores must be an integer from 1 to roster_size';
+    }
+    return null;
+};
+
+// { roster_size, counting_scores } from a tournament row, with defaults for older tournaments
+const rosterFormat = (tournament) => ({
+    roster_size: tournament.roster_size || DEFAULT_ROSTER_SIZE,
+    counting_scores: tournament.counting_scores || DEFAULT_COUNTING_SCORES
+});
+
+// Rosters live in team_golfers, one row per picked golfer: slot is the pick's
+// position on the team (draft round, substitution audit), is_counting marks
+// the scores currently making up the team total, and locked_at records when
+// the golfer teed off. Methods take an optional client to join a transaction.
+class RosterService {
+    // null if the tournament doesn't exist
+    async getFormat(tournamentId, client = null) {
+        const result = await run(client,
+            'SELECT roster_size, counting_scores FROM tournaments WHERE id = $1',
+            [tournamentId]
+        );
+        return result.rows[0] ? rosterFormat(result.rows[0]) : null;
+    }
+
+    // [{ slot, golfer_id, is_counting, locked_at }] in slot order
+    async getRoster(teamId, client = null) {
+        const result = await run(client, `
+            SELECT slot, golfer_id, is_counting, locked_at
+            FROM team_golfers
+            WHERE team_id = $1
+            ORDER BY slot ASC
+        `, [teamId]);
+        return result.rows;
+    }
+
+    async getGolferIds(teamId, client = null) {
+        const roster = await this.getRoster(teamId, client);
+        return roster.map(row => row.golfer_id);
+    }
+
+    // Map of team id -> golfer ids in slot order
+    async getGolferIdsByTeam(teamIds) {
+        const rosters = new Map(teamIds.map(id => [id, []]));
+        if (teamIds.length === 0) return rosters;
+
+        const result = await query(`
+            SELECT team_id, golfer_id FROM team_golfers
+            WHERE team_id = ANY($1)
+            ORDER BY team_id, slot ASC
+        `, [teamIds]);
+
+        for (const row of result.rows) {
+            rosters.get(row.team_id).push(row.golfer_id);
+        }
+        return rosters;
+    }
+
+    // Replace the roster with golferIds. Golfers already on the team keep
+    // their slot and lock stamp; new golfers fill the lowest free slots.
+    async setRoster(teamId, golferIds, client = null) {
+        if (!client) {
+            return this.withTransaction(transaction => this.setRoster(teamId, golferIds, transaction));
+        }
+
+        const ids = [...new Set(golferIds.filter(Boolean).map(id => parseInt(id)))];
+
+        await client.query(
+            'DELETE FROM team_golfers WHERE team_id = $1 AND NOT (golfer_id = ANY($2))',
+            [teamId, ids]
+        );
+
+        const existing = await this.getRoster(teamId, client);
+        const kept = new Set(existing.map(row => row.golfer_id));
+        const usedSlots = new Set(existing.map(row => row.slot));
+
+        let slot = 1;
+        for (const golferId of ids) {
+            if (kept.has(golferId)) continue;
+            while (usedSlots.has(slot)) slot++;
+            await client.query(
+                'INSERT INTO team_golfers (team_id, golfer_id, slot) VALUES ($1, $2, $3)',
+                [teamId, golferId, slot]
+            );
+            usedSlots.add(slot);
+        }
+
+        return this.getRoster(teamId, client);
+    }
+
+    // Put golferId in a specific slot, replacing whoever held it
+    async setSlot(teamId, slot, golferId, client = null) {
+        await run(client, `
+            INSERT INTO team_golfers (team_id, golfer_id, slot)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (team_id, slot) DO UPDATE SET
+                golfer_id = EXCLUDED.golfer_id,
+                is_counting = false,
+                locked_at = NULL
+        `, [teamId, golferId, slot]);
+    }
+
+    // Swap one golfer for another in the same slot; returns the slot, or null if outGolferId isn't on the team
+    async replaceGolfer(teamId, outGolferId, inGolferId, client = null) {
+        const result = await run(client, `
+            UPDATE team_golfers SET golfer_id = $3, is_counting = false, locked_at = NULL
+            WHERE team_id = $1 AND golfer_id = $2
+            RETURNING slot
+        `, [teamId, outGolferId, inGolferId]);
+        return result.rows[0] ? result.rows[0].slot : null;
+    }
+
+    async withTransaction(work) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const result = await work(client);
+            await client.query('COMMIT');
+            return result;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+}
+
+module.exports = new RosterService();
+module.exports.DEFAULT_ROSTER_SIZE = DEFAULT_ROSTER_SIZE;
+module.exports.DEFAULT_COUNTING_SCORES = DEFAULT_COUNTING_SCORES;
+module.exports.validateRosterFormat = validateRosterFormat;
+module.exports.rosterFormat = rosterFormat;
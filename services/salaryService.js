@@ -0,0 +1,106 @@
+const { query } = require('../config/database');
+
+// Salary range every derived price is scaled into, rounded to SALARY_STEP
+const MIN_SALARY = 5000;
+const MAX_SALARY = 12000;
+const SALARY_STEP = 100;
+const RANK_DISCOUNT = 50; // per world ranking place below #1
+const PRICING_BASES = ['world_ranking', 'owgr_points'];
+
+const roundSalary = (value) => {
+    const rounded = Math.round(value / SALARY_STEP) * SALARY_STEP;
+    return Math.min(MAX_SALARY, Math.max(MIN_SALARY, rounded));
+};
+
+// #1 costs MAX_SALARY, each place below is RANK_DISCOUNT cheaper
+const priceByRanking = (worldRanking) => {
+    const rank = worldRanking && worldRanking > 0 ? worldRanking : 999;
+    return roundSalary(MAX_SALARY - (rank - 1) * RANK_DISCOUNT);
+};
+
+// Square root keeps the mid-field from collapsing to the minimum
+const priceByPoints = (points, maxPoints) => {
+    const value = parseFloat(points) || 0;
+    if (!maxPoints || value <= 0) return MIN_SALARY;
+    return roundSalary(MIN_SALARY + (MAX_SALARY - MIN_SALARY) * Math.sqrt(value / maxPoints));
+};
+
+class SalaryService {
+    // Prices for every active golfer in a tournament; tournaments with no
+    // salary_cap are classic mode and salary is informational only
+    async getPricing(tournamentId) {
+        const tournament = await query(
+            'SELECT id, salary_cap, pricing_basis FROM tournaments WHERE id = $1',
+            [tournamentId]
+        );
+
+        if (tournament.rows.length === 0) return null;
+
+        const { salary_cap, pricing_basis } = tournament.rows[0];
+
+        const golfers = await query(`
+            SELECT g.id, g.name, g.world_ranking, g.owgr_points, s.salary as override_salary
+            FROM golfers g
+            LEFT JOIN golfer_salaries s ON s.golfer_id = g.id AND s.tournament_id = $1
+            WHERE g.is_active = true
+            ORDER BY g.world_ranking ASC NULLS LAST
+        `, [tournamentId]);
+
+        const maxPoints = Math.max(0, ...golfers.rows.map(g => parseFloat(g.owgr_points) || 0));
+
+        const salaries = golfers.rows.map(golfer => {
+            const derived = pricing_basis === 'owgr_points'
+                ? priceByPoints(golfer.owgr_points, maxPoints)
+                : priceByRanking(golfer.world_ranking);
+
+            return {
+                golfer_id: golfer.id,
+                name: golfer.name,
+                salary: golfer.override_salary ?? derived,
+                is_override: golfer.override_salary !== null
+            };
+        });
+
+        return { tournament_id: tournament.rows[0].id, salary_cap, pricing_basis, salaries };
+    }
+
+    // Returns null for classic-mode tournaments, otherwise the team's spend against the cap
+    async checkTeam(tournamentId, golferIds) {
+        const pricing = await this.getPricing(tournamentId);
+        if (!pricing || pricing.salary_cap === null) return null;
+
+        const salaryByGolfer = new Map(pricing.salaries.map(s => [s.golfer_id, s.salary]));
+        const totalSalary = golferIds.reduce((sum, id) => sum + (salaryByGolfer.get(parseInt(id)) || 0), 0);
+
+        return {
+            salary_cap: pricing.salary_cap,
+            total_salary: totalSalary,
+            remaining: pricing.salary_cap - totalSalary,
+            within_cap: totalSalary <= pricing.salary_cap
+        };
+    }
+
+    async setOverride(tournamentId, golferId, salary) {
+        if (salary === null) {
+            await query(
+                'DELETE FROM golfer_salaries WHERE tournament_id = $1 AND golfer_id = $2',
+                [tournamentId, golferId]
+            );
+            return null;
+        }
+
+        const result = await query(`
+            INSERT INTO golfer_salaries (tournament_id, golfer_id, salary)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (tournament_id, golfer_id) DO UPDATE SET
+                salary = EXCLUDED.salary,
+                updated_at = CURRENT_TIMESTAMP
+            RETURNING *
+        `, [tournamentId, golferId, salary]);
+
+        return result.rows[0];
+    }
+}
+
+module.exports = new SalaryService();
+module.exports.PRICING_BASES = PRICING_BASES;
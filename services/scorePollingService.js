@@ -0,0 +1,184 @@
+const { query } = require('../config/database');
+const jobQueue = require('./jobQueueService');
+
+// Default cadence: every 2 minutes while a round is in play, hourly otherwise.
+// Tournaments can override both, or turn polling off.
+const DEFAULT_LIVE_POLL_MINUTES = 2;
+const DEFAULT_IDLE_POLL_MINUTES = 60;
+const MAX_POLL_MINUTES = 24 * 60;
+// A round is in play from shortly before the first tee time until the last group should be in
+const PRE_ROUND_MINUTES = 30;
+const ROUND_LENGTH_MINUTES = 6 * 60;
+// Rounds without tee times yet are assumed to start at the tournament's start
+// time on their day and take this long
+const FALLBACK_ROUND_HOURS = 12;
+const ROUNDS = 4;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const validatePollingConfig = ({ enabled, live_minutes, idle_minutes }) => {
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+        return 'enabled must be true or false';
+    }
+    for (const [name, value] of Object.entries({ live_minutes, idle_minutes })) {
+        if (value !== undefined && (!Number.isInteger(value) || value < 1 || value > MAX_POLL_MINUTES)) {
+            return `${name} must be an integer from 1 to ${MAX_POLL_MINUTES}`;
+        }
+    }
+    if (live_minutes !== undefined && idle_minutes !== undefined && live_minutes > idle_minutes) {
+        return 'live_minutes cannot be longer than idle_minutes';
+    }
+    return null;
+};
+
+// { enabled, live_minutes, idle_minutes } from a tournament row, with defaults for older tournaments
+const pollingConfig = (tournament) => ({
+    enabled: tournament.score_polling_enabled !== false,
+    live_minutes: tournament.live_poll_minutes || DEFAULT_LIVE_POLL_MINUTES,
+    idle_minutes: tournament.idle_poll_minutes || DEFAULT_IDLE_POLL_MINUTES
+});
+
+// When each round is in play, [{ round, start, end }]. teeTimes: [{ round, first_tee, last_tee }]
+const roundWindows = (tournament, teeTimes) => {
+    const startDate = new Date(tournament.start_date).getTime();
+    const windows = [];
+
+    for (let round = 1; round <= ROUNDS; round++) {
+        const tee = teeTimes.find(t => t.round === round && t.first_tee);
+        const start = tee
+            ? new Date(tee.first_tee).getTime() - PRE_ROUND_MINUTES * MINUTE_MS
+            : startDate + (round - 1) * DAY_MS;
+        const end = tee
+            ? new Date(tee.last_tee).getTime() + ROUND_LENGTH_MINUTES * MINUTE_MS
+            : start + FALLBACK_ROUND_HOURS * 60 * MINUTE_MS;
+        windows.push({ round, start: new Date(start), end: new Date(end) });
+    }
+    return windows;
+};
+
+// Where a tournament is in its polling schedule:
+// { phase: 'in_round' | 'between_rounds' | 'off', round, interval_minutes, next_poll_at, due }.
+// Between rounds the next poll is pulled forward to the start of the next round.
+const pollingState = (tournament, teeTimes, now = new Date()) => {
+    const config = pollingConfig(tournament);
+    const windows = roundWindows(tournament, teeTimes);
+    const lastPoll = tournament.last_score_poll_at ? new Date(tournament.last_score_poll_at) : null;
+
+    const spanStart = windows[0].start;
+    const spanEnd = new Date(Math.max(new Date(tournament.end_date).getTime(), windows[ROUNDS - 1].end.getTime()));
+    const base = { config, windows, last_poll_at: lastPoll };
+
+    if (!config.enabled || tournament.is_completed || now < spanStart || now > spanEnd) {
+        return { ...base, phase: 'off', round: null, interval_minutes: null, next_poll_at: null, due: false };
+    }
+
+    const current = windows.find(window => now >= window.start && now <= window.end);
+    if (current) {
+        const next = lastPoll ? new Date(lastPoll.getTime() + config.live_minutes * MINUTE_MS) : now;
+        return { ...base, phase: 'in_round', round: current.round, interval_minutes: config.live_minutes, next_poll_at: next, due: next <= now };
+    }
+
+    const upcoming = windows.find(window => window.start > now);
+    let next = lastPoll ? new Date(lastPoll.getTime() + config.idle_minutes * MINUTE_MS) : now;
+    if (upcoming && upcoming.start < next) next = upcoming.start;
+
+    return {
+        ...base,
+        phase: 'between_rounds',
+        round: upcoming ? upcoming.round : null,
+        interval_minutes: config.idle_minutes,
+        next_poll_at: next,
+        due: next <= now
+    };
+};
+
+const POLLING_COLUMNS = `id, name, start_date, end_date, is_completed, score_polling_enabled,
+    live_poll_minutes, idle_poll_minutes, last_score_poll_at`;
+
+// Decides when each tournament's live scores are polled. The worker calls
+// enqueueDuePolls() every minute; each due tournament gets a live_scores job.
+class ScorePollingService {
+    // Map of tournament id -> [{ round, first_tee, last_tee }] for entered, non-withdrawn golfers
+    async getTeeTimes(tournamentIds) {
+        const teeTimes = new Map(tournamentIds.map(id => [id, []]));
+        if (tournamentIds.length === 0) return teeTimes;
+
+        const rounds = [1, 2, 3, 4].map(round => `
+            SELECT tournament_id, ${round} as round,
+                   MIN(round${round}_tee_time) as first_tee, MAX(round${round}_tee_time) as last_tee
+            FROM tournament_golfers
+            WHERE tournament_id = ANY($1) AND COALESCE(withdrew, false) = false
+            GROUP BY tournament_id
+        `);
+        const result = await query(rounds.join(' UNION ALL '), [tournamentIds]);
+
+        for (const row of result.rows) {
+            teeTimes.get(row.tournament_id).push(row);
+        }
+        return teeTimes;
+    }
+
+    // null if the tournament doesn't exist
+    async getState(tournamentId, now = new Date()) {
+        const result = await query(`SELECT ${POLLING_COLUMNS} FROM tournaments WHERE id = $1`, [tournamentId]);
+        const tournament = result.rows[0];
+        if (!tournament) return null;
+
+        const teeTimes = await this.getTeeTimes([tournament.id]);
+        return { tournament_id: tournament.id, ...pollingState(tournament, teeTimes.get(tournament.id), now) };
+    }
+
+    async getDueTournaments(now = new Date()) {
+        // Round windows can start before start_date and run past end_date
+        const candidates = await query(`
+            SELECT ${POLLING_COLUMNS} FROM tournaments
+            WHERE COALESCE(is_completed, false) = false
+              AND COALESCE(score_polling_enabled, true) = true
+              AND start_date <= CURRENT_TIMESTAMP + INTERVAL '1 day'
+              AND end_date >= CURRENT_TIMESTAMP - INTERVAL '1 day'
+        `);
+
+        const teeTimes = await this.getTeeTimes(candidates.rows.map(t => t.id));
+        return candidates.rows.filter(tournament => pollingState(tournament, teeTimes.get(tournament.id), now).due);
+    }
+
+    async enqueueDuePolls() {
+        const due = await this.getDueTournaments();
+
+        for (const tournament of due) {
+            const { created } = await jobQueue.enqueue(
+                'live_scores',
+                { tournament_id: tournament.id },
+                { dedupeKey: `live_scores:${tournament.id}` }
+            );
+            if (created) console.log(`⏱️ Queued score poll for ${tournament.name}`);
+        }
+        return due.length;
+    }
+
+    async markPolled(tournamentId) {
+        await query('UPDATE tournaments SET last_score_poll_at = CURRENT_TIMESTAMP WHERE id = $1', [tournamentId]);
+    }
+
+    // Partial updates: fields left out keep their current value
+    async updateConfig(tournamentId, { enabled, live_minutes, idle_minutes }) {
+        const result = await query(`
+            UPDATE tournaments SET
+                score_polling_enabled = COALESCE($2, score_polling_enabled),
+                live_poll_minutes = COALESCE($3, live_poll_minutes),
+                idle_poll_minutes = COALESCE($4, idle_poll_minutes),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+            RETURNING ${POLLING_COLUMNS}
+        `, [tournamentId, enabled ?? null, live_minutes ?? null, idle_minutes ?? null]);
+        return result.rows[0] || null;
+    }
+}
+
+module.exports = new ScorePollingService();
+module.exports.DEFAULT_LIVE_POLL_MINUTES = DEFAULT_LIVE_POLL_MINUTES;
+module.exports.DEFAULT_IDLE_POLL_MINUTES = DEFAULT_IDLE_POLL_MINUTES;
+module.exports.validatePollingConfig = validatePollingConfig;
+module.exports.pollingConfig = pollingConfig;
+module.exports.pollingState = pollingState;
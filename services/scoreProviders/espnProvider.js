@@ -0,0 +1,130 @@
+const { parseLeaderboardCells } = require('./normalize');
+
+const LEADERBOARD_URL = 'https://www.espn.com/golf/leaderboard';
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+const LEADERBOARD_SELECTOR = '.Leaderboard, .leaderboard, table';
+const EVENT_NAME_SELECTOR = '.Leaderboard__Event__Title, h1';
+
+// Runs inside the page: leaderboard rows as cell text, plus headers and ESPN player ids
+const extractLeaderboardTable = () => {
+    // Multiple selectors for ESPN's changing layout
+    const tableSelectors = [
+        '.Leaderboard .Table__TR',
+        '.leaderboard tbody tr',
+        'table tbody tr',
+        '.player-row'
+    ];
+
+    let rows = [];
+    for (const selector of tableSelectors) {
+        rows = document.querySelectorAll(selector);
+        if (rows.length > 0) break;
+    }
+
+    const headerCells = document.querySelectorAll('.Leaderboard .Table__TH, thead th');
+
+    return {
+        headers: Array.from(headerCells).map(cell => cell.textContent.trim()),
+        // Player links look like /golf/player/_/id/9478/scottie-scheffler
+        externalIds: Array.from(rows).map(row => {
+            const link = row.querySelector('a[href*="/player/"]');
+            const match = link && link.getAttribute('href').match(/\/id\/(\d+)/);
+            return match ? { espn: match[1] } : {};
+        }),
+        rows: Array.from(rows).map(row =>
+            Array.from(row.querySelectorAll('td, .Table__TD')).map(cell => {
+                const link = cell.querySelector('a');
+                return (link || cell).textContent.trim();
+            })
+        )
+    };
+};
+
+// Normalized rows from a loaded leaderboard page, live or a replayed snapshot
+const parseLeaderboardPage = async (page) => {
+    if (!(await page.$(LEADERBOARD_SELECTOR))) return [];
+
+    const table = await page.evaluate(extractLeaderboardTable);
+    return parseLeaderboardCells(table.rows, { headers: table.headers, externalIds: table.externalIds });
+};
+
+// The event the leaderboard page is showing; ESPN's page always shows the current week's
+const readEventName = async (page) => {
+    const heading = await page.$(EVENT_NAME_SELECTOR);
+    return heading ? (await page.evaluate(element => element.textContent.trim(), heading)) || null : null;
+};
+
+// Live scores scraped from ESPN's leaderboard page with Puppeteer. Each page
+// is handed to archiveSnapshot with what was parsed from it, or with the error
+// when loading or parsing it failed.
+class EspnScoreProvider {
+    constructor({ getBrowser, archiveSnapshot }) {
+        this.name = 'espn';
+        this.getBrowser = getBrowser;
+        this.archiveSnapshot = archiveSnapshot || (async () => null);
+    }
+
+    // scrapingLogId links the archived page to the scraping run that fetched it
+    async fetchLeaderboard(tournament, options = {}) {
+        const { rows } = await this.fetchEvent(tournament, options);
+        return rows;
+    }
+
+    // { event: { name }, rows }, for callers that must check which event the page is for
+    async fetchField(tournament, options = {}) {
+        return this.fetchEvent(tournament, options);
+    }
+
+    async fetchEvent(tournament, { scrapingLogId = null } = {}) {
+        const browser = await this.getBrowser();
+        const page = await browser.newPage();
+
+        try {
+            await page.setUserAgent(USER_AGENT);
+            await page.setViewport({ width: 1366, height: 768 });
+
+            await page.goto(LEADERBOARD_URL, {
+                waitUntil: 'networkidle0',
+                timeout: 30000
+            });
+
+            const hasLeaderboard = await page.$(LEADERBOARD_SELECTOR);
+
+            if (hasLeaderboard) {
+                await page.waitForSelector(LEADERBOARD_SELECTOR, { timeout: 10000 });
+            } else {
+                console.log(`📝 No active leaderboard found on ESPN for ${tournament.name}`);
+            }
+
+            const rows = await parseLeaderboardPage(page);
+            const eventName = await readEventName(page);
+
+            await this.archiveSnapshot({
+                source: 'espn_leaderboard',
+                url: LEADERBOARD_URL,
+                html: await page.content(),
+                parsed: rows,
+                tournamentId: tournament.id,
+                scrapingLogId
+            });
+
+            return { event: { name: eventName }, rows };
+        } catch (error) {
+            await this.archiveSnapshot({
+                source: 'espn_leaderboard',
+                url: LEADERBOARD_URL,
+                html: await page.content().catch(() => ''),
+                tournamentId: tournament.id,
+                scrapingLogId,
+                error: error.message
+            });
+            throw error;
+        } finally {
+            await page.close();
+        }
+    }
+}
+
+module.exports = EspnScoreProvider;
+module.exports.parseLeaderboardPage = parseLeaderboardPage;
@@ -0,0 +1,112 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { parseLeaderboardCells, normalizeRow } = require('./normalize');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', '..', 'fixtures', 'scores');
+
+const decodeEntities = (text) => text
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)));
+
+// Reduce saved leaderboard HTML to rows of cell text without a browser
+const extractCellRows = (html) => {
+    const rows = [];
+    const rowPattern = /<tr\b[^>]*>([\s\S]*?)<\/tr>/gi;
+    const cellPattern = /<td\b[^>]*>([\s\S]*?)<\/td>/gi;
+
+    let rowMatch;
+    while ((rowMatch = rowPattern.exec(html)) !== null) {
+        const cells = [];
+        let cellMatch;
+        while ((cellMatch = cellPattern.exec(rowMatch[1])) !== null) {
+            cells.push(decodeEntities(cellMatch[1].replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim());
+        }
+        if (cells.length > 0) rows.push(cells);
+    }
+
+    return rows;
+};
+
+const extractHeaders = (html) => {
+    const headerPattern = /<th\b[^>]*>([\s\S]*?)<\/th>/gi;
+    const headers = [];
+    let match;
+    while ((match = headerPattern.exec(html)) !== null) {
+        headers.push(decodeEntities(match[1].replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim());
+    }
+    return headers;
+};
+
+const slugify = (name) => String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+
+// Replays recorded leaderboard snapshots from disk. For a tournament it looks for
+// <id>.json, <id>.html, <name-slug>.json, <name-slug>.html, then default.json / default.html.
+class FixtureScoreProvider {
+    constructor({ fixturesDir } = {}) {
+        this.name = 'fixture';
+        this.fixturesDir = fixturesDir || process.env.SCORE_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+    }
+
+    candidateFiles(tournament) {
+        const bases = [String(tournament.id), slugify(tournament.name), 'default'].filter(Boolean);
+        return bases.flatMap(base => [`${base}.json`, `${base}.html`]);
+    }
+
+    async findFixture(tournament) {
+        for (const file of this.candidateFiles(tournament)) {
+            const fullPath = path.join(this.fixturesDir, file);
+            try {
+                const contents = await fs.readFile(fullPath, 'utf8');
+                return { file: fullPath, contents };
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+        return null;
+    }
+
+    async fetchLeaderboard(tournament) {
+        const { rows } = await this.fetchField(tournament);
+        return rows;
+    }
+
+    // { event: { name }, rows }. The event is the JSON fixture's "event", or the
+    // tournament itself for a fixture named after it; default fixtures have none.
+    async fetchField(tournament) {
+        const fixture = await this.findFixture(tournament);
+
+        if (!fixture) {
+            console.log(`📝 No score fixture found for ${tournament.name} in ${this.fixturesDir}`);
+            return { event: { name: null }, rows: [] };
+        }
+
+        console.log(`📼 Replaying score fixture ${path.basename(fixture.file)} for ${tournament.name}`);
+
+        const isDefault = path.basename(fixture.file).startsWith('default.');
+        let eventName = isDefault ? null : tournament.name;
+
+        let rows;
+        if (fixture.file.endsWith('.json')) {
+            const data = JSON.parse(fixture.contents);
+            const players = Array.isArray(data) ? data : (data.players || []);
+            if (!Array.isArray(data) && typeof data.event === 'string') eventName = data.event;
+            rows = players.map(normalizeRow);
+        } else {
+            rows = parseLeaderboardCells(extractCellRows(fixture.contents), { headers: extractHeaders(fixture.contents) });
+        }
+
+        return { event: { name: eventName }, rows };
+    }
+}
+
+module.exports = FixtureScoreProvider;
+module.exports.extractCellRows = extractCellRows;
+module.exports.extractHeaders = extractHeaders;
@@ -0,0 +1,54 @@
+const EspnScoreProvider = require('./espnProvider');
+const FixtureScoreProvider = require('./fixtureProvider');
+
+// A score provider turns a tournament into normalized leaderboard rows:
+//   async fetchLeaderboard(tournament, { scrapingLogId }) -> [{ name, position, total_score, today_score,
+//                                             thru, rounds: [r1..r4 strokes], current_round,
+//                                             tee_time, external_ids: { espn, pga, owgr } }]
+// Providers also have fetchField(tournament) -> { event: { name }, rows }, naming the
+// event the rows are for (null when unknown) so a field is never imported from
+// another week's leaderboard.
+// The provider is chosen by tournaments.score_provider, then the
+// SCORE_PROVIDER env var, then ESPN.
+const PROVIDERS = {
+    espn: EspnScoreProvider,
+    fixture: FixtureScoreProvider
+};
+
+const DEFAULT_PROVIDER = 'espn';
+
+class ScoreProviderRegistry {
+    constructor() {
+        this.instances = new Map();
+        this.options = {};
+    }
+
+    // Options are passed to each provider constructor (e.g. getBrowser and archiveSnapshot for ESPN)
+    configure(options) {
+        this.options = { ...this.options, ...options };
+        this.instances.clear();
+    }
+
+    getProviderNames() {
+        return Object.keys(PROVIDERS);
+    }
+
+    resolveName(tournament = {}) {
+        const name = tournament.score_provider || process.env.SCORE_PROVIDER || DEFAULT_PROVIDER;
+        if (!PROVIDERS[name]) {
+            console.warn(`⚠️ Unknown score provider "${name}", using ${DEFAULT_PROVIDER}`);
+            return DEFAULT_PROVIDER;
+        }
+        return name;
+    }
+
+    getProvider(tournament) {
+        const name = this.resolveName(tournament);
+        if (!this.instances.has(name)) {
+            this.instances.set(name, new PROVIDERS[name](this.options));
+        }
+        return this.instances.get(name);
+    }
+}
+
+module.exports = new ScoreProviderRegistry();
@@ -0,0 +1,148 @@
+// Shared parsing for leaderboard tables. Both the live ESPN scraper and the
+// fixture provider reduce a table to rows of cell text and normalize them here,
+// so recorded snapshots go through exactly the same code as live pages.
+
+const ROUNDS = 4;
+
+// "E", "EVEN", "+3", "-5" -> integer to-par; anything else -> null
+const parseToPar = (text) => {
+    if (text === undefined || text === null) return null;
+    const value = String(text).trim().toUpperCase();
+    if (value === 'E' || value === 'EVEN') return 0;
+    if (!/^[+-]?\d+$/.test(value)) return null;
+    return parseInt(value, 10);
+};
+
+// Round strokes ("68") -> integer; "--" or blanks -> null
+const parseStrokes = (text) => {
+    if (text === undefined || text === null) return null;
+    const value = String(text).trim();
+    return /^\d{2,3}$/.test(value) ? parseInt(value, 10) : null;
+};
+
+// Positions that end a golfer's tournament early. WD is handled separately, as a
+// withdrawal (fieldService.withdrawGolfer).
+const MISSED_CUT_POSITION = /^(CUT|MC)$/i;
+const DISQUALIFIED_POSITION = /^DQ$/i;
+
+const isScoreCell = (text) => !!text && (text.includes('E') || /^[+-]?\d+$/.test(text));
+
+// Header text -> normalized field; ESPN uses POS / PLAYER / SCORE / TODAY / THRU / R1-R4 / TOT
+const HEADER_FIELDS = {
+    'POS': 'position',
+    'PLAYER': 'name',
+    'SCORE': 'total',
+    'TO PAR': 'total',
+    'TODAY': 'today',
+    'THRU': 'thru',
+    'R1': 'round1',
+    'R2': 'round2',
+    'R3': 'round3',
+    'R4': 'round4'
+};
+
+const mapHeaders = (headers) => {
+    const columns = {};
+    (headers || []).forEach((header, index) => {
+        const field = HEADER_FIELDS[String(header).trim().toUpperCase()];
+        if (field && columns[field] === undefined) columns[field] = index;
+    });
+    return columns.name !== undefined ? columns : null;
+};
+
+// cells: [position, player name, ...score columns]. With headers the columns are
+// mapped by name; without, the first score-like cells are treated as score/total.
+// externalIds, if given, is parallel to cellRows (e.g. [{ espn: '9478' }, ...]).
+const parseLeaderboardCells = (cellRows, { headers, externalIds = [], limit = 100 } = {}) => {
+    const columns = mapHeaders(headers);
+    const rows = [];
+
+    for (const [index, cells] of cellRows.slice(0, limit).entries()) {
+        if (cells.length < 3) continue;
+
+        let raw;
+        if (columns) {
+            const cell = (field) => columns[field] !== undefined ? (cells[columns[field]] || '').trim() : undefined;
+            raw = {
+                position: cell('position'),
+                name: cell('name'),
+                total: cell('total'),
+                today: cell('today'),
+                thru: cell('thru'),
+                rounds: [cell('round1'), cell('round2'), cell('round3'), cell('round4')]
+            };
+        } else {
+            let score = '';
+            let total = '';
+
+            // Scores are usually in cells 2-5
+            for (let j = 2; j < Math.min(cells.length, 6); j++) {
+                const cellText = (cells[j] || '').trim();
+                if (isScoreCell(cellText)) {
+                    if (!score) score = cellText;
+                    else if (!total) total = cellText;
+                }
+            }
+
+            raw = { position: (cells[0] || '').trim(), name: (cells[1] || '').trim(), total: total || score || 'E' };
+        }
+
+        if (raw.name && raw.name.length > 2 && raw.position) {
+            rows.push(normalizeRow({ ...raw, external_ids: externalIds[index] }));
+        }
+    }
+
+    return rows;
+};
+
+// Holes played mid-round ("7", "12*"); a tee time ("8:45 AM") or "F" isn't
+const ON_COURSE_THRU = /^[0-9]{1,2}\*?$/;
+
+// Golfers who haven't finished the round they're on count it as current;
+// otherwise the current round is the last one with a posted score.
+const deriveCurrentRound = (rounds, thru) => {
+    const completed = rounds.filter(score => score !== null).length;
+    const onCourse = !!thru && ON_COURSE_THRU.test(thru);
+    return Math.min(ROUNDS, Math.max(1, onCourse ? completed + 1 : completed));
+};
+
+// Tee times are only trusted as full timestamps (ISO with offset); bare
+// "8:45 AM" strings have no date or time zone
+const parseTeeTime = (value) => {
+    if (!value || !/^\d{4}-\d{2}-\d{2}T/.test(String(value))) return null;
+    const date = new Date(value);
+    return isNaN(date) ? null : date.toISOString();
+};
+
+// Normalized row every provider returns
+const normalizeRow = (row) => {
+    const rounds = Array.from({ length: ROUNDS }, (_, i) => {
+        const value = Array.isArray(row.rounds) ? row.rounds[i] : row[`round${i + 1}`];
+        return typeof value === 'number' ? value : parseStrokes(value);
+    });
+    const thru = row.thru !== undefined && row.thru !== null && String(row.thru).trim() !== ''
+        ? String(row.thru).trim()
+        : null;
+    const position = row.position !== undefined && row.position !== null ? String(row.position).trim() : null;
+
+    return {
+        name: String(row.name).trim(),
+        position,
+        total_score: typeof row.total_score === 'number'
+            ? row.total_score
+            : (parseToPar(row.total) ?? 0),
+        today_score: typeof row.today_score === 'number' ? row.today_score : parseToPar(row.today),
+        thru,
+        rounds,
+        current_round: Number.isInteger(row.current_round) ? row.current_round : deriveCurrentRound(rounds, thru),
+        // From a CUT / MC / DQ position; these drive the scoring penalties
+        missed_cut: row.missed_cut === true || MISSED_CUT_POSITION.test(position || ''),
+        disqualified: row.disqualified === true || DISQUALIFIED_POSITION.test(position || ''),
+        // Tee time for current_round, when the provider has one
+        tee_time: parseTeeTime(row.tee_time),
+        // Provider player ids (espn / pga / owgr) used for identity matching
+        external_ids: row.external_ids && typeof row.external_ids === 'object' ? row.external_ids : {}
+    };
+};
+
+module.exports = { ROUNDS, parseToPar, parseStrokes, parseLeaderboardCells, normalizeRow };
@@ -0,0 +1,65 @@
+const zlib = require('zlib');
+const { query } = require('../config/database');
+
+// Snapshots older than this are pruned as new ones are saved
+const RETENTION_DAYS = parseInt(process.env.SCRAPE_SNAPSHOT_RETENTION_DAYS) || 14;
+const DEFAULT_LIST_LIMIT = 20;
+
+// Raw HTML (gzipped) of each scraped page next to what the parser made of it,
+// so a scrape that came back empty can be inspected later and replayed
+// against a fixed parser (scrapingService.replaySnapshot). Saving never
+// throws: a failed write is logged and the scrape carries on.
+class ScrapeSnapshotService {
+    // { source, url, html, parsed, tournamentId, scrapingLogId, error }; returns the snapshot id or null
+    async save({ source, url = null, html, parsed = null, tournamentId = null, scrapingLogId = null, error = null }) {
+        try {
+            const result = await query(`
+                INSERT INTO scrape_snapshots
+                    (source, url, tournament_id, scraping_log_id, html_gzip, html_bytes, parsed, parsed_count, error_message)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                RETURNING id
+            `, [
+                source, url, tournamentId, scrapingLogId,
+                zlib.gzipSync(html || ''),
+                Buffer.byteLength(html || ''),
+                parsed === null ? null : JSON.stringify(parsed),
+                Array.isArray(parsed) ? parsed.length : null,
+                error
+            ]);
+
+            await query(
+                `DELETE FROM scrape_snapshots WHERE created_at < CURRENT_TIMESTAMP - $1 * INTERVAL '1 day'`,
+                [RETENTION_DAYS]
+            );
+
+            return result.rows[0].id;
+        } catch (saveError) {
+            console.error(`⚠️ Could not save ${source} snapshot:`, saveError.message);
+            return null;
+        }
+    }
+
+    // Newest first, without the HTML
+    async getSnapshots({ source, tournamentId, limit = DEFAULT_LIST_LIMIT } = {}) {
+        const result = await query(`
+            SELECT id, source, url, tournament_id, scraping_log_id, html_bytes, parsed_count, error_message, created_at
+            FROM scrape_snapshots
+            WHERE ($1::VARCHAR IS NULL OR source = $1)
+              AND ($2::INTEGER IS NULL OR tournament_id = $2)
+            ORDER BY created_at DESC, id DESC
+            LIMIT $3
+        `, [source || null, tournamentId || null, parseInt(limit) || DEFAULT_LIST_LIMIT]);
+        return result.rows;
+    }
+
+    // The snapshot with its HTML unzipped; null if it doesn't exist (or was pruned)
+    async getSnapshot(id) {
+        const result = await query('SELECT * FROM scrape_snapshots WHERE id = $1', [id]);
+        if (result.rows.length === 0) return null;
+
+        const { html_gzip: htmlGzip, ...snapshot } = result.rows[0];
+        return { ...snapshot, html: zlib.gunzipSync(htmlGzip).toString('utf8') };
+    }
+}
+
+module.exports = new ScrapeSnapshotService();
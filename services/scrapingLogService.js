@@ -0,0 +1,194 @@
+const { query } = require('../config/database');
+
+// Row-level errors kept on a run; beyond this they are only counted
+const MAX_RECORDED_ERRORS = 20;
+const DEFAULT_RUN_LIMIT = 50;
+const MAX_RUN_LIMIT = 500;
+
+// One scraping_logs row in progress. Counts recorded on a source run roll up
+// into the job run that started it.
+class ScrapingRun {
+    constructor(service, { id, source, operation, parent }) {
+        this.service = service;
+        this.id = id;
+        this.source = source;
+        this.operation = operation;
+        this.parent = parent;
+        this.startedAt = Date.now();
+        this.processed = 0;
+        this.created = 0;
+        this.updated = 0;
+        this.errors = [];
+        this.errorCount = 0;
+    }
+
+    count({ processed = 0, created = 0, updated = 0 } = {}) {
+        this.processed += processed;
+        this.created += created;
+        this.updated += updated;
+        if (this.parent) this.parent.count({ processed, created, updated });
+    }
+
+    addError(error) {
+        this.errorCount++;
+        if (this.errors.length < MAX_RECORDED_ERRORS) {
+            this.errors.push(error instanceof Error ? error.message : String(error));
+        }
+    }
+
+    // Record one data source under this job, e.g. run.trackSource('espn_rankings', source => ...)
+    trackSource(source, work, metadata = {}) {
+        return this.service.track(source, this.operation, work, { parent: this, metadata });
+    }
+}
+
+// Every scraping job and each data source it pulls from is written to
+// scraping_logs: status, counts, errors and duration. Source rows point at
+// their job through parent_id. A failed write is logged and never stops the scrape.
+class ScrapingLogService {
+    // Run work(run) as a recorded run, rethrowing anything it throws. Work that
+    // doesn't count for itself and returns a number is taken as records updated.
+    // Status ends as completed, partial (some errors) or failed.
+    async track(source, operation, work, { parent = null, metadata = {} } = {}) {
+        const run = await this.start(source, operation, { parent, metadata });
+
+        let result;
+        try {
+            result = await work(run);
+        } catch (error) {
+            run.addError(error);
+            if (parent) parent.addError(`${source}: ${error.message}`);
+            await this.finish(run, 'failed');
+            throw error;
+        }
+
+        if (typeof result === 'number' && run.processed === 0 && run.created === 0 && run.updated === 0) {
+            run.count({ processed: result, updated: result });
+        }
+
+        // Errors with nothing to show for them (every source failed) count as a failed run
+        let status = 'completed';
+        if (run.errorCount > 0) status = run.processed > 0 ? 'partial' : 'failed';
+
+        await this.finish(run, status);
+        return result;
+    }
+
+    async start(source, operation, { parent = null, metadata = {} } = {}) {
+        let id = null;
+        try {
+            const result = await query(`
+                INSERT INTO scraping_logs (source, operation, status, parent_id, metadata, started_at)
+                VALUES ($1, $2, 'started', $3, $4, CURRENT_TIMESTAMP)
+                RETURNING id
+            `, [source, operation, parent ? parent.id : null, JSON.stringify(metadata)]);
+            id = result.rows[0].id;
+        } catch (error) {
+            console.error(`⚠️ Could not record ${operation}/${source} run:`, error.message);
+        }
+        return new ScrapingRun(this, { id, source, operation, parent });
+    }
+
+    async finish(run, status) {
+        const durationMs = Date.now() - run.startedAt;
+        console.log(`📝 ${run.operation}/${run.source} ${status}: ${run.processed} processed, ${run.created} created, ${run.updated} updated, ${run.errorCount} errors in ${durationMs}ms`);
+
+        if (!run.id) return;
+
+        try {
+            await query(`
+                UPDATE scraping_logs SET
+                    status = $2,
+                    records_processed = $3,
+                    records_created = $4,
+                    records_updated = $5,
+                    error_message = $6,
+                    execution_time_ms = $7,
+                    metadata = COALESCE(metadata, '{}'::jsonb) || $8::jsonb,
+                    completed_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+            `, [
+                run.id, status, run.processed, run.created, run.updated,
+                run.errors.length > 0 ? run.errors[0] : null,
+                durationMs,
+                JSON.stringify({ errors: run.errors, error_count: run.errorCount })
+            ]);
+        } catch (error) {
+            console.error(`⚠️ Could not finish ${run.operation}/${run.source} run ${run.id}:`, error.message);
+        }
+    }
+
+    // Newest first. jobsOnly leaves out per-source rows.
+    async getRuns({ source, operation, status, since, until, parentId, jobsOnly = false, limit = DEFAULT_RUN_LIMIT, offset = 0 } = {}) {
+        const conditions = [];
+        const params = [];
+        const filter = (sql, value) => {
+            params.push(value);
+            conditions.push(sql.replace('?', `$${params.length}`));
+        };
+
+        if (source) filter('source = ?', source);
+        if (operation) filter('operation = ?', operation);
+        if (status) filter('status = ?', status);
+        if (since) filter('started_at >= ?', since);
+        if (until) filter('started_at < ?', until);
+        if (parentId) filter('parent_id = ?', parentId);
+        if (jobsOnly) conditions.push('parent_id IS NULL');
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const total = await query(`SELECT COUNT(*) as count FROM scraping_logs ${where}`, params);
+        const runs = await query(`
+            SELECT id, parent_id, source, operation, status, records_processed, records_created,
+                   records_updated, error_message, execution_time_ms, started_at, completed_at, metadata
+            FROM scraping_logs
+            ${where}
+            ORDER BY started_at DESC, id DESC
+            LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `, [...params, Math.min(Math.max(parseInt(limit) || DEFAULT_RUN_LIMIT, 1), MAX_RUN_LIMIT), Math.max(parseInt(offset) || 0, 0)]);
+
+        return { total: parseInt(total.rows[0].count), runs: runs.rows };
+    }
+
+    // A run with its per-source runs; null if it doesn't exist
+    async getRun(id) {
+        const result = await query('SELECT * FROM scraping_logs WHERE id = $1', [id]);
+        if (result.rows.length === 0) return null;
+
+        const sources = await query(
+            'SELECT * FROM scraping_logs WHERE parent_id = $1 ORDER BY started_at ASC, id ASC',
+            [id]
+        );
+        return { ...result.rows[0], sources: sources.rows };
+    }
+
+    // Latest run and latest success for each job, e.g. when live scores last worked
+    async getJobSummary() {
+        const result = await query(`
+            SELECT latest.operation, latest.status as last_status, latest.started_at as last_run_at,
+                   latest.error_message as last_error, success.completed_at as last_success_at,
+                   success.records_processed as last_success_records
+            FROM (
+                SELECT DISTINCT ON (operation) operation, status, started_at, error_message
+                FROM scraping_logs
+                WHERE parent_id IS NULL AND source = 'job'
+                ORDER BY operation, started_at DESC
+            ) latest
+            LEFT JOIN (
+                SELECT DISTINCT ON (operation) operation, completed_at, records_processed
+                FROM scraping_logs
+                WHERE parent_id IS NULL AND source = 'job' AND status IN ('completed', 'partial')
+                ORDER BY operation, completed_at DESC
+            ) success ON success.operation = latest.operation
+            ORDER BY latest.operation
+        `);
+        return result.rows;
+    }
+
+    // Record a whole job; its data sources are recorded with run.trackSource()
+    trackJob(operation, work, metadata = {}) {
+        return this.track('job', operation, work, { metadata });
+    }
+}
+
+module.exports = new ScrapingLogService();
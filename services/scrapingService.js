@@ -1,35 +1,175 @@
 const puppeteer = require('puppeteer');
-const cron = require('node-cron');
 const { query } = require('../config/database');
+const leaderboardService = require('./leaderboardService');
+const scoreProviders = require('./scoreProviders');
+const golferIdentity = require('./golferIdentityService');
+const fieldService = require('./fieldService');
+const payoutService = require('./payoutService');
+const scrapingLog = require('./scrapingLogService');
+const jobLock = require('./jobLockService');
+const scrapeSnapshots = require('./scrapeSnapshotService');
+const { parseLeaderboardPage } = require('./scoreProviders/espnProvider');
+const scorePolling = require('./scorePollingService');
+const jobQueue = require('./jobQueueService');
+
+const FULL_RANKINGS_URL = 'https://www.espn.com/golf/rankings';
+// The worker probes ESPN every 15 minutes; a probe older than this means it has stopped
+const HEALTH_PROBE_STALE_MINUTES = 45;
+// Jobs due this long without being claimed means no worker is picking them up
+const QUEUE_STALL_MINUTES = 10;
+
+// Runs inside the ESPN rankings page: ranked golfers with improved validation
+const extractFullRankings = () => {
+    const golferData = [];
+
+    // Helper function to validate golfer names
+    function isValidGolferName(name) {
+        if (!name || typeof name !== 'string') return false;
+
+        // Must be at least 4 characters and contain a space
+        if (name.length < 4 || !name.includes(' ')) return false;
+
+        // Must not be just numbers
+        if (/^\d+\.?\d*$/.test(name)) return false;
+
+        // Must not contain weird characters
+        if (/[^a-zA-Z0-9\s\.\-\'\u00C0-\u017F]/.test(name)) return false;
+
+        // Must have at least 2 words
+        const words = name.trim().split(/\s+/);
+        if (words.length < 2) return false;
+
+        // Each word must be at least 2 characters
+        if (words.some(word => word.length < 2)) return false;
+
+        // Common invalid patterns
+        const invalidPatterns = [
+            /^(pos|position|rank|ranking|pts|points|earnings?)$/i,
+            /^(country|nat|nationality)$/i,
+            /^(score|total|round)$/i,
+            /undefined|null|nan/i
+        ];
 
-class EnhancedScrapingService {
-    constructor() {
-        this.isRunning = false;
-        this.browser = null;
-        this.setupCronJobs();
-        this.maxRetries = 3;
-        this.retryDelay = 5000; // 5 seconds
+        if (invalidPatterns.some(pattern => pattern.test(name))) return false;
+
+        return true;
     }
 
-    setupCronJobs() {
-        // Update golfer rankings daily at 6 AM
-        cron.schedule('0 6 * * *', () => {
-            console.log('🕒 Daily golfer rankings update...');
-            this.updateGolferRankings();
-        });
+    // Multiple selectors for ESPN's table
+    const rows = document.querySelectorAll('table tbody tr, .Table__TR, .player-row');
+    console.log(`Found ${rows.length} ranking rows`);
 
-        // Auto-manage tournaments every hour
-        cron.schedule('0 * * * *', () => {
-            console.log('🏆 Hourly tournament management...');
-            this.autoManageTournaments();
-        });
+    for (let i = 0; i < Math.min(rows.length, 250); i++) {
+        const row = rows[i];
+        const cells = row.querySelectorAll('td, .Table__TD');
 
-        // Update live scores every 15 minutes during active tournaments
-        cron.schedule('*/15 * * * *', () => {
-            this.updateLiveScores();
-        });
+        if (cells.length >= 3) {
+            // Extract rank (first cell)
+            const rankText = cells[0]?.textContent?.trim();
+            const rank = parseInt(rankText) || (i + 1);
+
+            // Extract name with improved logic
+            let name = '';
+
+            // First, try to find a link (most reliable)
+            const nameLink = cells[1]?.querySelector('a');
+            if (nameLink && nameLink.textContent?.trim()) {
+                name = nameLink.textContent.trim();
+            }
+
+            // If no link found, try other cells but be more selective
+            if (!name) {
+                for (let j = 1; j < Math.min(cells.length, 4); j++) {
+                    const cellText = cells[j]?.textContent?.trim();
+                    if (cellText && isValidGolferName(cellText)) {
+                        name = cellText;
+                        break;
+                    }
+                }
+            }
+
+            // Validate the name before proceeding
+            if (!isValidGolferName(name)) {
+                continue; // Skip this row
+            }
+
+            // Clean up the name
+            name = name.replace(/\s+/g, ' ').trim();
+
+            // Extract points and earnings
+            let points = 0;
+            let earnings = 0;
+
+            for (let j = 2; j < cells.length; j++) {
+                const cellText = cells[j]?.textContent?.trim();
+
+                // Look for OWGR points (decimal numbers)
+                if (/^\d+\.\d{2,}$/.test(cellText)) {
+                    points = parseFloat(cellText);
+                }
+
+                // Look for earnings (with $ or commas)
+                if (cellText && (cellText.includes('$') || /^\d{1,3}(,\d{3})*$/.test(cellText))) {
+                    earnings = parseInt(cellText.replace(/[$,]/g, '')) || 0;
+                }
+            }
+
+            // Extract country
+            let country = 'USA'; // Default
+            const countryElement = row.querySelector('.country, .flag, [data-country]');
+            if (countryElement) {
+                const countryText = countryElement.textContent?.trim() || countryElement.getAttribute('data-country');
+                if (countryText && countryText.length <= 5) {
+                    country = countryText.toUpperCase();
+                }
+            }
+
+            // Final validation before adding
+            if (isValidGolferName(name) && rank > 0 && rank <= 500) {
+                golferData.push({
+                    rank: rank,
+                    name: name,
+                    country: country,
+                    points: points,
+                    earnings: earnings,
+                    source: 'espn_full_rankings'
+                });
+            }
+        }
+    }
 
-        console.log('📅 Enhanced scraping cron jobs scheduled');
+    // Remove duplicates by name
+    const uniqueGolfers = [];
+    const seenNames = new Set();
+
+    for (const golfer of golferData) {
+        if (!seenNames.has(golfer.name.toLowerCase())) {
+            seenNames.add(golfer.name.toLowerCase());
+            uniqueGolfers.push(golfer);
+        }
+    }
+
+    return uniqueGolfers;
+};
+
+// Ranked golfers from a loaded rankings page, live or a replayed snapshot
+const parseFullRankingsPage = (page) => page.evaluate(extractFullRankings);
+
+// Parser for each archived page source (scrape_snapshots.source)
+const SNAPSHOT_PARSERS = {
+    espn_leaderboard: parseLeaderboardPage,
+    espn_full_rankings: parseFullRankingsPage
+};
+
+class EnhancedScrapingService {
+    constructor() {
+        this.browser = null;
+        scoreProviders.configure({
+            getBrowser: () => this.getBrowser(),
+            archiveSnapshot: snapshot => scrapeSnapshots.save(snapshot)
+        });
+        this.maxRetries = 3;
+        this.retryDelay = 5000; // 5 seconds
     }
 
     async getBrowser() {
@@ -52,25 +192,38 @@ class EnhancedScrapingService {
                     '--user-agent=Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
                 ]
             });
+            // Launch a fresh browser next time if Chromium crashes
+            this.browser.on('disconnected', () => {
+                this.browser = null;
+            });
         }
         return this.browser;
     }
 
+    // Job methods run under their advisory lock (jobLockService) and resolve
+    // to { ran, result } / { ran: false, holder }. A job that fails rejects, so
+    // the worker (worker.js) can retry it and eventually dead-letter it; the
+    // admin CLI can run them directly.
     async updateGolferRankings() {
-        if (this.isRunning) {
-            console.log('⏳ Scraping already in progress, skipping...');
-            return;
-        }
-        
-        this.isRunning = true;
-        console.log('🏌️ Starting enhanced golfer rankings update...');
-        
+        return jobLock.runExclusive('golfer_rankings', async () => {
+            console.log('🏌️ Starting enhanced golfer rankings update...');
+            
+            try {
+                await scrapingLog.trackJob('golfer_rankings', run => this.runGolferRankings(run));
+            } catch (error) {
+                console.error('❌ Golfer ranking update failed:', error.message);
+                throw error;
+            }
+        });
+    }
+
+    async runGolferRankings(run) {
         try {
             // Try multiple data sources for reliability
             const results = await Promise.allSettled([
-                this.scrapeESPNRankings(),
-                this.scrapePGATourStats(),
-                this.loadProfessionalGolferData() // Fallback with curated data
+                run.trackSource('espn_rankings', source => this.scrapeESPNRankings(source)),
+                run.trackSource('espn_stats', source => this.scrapePGATourStats(source)),
+                run.trackSource('professional_curated', source => this.loadProfessionalGolferData(source)) // Fallback with curated data
             ]);
 
             let successCount = 0;
@@ -88,20 +241,18 @@ class EnhancedScrapingService {
 
             if (successCount === 0) {
                 console.log('🚨 All data sources failed, using emergency fallback...');
-                await this.loadEmergencyGolferData();
+                await run.trackSource('emergency_fallback', source => this.loadEmergencyGolferData(source));
             }
 
             console.log(`✅ Golfer rankings update completed: ${totalGolfers} golfers processed`);
 
         } catch (error) {
             console.error('❌ Golfer ranking update failed:', error.message);
-            await this.loadEmergencyGolferData();
-        } finally {
-            this.isRunning = false;
+            await run.trackSource('emergency_fallback', source => this.loadEmergencyGolferData(source));
         }
     }
 
-    async scrapeESPNRankings() {
+    async scrapeESPNRankings(run) {
         let browser, page;
         try {
             console.log('📊 Scraping ESPN World Rankings...');
@@ -226,10 +377,12 @@ class EnhancedScrapingService {
                     updatedCount++;
                 } catch (dbError) {
                     console.error(`❌ Database error for ${golfer.name}:`, dbError.message);
+                    run.addError(`${golfer.name}: ${dbError.message}`);
                 }
             }
 
             await page.close();
+            run.count({ processed: golfers.length, updated: updatedCount });
             console.log(`✅ ESPN Rankings: ${updatedCount} golfers updated`);
             return updatedCount;
 
@@ -240,7 +393,7 @@ class EnhancedScrapingService {
         }
     }
 
-    async scrapePGATourStats() {
+    async scrapePGATourStats(run) {
         let browser, page;
         try {
             console.log('🏌️ Scraping PGA Tour player stats...');
@@ -322,10 +475,12 @@ class EnhancedScrapingService {
                     updatedCount++;
                 } catch (dbError) {
                     console.error(`❌ Database error for ${player.name}:`, dbError.message);
+                    run.addError(`${player.name}: ${dbError.message}`);
                 }
             }
 
             await page.close();
+            run.count({ processed: playerStats.length, updated: updatedCount });
             console.log(`✅ PGA Stats: ${updatedCount} players updated`);
             return updatedCount;
 
@@ -336,7 +491,7 @@ class EnhancedScrapingService {
         }
     }
 
-    async loadProfessionalGolferData() {
+    async loadProfessionalGolferData(run) {
         console.log('🏌️ Loading curated professional golfer data...');
         
         // Comprehensive professional golfer database with real 2025 data
@@ -445,14 +600,16 @@ class EnhancedScrapingService {
                 
             } catch (error) {
                 console.error(`❌ Error processing ${golfer.name}:`, error.message);
+                run.addError(`${golfer.name}: ${error.message}`);
             }
         }
         
+        run.count({ processed: professionalGolfers.length, created: addedCount, updated: updatedCount });
         console.log(`✅ Professional Data: ${addedCount} added, ${updatedCount} updated`);
         return addedCount + updatedCount;
     }
 
-    async loadEmergencyGolferData() {
+    async loadEmergencyGolferData(run) {
         console.log('🚨 Loading emergency golfer data...');
         
         // Minimal but reliable golfer set if all scraping fails
@@ -483,24 +640,37 @@ class EnhancedScrapingService {
                         world_ranking = LEAST(EXCLUDED.world_ranking, golfers.world_ranking),
                         updated_at = CURRENT_TIMESTAMP
                 `, [golfer.name, golfer.country, golfer.ranking, golfer.wins, golfer.majors]);
+                run.count({ processed: 1, updated: 1 });
             } catch (error) {
                 console.error(`❌ Emergency data error for ${golfer.name}:`, error.message);
+                run.count({ processed: 1 });
+                run.addError(`${golfer.name}: ${error.message}`);
             }
         }
         
         console.log('✅ Emergency golfer data loaded');
     }
 
-    async updateLiveScores() {
-        // Auto-manage tournaments first
-        await this.autoManageTournaments();
+    // One tournament (a scheduled poll from scorePollingService), or every tournament in progress
+    async updateLiveScores(tournamentId = null) {
+        return jobLock.runExclusive(tournamentId ? `live_scores:${tournamentId}` : 'live_scores', () =>
+            scrapingLog.trackJob(
+                'live_scores',
+                run => this.runLiveScores(run, tournamentId),
+                tournamentId ? { tournament_id: tournamentId } : {}
+            )
+        );
+    }
 
+    async runLiveScores(run, tournamentId = null) {
         const activeTournaments = await query(`
-            SELECT id, name, start_date, end_date FROM tournaments 
-            WHERE is_active = true 
-            AND start_date <= CURRENT_TIMESTAMP 
-            AND end_date >= CURRENT_TIMESTAMP
-        `);
+            SELECT id, name, start_date, end_date, score_provider FROM tournaments 
+            WHERE ($1::INTEGER IS NOT NULL AND id = $1)
+            OR ($1::INTEGER IS NULL
+                AND is_active = true 
+                AND start_date <= CURRENT_TIMESTAMP 
+                AND end_date >= CURRENT_TIMESTAMP)
+        `, [tournamentId]);
 
         if (activeTournaments.rows.length === 0) {
             console.log('📝 No active tournaments found for score updates');
@@ -509,8 +679,83 @@ class EnhancedScrapingService {
 
         console.log(`🏆 Updating scores for ${activeTournaments.rows.length} active tournaments`);
 
+        // One tournament failing doesn't stop the others, but fails the job
+        const failed = [];
+
         for (const tournament of activeTournaments.rows) {
-            await this.scrapeTournamentScores(tournament);
+            // A single-tournament poll already holds that tournament's lock; the
+            // all-tournaments run takes each one in turn, so the two never overlap
+            const poll = () => this.pollTournamentScores(run, tournament);
+            const outcome = tournamentId
+                ? { ran: true, result: await poll() }
+                : await jobLock.runExclusive(`live_scores:${tournament.id}`, poll);
+
+            if (outcome.ran) failed.push(...outcome.result);
+        }
+
+        if (failed.length > 0) {
+            throw new Error(`Live score update failed for ${failed.join('; ')}`);
+        }
+    }
+
+    // Scrape one tournament's scores and rescore its leaderboard; returns what failed
+    async pollTournamentScores(run, tournament) {
+        const failed = [];
+
+        try {
+            await scorePolling.markPolled(tournament.id);
+            await run.trackSource(
+                scoreProviders.resolveName(tournament),
+                source => this.scrapeTournamentScores(tournament, source),
+                { tournament_id: tournament.id }
+            );
+        } catch (error) {
+            console.error(`❌ Failed to fetch scores for ${tournament.name}:`, error.message);
+            failed.push(`${tournament.name}: ${error.message}`);
+        }
+
+        try {
+            await leaderboardService.updateTournamentLeaderboard(tournament.id);
+        } catch (error) {
+            console.error(`❌ Failed to update leaderboard for ${tournament.name}:`, error.message);
+            failed.push(`${tournament.name} leaderboard: ${error.message}`);
+        }
+
+        return failed;
+    }
+
+    async updateUpcomingFields() {
+        return jobLock.runExclusive('upcoming_fields', () =>
+            scrapingLog.trackJob('upcoming_fields', run => this.runUpcomingFields(run))
+        );
+    }
+
+    async runUpcomingFields(run) {
+        const upcoming = await query(`
+            SELECT id, name, start_date, score_provider FROM tournaments
+            WHERE start_date > CURRENT_TIMESTAMP
+            AND start_date <= CURRENT_TIMESTAMP + INTERVAL '7 days'
+        `);
+
+        const failed = [];
+
+        for (const tournament of upcoming.rows) {
+            try {
+                await run.trackSource(scoreProviders.resolveName(tournament), async (source) => {
+                    const result = await fieldService.syncFieldFromProvider(tournament, { automatic: true });
+                    if (result) {
+                        source.count({ processed: result.matched + result.unmatched.length, created: result.added, updated: result.withdrawn.length });
+                        result.unmatched.forEach(name => source.addError(`Unmatched: ${name}`));
+                    }
+                }, { tournament_id: tournament.id });
+            } catch (error) {
+                console.error(`❌ Failed to sync field for ${tournament.name}:`, error.message);
+                failed.push(`${tournament.name}: ${error.message}`);
+            }
+        }
+
+        if (failed.length > 0) {
+            throw new Error(`Field sync failed for ${failed.join('; ')}`);
         }
     }
 
@@ -518,14 +763,18 @@ class EnhancedScrapingService {
 
     // 🏌️ NEW COMPREHENSIVE REAL GOLFER SCRAPING METHODS
     async scrapeComprehensiveRealGolfers() {
+        return scrapingLog.trackJob('comprehensive_golfers', run => this.runComprehensiveRealGolfers(run));
+    }
+
+    async runComprehensiveRealGolfers(run) {
         console.log('🏌️ Scraping 250+ REAL professional golfers from multiple sources...');
         
         const results = await Promise.allSettled([
-            this.scrapeESPNFullRankings(),      // ESPN World Rankings (200+ golfers)
-            this.scrapePGATourPlayerDatabase(), // PGA Tour player database  
-            this.scrapeOWGRArchive(),          // OWGR historical data
-            this.scrapeKornFerryGraduates(),   // Rising stars from Korn Ferry
-            this.scrapeMajorChampions()        // Historical major champions
+            run.trackSource('espn_full_rankings', source => this.scrapeESPNFullRankings(source)),      // ESPN World Rankings (200+ golfers)
+            run.trackSource('pga_tour_players', () => this.scrapePGATourPlayerDatabase()), // PGA Tour player database  
+            run.trackSource('owgr_archive', () => this.scrapeOWGRArchive()),          // OWGR historical data
+            run.trackSource('korn_ferry', () => this.scrapeKornFerryGraduates()),   // Rising stars from Korn Ferry
+            run.trackSource('major_champions', () => this.scrapeMajorChampions())        // Historical major champions
         ]);
 
         let totalGolfers = 0;
@@ -547,7 +796,7 @@ class EnhancedScrapingService {
         return totalGolfers;
     }
 
-   async scrapeESPNFullRankings() {
+   async scrapeESPNFullRankings(run) {
     let browser, page;
     try {
         console.log('📊 Scraping ESPN Full World Rankings (200+ golfers)...');
@@ -559,7 +808,7 @@ class EnhancedScrapingService {
         await page.setViewport({ width: 1366, height: 768 });
 
         // Navigate to ESPN's full rankings page
-        await page.goto('https://www.espn.com/golf/rankings', { 
+        await page.goto(FULL_RANKINGS_URL, { 
             waitUntil: 'networkidle0',
             timeout: 30000 
         });
@@ -585,138 +834,14 @@ class EnhancedScrapingService {
             });
         });
 
-        // Extract golfers with improved validation
-        const golfers = await page.evaluate(() => {
-            const golferData = [];
-            
-            // Helper function to validate golfer names
-            function isValidGolferName(name) {
-                if (!name || typeof name !== 'string') return false;
-                
-                // Must be at least 4 characters and contain a space
-                if (name.length < 4 || !name.includes(' ')) return false;
-                
-                // Must not be just numbers
-                if (/^\d+\.?\d*$/.test(name)) return false;
-                
-                // Must not contain weird characters
-                if (/[^a-zA-Z0-9\s\.\-\'\u00C0-\u017F]/.test(name)) return false;
-                
-                // Must have at least 2 words
-                const words = name.trim().split(/\s+/);
-                if (words.length < 2) return false;
-                
-                // Each word must be at least 2 characters
-                if (words.some(word => word.length < 2)) return false;
-                
-                // Common invalid patterns
-                const invalidPatterns = [
-                    /^(pos|position|rank|ranking|pts|points|earnings?)$/i,
-                    /^(country|nat|nationality)$/i,
-                    /^(score|total|round)$/i,
-                    /undefined|null|nan/i
-                ];
-                
-                if (invalidPatterns.some(pattern => pattern.test(name))) return false;
-                
-                return true;
-            }
-            
-            // Multiple selectors for ESPN's table
-            const rows = document.querySelectorAll('table tbody tr, .Table__TR, .player-row');
-            console.log(`Found ${rows.length} ranking rows`);
-            
-            for (let i = 0; i < Math.min(rows.length, 250); i++) {
-                const row = rows[i];
-                const cells = row.querySelectorAll('td, .Table__TD');
-                
-                if (cells.length >= 3) {
-                    // Extract rank (first cell)
-                    const rankText = cells[0]?.textContent?.trim();
-                    const rank = parseInt(rankText) || (i + 1);
-                    
-                    // Extract name with improved logic
-                    let name = '';
-                    
-                    // First, try to find a link (most reliable)
-                    const nameLink = cells[1]?.querySelector('a');
-                    if (nameLink && nameLink.textContent?.trim()) {
-                        name = nameLink.textContent.trim();
-                    }
-                    
-                    // If no link found, try other cells but be more selective
-                    if (!name) {
-                        for (let j = 1; j < Math.min(cells.length, 4); j++) {
-                            const cellText = cells[j]?.textContent?.trim();
-                            if (cellText && isValidGolferName(cellText)) {
-                                name = cellText;
-                                break;
-                            }
-                        }
-                    }
-                    
-                    // Validate the name before proceeding
-                    if (!isValidGolferName(name)) {
-                        continue; // Skip this row
-                    }
-                    
-                    // Clean up the name
-                    name = name.replace(/\s+/g, ' ').trim();
-                    
-                    // Extract points and earnings
-                    let points = 0;
-                    let earnings = 0;
-                    
-                    for (let j = 2; j < cells.length; j++) {
-                        const cellText = cells[j]?.textContent?.trim();
-                        
-                        // Look for OWGR points (decimal numbers)
-                        if (/^\d+\.\d{2,}$/.test(cellText)) {
-                            points = parseFloat(cellText);
-                        }
-                        
-                        // Look for earnings (with $ or commas)
-                        if (cellText && (cellText.includes('$') || /^\d{1,3}(,\d{3})*$/.test(cellText))) {
-                            earnings = parseInt(cellText.replace(/[$,]/g, '')) || 0;
-                        }
-                    }
-                    
-                    // Extract country
-                    let country = 'USA'; // Default
-                    const countryElement = row.querySelector('.country, .flag, [data-country]');
-                    if (countryElement) {
-                        const countryText = countryElement.textContent?.trim() || countryElement.getAttribute('data-country');
-                        if (countryText && countryText.length <= 5) {
-                            country = countryText.toUpperCase();
-                        }
-                    }
-                    
-                    // Final validation before adding
-                    if (isValidGolferName(name) && rank > 0 && rank <= 500) {
-                        golferData.push({
-                            rank: rank,
-                            name: name,
-                            country: country,
-                            points: points,
-                            earnings: earnings,
-                            source: 'espn_full_rankings'
-                        });
-                    }
-                }
-            }
-            
-            // Remove duplicates by name
-            const uniqueGolfers = [];
-            const seenNames = new Set();
-            
-            for (const golfer of golferData) {
-                if (!seenNames.has(golfer.name.toLowerCase())) {
-                    seenNames.add(golfer.name.toLowerCase());
-                    uniqueGolfers.push(golfer);
-                }
-            }
-            
-            return uniqueGolfers;
+        const golfers = await parseFullRankingsPage(page);
+
+        await scrapeSnapshots.save({
+            source: 'espn_full_rankings',
+            url: FULL_RANKINGS_URL,
+            html: await page.content(),
+            parsed: golfers,
+            scrapingLogId: run ? run.id : null
         });
 
         console.log(`📊 Scraped ${golfers.length} VALID golfers from ESPN Full Rankings`);
@@ -755,7 +880,17 @@ class EnhancedScrapingService {
 
     } catch (error) {
         console.error('❌ ESPN Full Rankings scraping failed:', error.message);
-        if (page) await page.close();
+        if (page) {
+            // Keep whatever loaded so the failure can be looked at later
+            await scrapeSnapshots.save({
+                source: 'espn_full_rankings',
+                url: FULL_RANKINGS_URL,
+                html: await page.content().catch(() => ''),
+                scrapingLogId: run ? run.id : null,
+                error: error.message
+            });
+            await page.close();
+        }
         return 0;
     }
 }
@@ -1030,139 +1165,97 @@ class EnhancedScrapingService {
 
     // END OF NEW COMPREHENSIVE REAL GOLFER SCRAPING METHODS
 
-    async scrapeTournamentScores(tournament) {
-        let browser, page;
-        try {
-            console.log(`🏆 Scraping scores for: ${tournament.name}`);
-            
-            browser = await this.getBrowser();
-            page = await browser.newPage();
-            
-            await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-            await page.setViewport({ width: 1366, height: 768 });
-
-            // Try ESPN Golf leaderboard
-            await page.goto('https://www.espn.com/golf/leaderboard', { 
-                waitUntil: 'networkidle0',
-                timeout: 30000 
-            });
+    // Errors fetching the leaderboard propagate to the caller's run; row errors are recorded on it
+    async scrapeTournamentScores(tournament, run) {
+        const provider = scoreProviders.getProvider(tournament);
+        console.log(`🏆 Fetching scores for: ${tournament.name} (provider: ${provider.name})`);
 
-            const hasLeaderboard = await page.$('.Leaderboard, .leaderboard, table');
-            
-            if (!hasLeaderboard) {
-                console.log('📝 No active leaderboard found on ESPN');
-                await page.close();
-                return;
-            }
+        const scores = await provider.fetchLeaderboard(tournament, { scrapingLogId: run.id });
 
-            await page.waitForSelector('.Leaderboard, .leaderboard, table', { timeout: 10000 });
+        console.log(`📊 Fetched ${scores.length} scores for ${tournament.name}`);
 
-            const scores = await page.evaluate(() => {
-                const scoreData = [];
-                
-                // Multiple selectors for ESPN's changing layout
-                const tableSelectors = [
-                    '.Leaderboard .Table__TR',
-                    '.leaderboard tbody tr',
-                    'table tbody tr',
-                    '.player-row'
-                ];
-                
-                let rows = [];
-                for (const selector of tableSelectors) {
-                    rows = document.querySelectorAll(selector);
-                    if (rows.length > 0) break;
-                }
-                
-                for (let i = 0; i < Math.min(rows.length, 100); i++) {
-                    const row = rows[i];
-                    const cells = row.querySelectorAll('td, .Table__TD');
-                    
-                    if (cells.length >= 3) {
-                        const position = cells[0]?.textContent?.trim();
-                        let name = '';
-                        let score = '';
-                        let total = '';
-                        
-                        // Extract player name
-                        const nameLink = cells[1]?.querySelector('a') || cells[1];
-                        name = nameLink?.textContent?.trim() || '';
-                        
-                        // Extract scores (usually in cells 2-4)
-                        for (let j = 2; j < Math.min(cells.length, 6); j++) {
-                            const cellText = cells[j]?.textContent?.trim();
-                            if (cellText && (cellText.includes('E') || cellText.match(/^[+-]?\d+$/))) {
-                                if (!score) score = cellText;
-                                else if (!total) total = cellText;
-                            }
-                        }
-                        
-                        if (name && name.length > 2 && position) {
-                            scoreData.push({
-                                position: position,
-                                name: name,
-                                score: score || 'E',
-                                total: total || score || 'E'
-                            });
-                        }
-                    }
-                }
-                
-                return scoreData;
-            });
-
-            console.log(`📊 Scraped ${scores.length} scores for ${tournament.name}`);
-
-            // Update tournament scores in database
-            let updatedCount = 0;
-            for (const score of scores) {
-                try {
-                    // Find golfer by name (fuzzy matching)
-                    const golferResult = await query(`
-                        SELECT id FROM golfers 
-                        WHERE LOWER(name) LIKE LOWER($1) 
-                        OR LOWER($1) LIKE LOWER('%' || SPLIT_PART(name, ' ', -1) || '%')
-                        LIMIT 1
-                    `, [`%${score.name}%`]);
-
-                    if (golferResult.rows.length > 0) {
-                        const golferId = golferResult.rows[0].id;
-                        
-                        // Parse score
-                        let totalScore = 0;
-                        if (score.total === 'E' || score.total === 'EVEN') {
-                            totalScore = 0;
-                        } else {
-                            totalScore = parseInt(score.total.replace(/[^-\d]/g, '')) || 0;
-                        }
-                        
-                        await query(`
-                            INSERT INTO tournament_golfers (tournament_id, golfer_id, current_score, position, total_score, updated_at)
-                            VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
-                            ON CONFLICT (tournament_id, golfer_id) DO UPDATE SET
-                                current_score = EXCLUDED.current_score,
-                                position = EXCLUDED.position,
-                                total_score = EXCLUDED.total_score,
-                                updated_at = CURRENT_TIMESTAMP
-                        `, [tournament.id, golferId, totalScore, score.position, totalScore]);
-                        
-                        updatedCount++;
+        // Update tournament scores in database
+        let updatedCount = 0;
+        let queuedCount = 0;
+        for (const score of scores) {
+            try {
+                const match = await golferIdentity.resolveGolfer(
+                    { name: score.name, externalIds: score.external_ids },
+                    { source: provider.name, tournamentId: tournament.id, payload: score }
+                );
+
+                if (match) {
+                    await this.saveTournamentScore(tournament.id, match.golferId, score);
+                    if (/^WD$/i.test(score.position || '')) {
+                        await fieldService.withdrawGolfer(tournament.id, match.golferId);
                     }
-                } catch (dbError) {
-                    console.error(`❌ Score update error for ${score.name}:`, dbError.message);
+                    updatedCount++;
+                } else {
+                    queuedCount++;
                 }
+            } catch (dbError) {
+                console.error(`❌ Score update error for ${score.name}:`, dbError.message);
+                run.addError(`${score.name}: ${dbError.message}`);
             }
+        }
 
-            console.log(`✅ Updated ${updatedCount} scores for ${tournament.name}`);
-            await page.close();
+        run.count({ processed: scores.length, updated: updatedCount });
+        if (queuedCount > 0) {
+            console.log(`🔎 ${queuedCount} players need golfer match review for ${tournament.name}`);
+        }
+        console.log(`✅ Updated ${updatedCount} scores for ${tournament.name}`);
+        return updatedCount;
+    }
 
-        } catch (error) {
-            console.error(`❌ Failed to scrape scores for ${tournament.name}:`, error.message);
-            if (page) await page.close();
+    // Upsert one normalized provider row for a matched golfer
+    async saveTournamentScore(tournamentId, golferId, score) {
+        const totalScore = score.total_score;
+        const [round1, round2, round3, round4] = score.rounds || [];
+        
+        // Round strokes only ever fill in, so a partial page can't wipe earlier rounds.
+        // A missed cut or DQ sticks once seen, so a scrape can't undo one set by an admin.
+        await query(`
+            INSERT INTO tournament_golfers (
+                tournament_id, golfer_id, current_score, position, total_score,
+                round1_score, round2_score, round3_score, round4_score,
+                today_score, thru, current_round, is_made_cut, disqualified, updated_at
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, CURRENT_TIMESTAMP)
+            ON CONFLICT (tournament_id, golfer_id) DO UPDATE SET
+                current_score = EXCLUDED.current_score,
+                position = EXCLUDED.position,
+                total_score = EXCLUDED.total_score,
+                round1_score = COALESCE(EXCLUDED.round1_score, tournament_golfers.round1_score),
+                round2_score = COALESCE(EXCLUDED.round2_score, tournament_golfers.round2_score),
+                round3_score = COALESCE(EXCLUDED.round3_score, tournament_golfers.round3_score),
+                round4_score = COALESCE(EXCLUDED.round4_score, tournament_golfers.round4_score),
+                today_score = EXCLUDED.today_score,
+                thru = EXCLUDED.thru,
+                current_round = EXCLUDED.current_round,
+                is_made_cut = CASE WHEN EXCLUDED.is_made_cut = false THEN false ELSE tournament_golfers.is_made_cut END,
+                disqualified = COALESCE(tournament_golfers.disqualified, false) OR EXCLUDED.disqualified,
+                updated_at = CURRENT_TIMESTAMP
+        `, [
+            tournamentId, golferId, totalScore, score.position, totalScore,
+            round1 ?? null, round2 ?? null, round3 ?? null, round4 ?? null,
+            score.today_score ?? null, score.thru ?? null, score.current_round || 1,
+            !score.missed_cut, !!score.disqualified
+        ]);
+        
+        const round = score.current_round || 1;
+        if (score.tee_time && round >= 1 && round <= 4) {
+            await query(
+                `UPDATE tournament_golfers SET round${round}_tee_time = $3 WHERE tournament_id = $1 AND golfer_id = $2`,
+                [tournamentId, golferId, score.tee_time]
+            );
         }
     }
 
     async autoManageTournaments() {
+        return jobLock.runExclusive('tournament_management', () => this.runTournamentManagement());
+    }
+
+    async runTournamentManagement() {
         try {
             console.log('🔄 Running automatic tournament management...');
             
@@ -1194,26 +1287,76 @@ class EnhancedScrapingService {
                 console.log(`🔴 Auto-completed ${completed.rows.length} tournaments`);
             }
             
+            // League prize pools pay out once their tournament is completed
+            const settled = await payoutService.settleCompletedTournaments();
+            if (settled.length > 0) {
+                console.log(`💰 Paid out ${settled.length} league prize pools`);
+            }
+            
         } catch (error) {
             console.error('❌ Auto tournament management failed:', error);
+            throw error;
         }
     }
 
     async runManualUpdate() {
-        console.log('🔄 Running manual comprehensive update...');
-        await this.updateGolferRankings();
-        await this.updateLiveScores();
+        return jobLock.runExclusive('manual_update', async () => {
+            console.log('🔄 Running manual comprehensive update...');
+
+            // Scores are still updated if rankings fail; either failing fails the job
+            const failed = [];
+            for (const step of [() => this.updateGolferRankings(), () => this.updateLiveScores()]) {
+                try {
+                    await step();
+                } catch (error) {
+                    failed.push(error.message);
+                }
+            }
+            if (failed.length > 0) {
+                throw new Error(`Manual update failed: ${failed.join('; ')}`);
+            }
+        });
     }
 
-    async checkScrapingHealth() {
+    // Re-run the current parser against an archived page, offline: scripts and
+    // network requests are blocked, so only the stored HTML is parsed.
+    // { snapshot, stored, replayed }, or null if the snapshot doesn't exist.
+    async replaySnapshot(snapshotId) {
+        const snapshot = await scrapeSnapshots.getSnapshot(snapshotId);
+        if (!snapshot) return null;
+
+        const parse = SNAPSHOT_PARSERS[snapshot.source];
+        if (!parse) {
+            throw new Error(`No parser for ${snapshot.source} snapshots`);
+        }
+
+        const browser = await this.getBrowser();
+        const page = await browser.newPage();
+
+        try {
+            await page.setJavaScriptEnabled(false);
+            await page.setRequestInterception(true);
+            page.on('request', request => request.abort());
+            await page.setContent(snapshot.html, { waitUntil: 'domcontentloaded' });
+
+            const { html, parsed, ...details } = snapshot;
+            return { snapshot: details, stored: parsed, replayed: await parse(page) };
+        } finally {
+            await page.close();
+        }
+    }
+
+    // ESPN and database check. Runs as the worker's scraping_health job so the
+    // API never launches Chromium; a failed probe is recorded as its result.
+    async probeScrapingHealth() {
+        let page = null;
         try {
             const browser = await this.getBrowser();
-            const page = await browser.newPage();
+            page = await browser.newPage();
             
             // Test ESPN connectivity
             await page.goto('https://www.espn.com/golf/', { timeout: 10000 });
             const title = await page.title();
-            await page.close();
             
             // Test database
             const dbResult = await query('SELECT COUNT(*) as count FROM golfers WHERE is_active = true');
@@ -1224,17 +1367,59 @@ class EnhancedScrapingService {
                 message: 'Successfully connected to ESPN Golf and database',
                 espn_title: title,
                 active_golfers: golferCount,
-                last_updated: new Date().toISOString()
+                checked_at: new Date().toISOString()
             };
         } catch (error) {
             return { 
                 status: 'error', 
                 message: error.message,
-                last_updated: new Date().toISOString()
+                checked_at: new Date().toISOString()
             };
+        } finally {
+            // A failed or timed-out probe must not leave a tab open on the shared browser
+            if (page) await page.close().catch(() => {});
         }
     }
 
+    // Health from the worker's last probe, the job queue and the run history
+    // (when each job last ran and succeeded, and which are running now, where)
+    async checkScrapingHealth() {
+        const [lastProbe, queue, jobs, locks] = await Promise.all([
+            jobQueue.getLastCompleted('scraping_health'),
+            jobQueue.getStats(),
+            scrapingLog.getJobSummary(),
+            jobLock.getHeldLocks()
+        ]);
+
+        const probe = lastProbe ? lastProbe.result : null;
+        const minutesSince = (at) => (Date.now() - new Date(at).getTime()) / 60000;
+
+        let status = 'healthy';
+        let message = probe ? probe.message : null;
+        if (queue.oldest_due_at && minutesSince(queue.oldest_due_at) > QUEUE_STALL_MINUTES) {
+            status = 'error';
+            message = 'Jobs are waiting but no worker is picking them up';
+        } else if (!probe) {
+            status = 'unknown';
+            message = 'The worker has not probed ESPN yet';
+        } else if (probe.status !== 'healthy') {
+            status = 'error';
+        } else if (minutesSince(probe.checked_at) > HEALTH_PROBE_STALE_MINUTES) {
+            status = 'degraded';
+            message = `The last ESPN probe is more than ${HEALTH_PROBE_STALE_MINUTES} minutes old; is the worker running?`;
+        }
+
+        return {
+            status,
+            message,
+            probe,
+            queue,
+            jobs,
+            locks,
+            last_updated: new Date().toISOString()
+        };
+    }
+
     async cleanup() {
         if (this.browser) {
             await this.browser.close();
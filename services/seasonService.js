@@ -0,0 +1,97 @@
+const { query } = require('../config/database');
+
+const DEFAULT_POINTS_TABLE = [25, 18, 15, 12, 10, 8, 6, 4, 2, 1];
+
+class SeasonService {
+    async getSeasonStandings(seasonId) {
+        const seasonResult = await query('SELECT * FROM seasons WHERE id = $1', [seasonId]);
+
+        if (seasonResult.rows.length === 0) {
+            return null;
+        }
+
+        const season = seasonResult.rows[0];
+
+        // Only tournaments marked completed by autoManageTournaments() count
+        const tournaments = await query(`
+            SELECT id, name, start_date, end_date
+            FROM tournaments
+            WHERE season_id = $1 AND is_completed = true
+            ORDER BY start_date ASC
+        `, [seasonId]);
+
+        const results = await query(`
+            SELECT lc.tournament_id, lc.user_id, lc.position, u.username
+            FROM leaderboard_cache lc
+            JOIN tournaments t ON lc.tournament_id = t.id
+            JOIN users u ON lc.user_id = u.id
+            WHERE t.season_id = $1 AND t.is_completed = true
+        `, [seasonId]);
+
+        return {
+            season,
+            tournaments: tournaments.rows,
+            standings: this.calculateStandings(season, tournaments.rows, results.rows)
+        };
+    }
+
+    // In 'points' mode each finish earns points_table[position - 1] and the
+    // highest total wins. In 'positions' mode finishing positions are summed
+    // and the lowest total wins. Missed events score 0 points, or one place
+    // behind that tournament's last team. The worst drop_worst results are
+    // discarded, always keeping at least one.
+    calculateStandings(season, tournaments, results) {
+        const mode = season.scoring_mode === 'positions' ? 'positions' : 'points';
+        const pointsTable = Array.isArray(season.points_table) ? season.points_table : DEFAULT_POINTS_TABLE;
+        const dropWorst = Math.max(0, parseInt(season.drop_worst) || 0);
+
+        const fieldSize = new Map();
+        const players = new Map();
+
+        for (const row of results) {
+            fieldSize.set(row.tournament_id, Math.max(fieldSize.get(row.tournament_id) || 0, row.position));
+
+            if (!players.has(row.user_id)) {
+                players.set(row.user_id, { user_id: row.user_id, username: row.username, finishes: new Map() });
+            }
+            players.get(row.user_id).finishes.set(row.tournament_id, row.position);
+        }
+
+        const standings = [...players.values()].map(player => {
+            const eventResults = tournaments.map(tournament => {
+                const position = player.finishes.get(tournament.id) ?? null;
+                const value = mode === 'points'
+                    ? (position ? pointsTable[position - 1] || 0 : 0)
+                    : (position || (fieldSize.get(tournament.id) || 0) + 1);
+
+                return { tournament_id: tournament.id, position, value, dropped: false };
+            });
+
+            // Worst first: fewest points, or highest summed position
+            const worstFirst = [...eventResults].sort((a, b) => mode === 'points' ? a.value - b.value : b.value - a.value);
+            worstFirst
+                .slice(0, Math.min(dropWorst, eventResults.length - 1))
+                .forEach(result => { result.dropped = true; });
+
+            return {
+                user_id: player.user_id,
+                username: player.username,
+                events_played: player.finishes.size,
+                total: eventResults.filter(r => !r.dropped).reduce((sum, r) => sum + r.value, 0),
+                results: eventResults
+            };
+        });
+
+        standings.sort((a, b) => (mode === 'points' ? b.total - a.total : a.total - b.total)
+            || a.username.localeCompare(b.username));
+
+        standings.forEach((player, index) => {
+            const previous = standings[index - 1];
+            player.position = previous && previous.total === player.total ? previous.position : index + 1;
+        });
+
+        return standings;
+    }
+}
+
+module.exports = new SeasonService();
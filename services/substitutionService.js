@@ -0,0 +1,235 @@
+const { pool, query } = require('../config/database');
+const rosterService = require('./rosterService');
+const lockService = require('./lockService');
+const { STARTED_PLAYING_SQL } = lockService;
+const { checkRosterRules, isTakenInDraft } = require('./rosterRules');
+
+const DEFAULT_WINDOW_MINUTES = 60;
+
+class SubstitutionError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'SubstitutionError';
+        this.status = status;
+    }
+}
+
+// Before their tee time locks them, withdrawn golfers can always be swapped. After, only a
+// golfer who withdrew before teeing off can be, and only for the tournament's
+// substitution window (counted from the withdrawal). Each swap is audited in
+// team_substitutions; teams with pre-selected alternates are filled automatically.
+class SubstitutionService {
+    // { open, closes_at } for swapping out a withdrawn golfer; closes_at null = until lock
+    async getWindow(tournamentId, golferId) {
+        const result = await query(`
+            SELECT COALESCE(tg.round1_tee_time, tour.start_date) as lock_at, tour.substitution_window_minutes,
+                   tg.withdrew, tg.withdrawn_at,
+                   ${STARTED_PLAYING_SQL} as teed_off
+            FROM tournaments tour
+            LEFT JOIN tournament_golfers tg ON tg.tournament_id = tour.id AND tg.golfer_id = $2
+            WHERE tour.id = $1
+        `, [tournamentId, golferId]);
+
+        const row = result.rows[0];
+        if (!row || !row.withdrew) return { open: false, reason: 'Only withdrawn golfers can be swapped out' };
+
+        const now = new Date();
+        const lockAt = new Date(row.lock_at);
+        if (now < lockAt) return { open: true, closes_at: null };
+
+        if (row.teed_off) return { open: false, reason: 'Golfer withdrew after teeing off' };
+
+        const minutes = row.substitution_window_minutes ?? DEFAULT_WINDOW_MINUTES;
+        const opensAt = new Date(Math.max(lockAt, new Date(row.withdrawn_at)));
+        const closesAt = new Date(opensAt.getTime() + minutes * 60000);
+
+        return now < closesAt
+            ? { open: true, closes_at: closesAt }
+            : { open: false, reason: 'The substitution window has closed', closes_at: closesAt };
+    }
+
+    // Replace outGolferId on the team with inGolferId after checking the window and roster rules
+    async substitute(team, outGolferId, inGolferId, { method = 'manual', performedBy = null } = {}) {
+        const golferIds = await rosterService.getGolferIds(team.id);
+
+        if (!golferIds.includes(outGolferId)) throw new SubstitutionError('That golfer is not on the team');
+        if (golferIds.includes(inGolferId)) throw new SubstitutionError('That golfer is already on the team');
+
+        const window = await this.getWindow(team.tournament_id, outGolferId);
+        if (!window.open) throw new SubstitutionError(window.reason);
+
+        // The replacement must not have started yet, same as a roster edit
+        const locked = await lockService.getLockedGolferIds(team.tournament_id, [inGolferId]);
+        if (locked.has(parseInt(inGolferId))) {
+            throw new SubstitutionError('Cannot add golfers who have already teed off');
+        }
+
+        if (await isTakenInDraft(team.user_id, team.tournament_id, inGolferId)) {
+            throw new SubstitutionError('That golfer is on another team in your draft');
+        }
+
+        const newGolferIds = golferIds.map(id => (id === outGolferId ? inGolferId : id));
+        const violation = await checkRosterRules(team.tournament_id, newGolferIds, { keep: golferIds });
+        if (violation) throw new SubstitutionError(violation.body.error);
+
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const slot = await rosterService.replaceGolfer(team.id, outGolferId, inGolferId, client);
+            if (slot === null) throw new SubstitutionError('That golfer is not on the team');
+
+            const result = await client.query(
+                'UPDATE teams SET updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *',
+                [team.id]
+            );
+
+            await client.query(`
+                INSERT INTO team_substitutions (team_id, tournament_id, slot, out_golfer_id, in_golfer_id, method, performed_by)
+                VALUES ($1, $2, $3, $4, $5, $6, $7)
+            `, [team.id, team.tournament_id, slot, outGolferId, inGolferId, method, performedBy]);
+
+            await client.query(
+                'DELETE FROM team_alternates WHERE team_id = $1 AND golfer_id = $2',
+                [team.id, inGolferId]
+            );
+
+            await client.query('COMMIT');
+
+            console.log(`🔁 Team ${team.id}: golfer ${outGolferId} -> ${inGolferId} (${method})`);
+
+            return result.rows[0];
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Auto-substitute from alternates where possible, otherwise tell the owner how long
+    // they have. Run by the worker's handle_withdrawal job; returns { teams, substituted }.
+    async handleWithdrawal(tournamentId, golferId) {
+        const teams = await query(`
+            SELECT t.*, g.name as golfer_name, tour.name as tournament_name
+            FROM teams t
+            JOIN team_golfers rg ON rg.team_id = t.id AND rg.golfer_id = $2
+            JOIN golfers g ON g.id = $2
+            JOIN tournaments tour ON t.tournament_id = tour.id
+            WHERE t.tournament_id = $1
+        `, [tournamentId, golferId]);
+
+        if (teams.rows.length === 0) return { teams: 0, substituted: 0 };
+
+        const window = await this.getWindow(tournamentId, golferId);
+        let substituted = 0;
+
+        for (const team of teams.rows) {
+            let message;
+
+            const replacement = window.open ? await this.substituteFromAlternates(team, golferId) : null;
+
+            if (replacement) {
+                substituted++;
+                message = `${team.golfer_name} withdrew from the ${team.tournament_name}; your alternate ${replacement.name} was substituted in.`;
+            } else if (!window.open) {
+                message = `${team.golfer_name} withdrew from the ${team.tournament_name} and can no longer be replaced.`;
+            } else if (window.closes_at) {
+                message = `${team.golfer_name} withdrew from the ${team.tournament_name}. Swap them out by ${window.closes_at.toISOString()}.`;
+            } else {
+                message = `${team.golfer_name} has withdrawn from the ${team.tournament_name}. Swap them out before the tournament starts.`;
+            }
+
+            await query(`
+                INSERT INTO notifications (user_id, team_id, tournament_id, type, message)
+                VALUES ($1, $2, $3, $4, $5)
+            `, [team.user_id, team.id, tournamentId, replacement ? 'substitution' : 'withdrawal', message]);
+        }
+
+        console.log(`🚑 Golfer ${golferId} withdrew from tournament ${tournamentId}; ${teams.rows.length} teams notified`);
+        return { teams: teams.rows.length, substituted };
+    }
+
+    // First alternate (by rank) that passes every rule; null if none do
+    async substituteFromAlternates(team, outGolferId) {
+        const alternates = await this.getAlternates(team.id);
+
+        for (const alternate of alternates) {
+            try {
+                await this.substitute(team, outGolferId, alternate.golfer_id, { method: 'auto' });
+                return alternate;
+            } catch (error) {
+                if (!(error instanceof SubstitutionError)) throw error;
+            }
+        }
+
+        return null;
+    }
+
+    async getAlternates(teamId) {
+        const result = await query(`
+            SELECT a.golfer_id, a.rank, g.name, g.country, g.world_ranking
+            FROM team_alternates a
+            JOIN golfers g ON a.golfer_id = g.id
+            WHERE a.team_id = $1
+            ORDER BY a.rank ASC
+        `, [teamId]);
+        return result.rows;
+    }
+
+    async setAlternates(teamId, golferIds) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query('DELETE FROM team_alternates WHERE team_id = $1', [teamId]);
+            for (const [index, golferId] of [...new Set(golferIds)].entries()) {
+                await client.query(
+                    'INSERT INTO team_alternates (team_id, golfer_id, rank) VALUES ($1, $2, $3)',
+                    [teamId, golferId, index + 1]
+                );
+            }
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+        return this.getAlternates(teamId);
+    }
+
+    async getHistory(teamId) {
+        const result = await query(`
+            SELECT s.*, go.name as out_golfer_name, gi.name as in_golfer_name, u.username as performed_by_username
+            FROM team_substitutions s
+            LEFT JOIN golfers go ON s.out_golfer_id = go.id
+            LEFT JOIN golfers gi ON s.in_golfer_id = gi.id
+            LEFT JOIN users u ON s.performed_by = u.id
+            WHERE s.team_id = $1
+            ORDER BY s.created_at DESC
+        `, [teamId]);
+        return result.rows;
+    }
+
+    // Admin edits bypass the window but still land in the audit trail, one row per
+    // changed slot. before/after are rosterService.getRoster() results.
+    async recordAdminEdit(team, before, after, adminId) {
+        const slots = new Set([...before, ...after].map(row => row.slot));
+
+        for (const slot of [...slots].sort((a, b) => a - b)) {
+            const outRow = before.find(row => row.slot === slot);
+            const inRow = after.find(row => row.slot === slot);
+            const outGolferId = outRow ? outRow.golfer_id : null;
+            const inGolferId = inRow ? inRow.golfer_id : null;
+            if (inGolferId === outGolferId) continue;
+
+            await query(`
+                INSERT INTO team_substitutions (team_id, tournament_id, slot, out_golfer_id, in_golfer_id, method, performed_by)
+                VALUES ($1, $2, $3, $4, $5, 'admin', $6)
+            `, [team.id, team.tournament_id, slot, outGolferId, inGolferId, adminId]);
+        }
+    }
+}
+
+module.exports = new SubstitutionService();
+module.exports.SubstitutionError = SubstitutionError;
@@ -0,0 +1,129 @@
+const { pool, query } = require('../config/database');
+const { DEFAULT_ROSTER_SIZE } = require('./rosterService');
+
+const TIER_BASES = ['world_ranking', 'manual'];
+
+// tier_rules: { basis: 'world_ranking' | 'manual', tiers: [{ name, picks, max_rank? }] }
+// Ranking tiers take everyone ranked <= max_rank not claimed by an earlier tier;
+// the last tier has no max_rank and takes the rest. Manual tiers come from
+// golfer_tiers, with unassigned golfers falling into the last tier. Tier picks
+// must add up to the tournament's roster size.
+const validateRules = (rules, rosterSize = DEFAULT_ROSTER_SIZE) => {
+    if (!rules || typeof rules !== 'object') return 'tier_rules must be an object or null';
+    if (!TIER_BASES.includes(rules.basis)) return `basis must be one of: ${TIER_BASES.join(', ')}`;
+    if (!Array.isArray(rules.tiers) || rules.tiers.length < 2) return 'At least 2 tiers are required';
+
+    const names = new Set();
+    let previousMax = 0;
+
+    for (const [index, tier] of rules.tiers.entries()) {
+        const isLast = index === rules.tiers.length - 1;
+
+        if (!tier.name || typeof tier.name !== 'string') return 'Every tier needs a name';
+        if (names.has(tier.name)) return `Duplicate tier name "${tier.name}"`;
+        names.add(tier.name);
+
+        if (!Number.isInteger(tier.picks) || tier.picks < 0) return `Tier "${tier.name}" picks must be a non-negative integer`;
+
+        if (rules.basis === 'world_ranking' && !isLast) {
+            if (!Number.isInteger(tier.max_rank) || tier.max_rank <= previousMax) {
+                return `Tier "${tier.name}" max_rank must be an integer above ${previousMax}`;
+            }
+            previousMax = tier.max_rank;
+        }
+    }
+
+    const totalPicks = rules.tiers.reduce((sum, tier) => sum + tier.picks, 0);
+    if (totalPicks !== rosterSize) return `Tier picks must add up to ${rosterSize} (got ${totalPicks})`;
+
+    return null;
+};
+
+const tierForRanking = (rules, worldRanking) => {
+    const rank = worldRanking && worldRanking > 0 ? worldRanking : 999;
+    const tier = rules.tiers.find(t => t.max_rank !== undefined && rank <= t.max_rank);
+    return (tier || rules.tiers[rules.tiers.length - 1]).name;
+};
+
+class TierService {
+    // Tier rules plus every active golfer's tier; null if the tournament has no tiers
+    async getTiers(tournamentId) {
+        const tournament = await query('SELECT tier_rules FROM tournaments WHERE id = $1', [tournamentId]);
+        const rules = tournament.rows[0]?.tier_rules;
+        if (!rules) return null;
+
+        const golfers = await query(`
+            SELECT g.id, g.world_ranking, gt.tier as manual_tier
+            FROM golfers g
+            LEFT JOIN golfer_tiers gt ON gt.golfer_id = g.id AND gt.tournament_id = $1
+            WHERE g.is_active = true
+        `, [tournamentId]);
+
+        const tierNames = rules.tiers.map(t => t.name);
+        const lastTier = tierNames[tierNames.length - 1];
+
+        const assignments = golfers.rows.map(golfer => ({
+            golfer_id: golfer.id,
+            tier: rules.basis === 'manual'
+                ? (tierNames.includes(golfer.manual_tier) ? golfer.manual_tier : lastTier)
+                : tierForRanking(rules, golfer.world_ranking)
+        }));
+
+        return { ...rules, assignments };
+    }
+
+    // Returns null when the tournament has no tiers, otherwise per-tier counts and any errors
+    async checkTeam(tournamentId, golferIds) {
+        const tiers = await this.getTiers(tournamentId);
+        if (!tiers) return null;
+
+        const tierByGolfer = new Map(tiers.assignments.map(a => [a.golfer_id, a.tier]));
+        const counts = Object.fromEntries(tiers.tiers.map(t => [t.name, 0]));
+
+        for (const id of golferIds) {
+            const tier = tierByGolfer.get(parseInt(id));
+            if (tier) counts[tier]++;
+        }
+
+        const errors = tiers.tiers
+            .filter(tier => counts[tier.name] !== tier.picks)
+            .map(tier => `Tier ${tier.name}: pick ${tier.picks} (you have ${counts[tier.name]})`);
+
+        return { counts, errors, valid: errors.length === 0 };
+    }
+
+    async setRules(tournamentId, rules) {
+        const result = await query(`
+            UPDATE tournaments SET tier_rules = $1, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $2
+            RETURNING id, name, tier_rules
+        `, [rules ? JSON.stringify(rules) : null, tournamentId]);
+
+        return result.rows[0] || null;
+    }
+
+    // Replace the manual tier list for a tournament
+    async setAssignments(tournamentId, assignments) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query('DELETE FROM golfer_tiers WHERE tournament_id = $1', [tournamentId]);
+            for (const { golfer_id, tier } of assignments) {
+                await client.query(
+                    `INSERT INTO golfer_tiers (tournament_id, golfer_id, tier) VALUES ($1, $2, $3)
+                     ON CONFLICT (tournament_id, golfer_id) DO UPDATE SET tier = EXCLUDED.tier`,
+                    [tournamentId, golfer_id, tier]
+                );
+            }
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+}
+
+module.exports = new TierService();
+module.exports.validateRules = validateRules;
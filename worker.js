@@ -0,0 +1,159 @@
+const os = require('os');
+const cron = require('node-cron');
+require('dotenv').config();
+
+const { pool } = require('./config/database');
+const jobQueue = require('./services/jobQueueService');
+const scrapingService = require('./services/scrapingService');
+const scorePolling = require('./services/scorePollingService');
+const substitutionService = require('./services/substitutionService');
+const draftService = require('./services/draftService');
+const jobLock = require('./services/jobLockService');
+
+// Scheduled scraping runs here, away from the API: Puppeteer can hog the CPU
+// for minutes and a Chromium crash only takes down this process. The schedule
+// enqueues jobs and the poll loop runs them one at a time. Any number of
+// workers can run; job_queue hands each job to one of them.
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const POLL_INTERVAL_MS = parseInt(process.env.WORKER_POLL_INTERVAL_MS) || 5000;
+const HEARTBEAT_INTERVAL_MS = 30000;
+const DRAFT_AUTO_PICK_INTERVAL_MS = 5000;
+
+// Job type -> handler; the return value is stored as the job's result
+const handlers = {
+    golfer_rankings: () => scrapingService.updateGolferRankings(),
+    live_scores: ({ tournament_id }) => scrapingService.updateLiveScores(tournament_id || null),
+    upcoming_fields: () => scrapingService.updateUpcomingFields(),
+    tournament_management: () => scrapingService.autoManageTournaments(),
+    manual_update: () => scrapingService.runManualUpdate(),
+    comprehensive_golfers: async () => ({ total_golfers: await scrapingService.scrapeComprehensiveRealGolfers() }),
+    scraping_health: () => scrapingService.probeScrapingHealth(),
+    handle_withdrawal: ({ tournament_id, golfer_id }) => substitutionService.handleWithdrawal(tournament_id, golfer_id)
+};
+
+let stopping = false;
+let currentJob = null;
+let autoPickPass = null;
+
+// Every worker fires the schedule; dedupe_key keeps one copy of each job queued
+function enqueueScheduled(jobType) {
+    jobQueue.enqueue(jobType, {}, { dedupeKey: jobType }).catch(error => {
+        console.error(`❌ Failed to enqueue ${jobType}:`, error.message);
+    });
+}
+
+function setupSchedule() {
+    const schedule = (expression, jobType) => {
+        cron.schedule(expression, () => enqueueScheduled(jobType));
+    };
+
+    // Update golfer rankings daily at 6 AM
+    schedule('0 6 * * *', 'golfer_rankings');
+
+    // Auto-manage tournaments every hour
+    schedule('0 * * * *', 'tournament_management');
+
+    // Every minute, queue a live score poll for each tournament that is due one:
+    // every few minutes while a round is in play, rarely otherwise (scorePollingService)
+    cron.schedule('* * * * *', () => {
+        scorePolling.enqueueDuePolls().catch(error => {
+            console.error('❌ Failed to queue score polls:', error.message);
+        });
+    });
+
+    // Refresh fields for the coming week's tournaments every 6 hours
+    schedule('30 */6 * * *', 'upcoming_fields');
+
+    // Check ESPN is reachable every 15 minutes; /api/health/scraping reports the last result
+    schedule('*/15 * * * *', 'scraping_health');
+
+    // Probe right away so the health check has a result without waiting 15 minutes
+    enqueueScheduled('scraping_health');
+
+    console.log('📅 Scraping schedule set up');
+}
+
+// Draft pick clocks are seconds long, so auto-picks run on their own timer
+// rather than waiting behind a scrape in the job queue. The lock keeps
+// workers' passes from overlapping; makePick re-checks each pick under the
+// draft's row lock.
+function startDraftAutoPick() {
+    return setInterval(() => {
+        if (autoPickPass || stopping) return;
+        autoPickPass = jobLock.runExclusive('draft_auto_pick', () => draftService.autoPickExpired())
+            .catch(error => console.error('❌ Draft auto-pick failed:', error.message))
+            .finally(() => {
+                autoPickPass = null;
+            });
+    }, DRAFT_AUTO_PICK_INTERVAL_MS);
+}
+
+async function runJob(job) {
+    console.log(`▶️ Job ${job.id} (${job.job_type}) attempt ${job.attempts}/${job.max_attempts}`);
+
+    const heartbeat = setInterval(() => {
+        jobQueue.heartbeat(job.id, WORKER_ID).catch(error => {
+            console.error(`⚠️ Heartbeat for job ${job.id} failed:`, error.message);
+        });
+    }, HEARTBEAT_INTERVAL_MS);
+
+    try {
+        const result = await handlers[job.job_type](job.payload || {});
+        await jobQueue.complete(job.id, WORKER_ID, result);
+        console.log(`✅ Job ${job.id} (${job.job_type}) completed`);
+    } catch (error) {
+        console.error(`❌ Job ${job.id} (${job.job_type}) failed:`, error.message);
+        const failed = await jobQueue.fail(job, WORKER_ID, error);
+        if (failed && failed.status === 'dead') {
+            console.error(`💀 Job ${job.id} (${job.job_type}) moved to the dead letter list`);
+        } else if (failed) {
+            console.log(`🔁 Job ${job.id} (${job.job_type}) will retry at ${new Date(failed.run_at).toISOString()}`);
+        }
+    } finally {
+        clearInterval(heartbeat);
+    }
+}
+
+async function poll() {
+    while (!stopping) {
+        let job = null;
+        try {
+            await jobQueue.recoverStale();
+            job = await jobQueue.claim(WORKER_ID, Object.keys(handlers));
+        } catch (error) {
+            console.error('❌ Could not claim a job:', error.message);
+        }
+
+        if (job) {
+            currentJob = runJob(job);
+            try {
+                await currentJob;
+            } catch (error) {
+                console.error(`❌ Could not record the outcome of job ${job.id}:`, error.message);
+            }
+            currentJob = null;
+            continue;
+        }
+
+        await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+    }
+}
+
+async function shutdown(signal) {
+    console.log(`📴 ${signal} received, finishing the current job...`);
+    stopping = true;
+    clearInterval(draftAutoPick);
+    if (currentJob) await currentJob.catch(() => {});
+    if (autoPickPass) await autoPickPass;
+    await scrapingService.cleanup();
+    await pool.end();
+    process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+console.log(`👷 Scraping worker ${WORKER_ID} starting (polling every ${POLL_INTERVAL_MS}ms)`);
+setupSchedule();
+const draftAutoPick = startDraftAutoPick();
+poll();